@@ -0,0 +1,50 @@
+// Lets the app shell open without a connection. Every route is the same
+// index.html, fetched from the network when possible and from the cache
+// otherwise; the built assets have hashed names, so a cached copy is always
+// the right one. API requests are left alone: the app keeps its own offline
+// data (src/offlineStore.js). Bump CACHE to drop what older versions stored.
+const CACHE = 'crud-demo-shell-v1';
+
+// index.html and the scripts and styles it loads
+async function cacheShell() {
+  const cache = await caches.open(CACHE);
+  const res = await fetch('/index.html', { cache: 'no-cache' });
+  const html = await res.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+  await cache.put('/index.html', res);
+  await cache.addAll(assets);
+}
+
+async function fromNetwork(request, cacheAs = request) {
+  const res = await fetch(request);
+  if (res.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(cacheAs, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fromNetwork(request, '/index.html').catch(() => caches.match('/index.html')));
+  } else {
+    event.respondWith(caches.match(request).then((cached) => cached || fromNetwork(request)));
+  }
+});
@@ -1,232 +1,387 @@
 import { useEffect, useMemo, useState } from 'react';
 import './App.css';
-import { useForm } from 'react-hook-form';
-import { z } from 'zod';
-import { zodResolver } from '@hookform/resolvers/zod';
+import { hasPermission } from './permissions';
+import { createApiClient, newIdempotencyKey } from './apiClient';
+import { createOfflineQueue } from './offlineQueue';
+import { saveSnapshot, readSnapshot, clearSnapshots } from './offlineStore';
+import { ApiContext, OfflineContext, useApi, useOffline, useQuery } from './hooks';
+import { navigate, useLocation, matchPath, nextPath } from './router';
+import { ChangePasswordCard, ResetPasswordCard, AcceptInviteCard } from './components/PasswordForms';
+import { ActivityLog } from './components/ActivityLog';
+import { TwoFactorCard, TwoFactorPolicyCard } from './components/TwoFactor';
+import { AccountCard, Avatar, VerifyEmailCard } from './components/Account';
+import { RoleMatrix } from './components/RoleMatrix';
+import { GroupsPage } from './components/Groups';
+import { CustomFieldsEditor } from './components/CustomFields';
+import { ApiDocs } from './components/ApiDocs';
+import { Link } from './components/Link';
+import { LoginPage } from './components/LoginPage';
+import { UsersPage } from './components/UsersPage';
 
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+// how often queued changes are tried again while some are waiting
+const REPLAY_INTERVAL_MS = 30 * 1000;
 
-const loginSchema = z.object({
-  email: z.string().email('Please enter a valid email'),
-  password: z.string().min(1, 'Password is required'),
-});
-
-const roleValues = ['user', 'manager', 'viewer', 'admin'];
-
-// validation schemas
-const userBaseSchema = z.object({
-  name: z.string().min(2, 'Name must be at least 2 characters'),
-  email: z.string().email('Please enter a valid email'),
-  role: z.enum(roleValues),
-});
-const userCreateSchema = userBaseSchema.extend({
-  password: z.string().min(6, 'Password must be at least 6 characters'),
-});
-const userUpdateSchema = userBaseSchema.extend({
-  password: z
-    .string()
-    .optional()
-    .transform((v) => v ?? '')
-    .refine((v) => v === '' || v.length >= 6, {
-      message: 'Password must be at least 6 characters',
-    }),
-});
-
+// the session lives here; everything below reaches the API through the client
 function App() {
-  const [token, setToken] = useState('');
   const [me, setMe] = useState(null);
-  const [users, setUsers] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [showPassword, setShowPassword] = useState(false);
+  const [client] = useState(() =>
+    createApiClient({
+      baseUrl: API_BASE,
+      onSession: (next, user) => {
+        setToken(next);
+        if (user) setMe(user);
+      },
+      // however the session ended, what was kept for offline use is theirs;
+      // queued changes wait for them
+      onSignedOut: () => {
+        setToken('');
+        setMe(null);
+        clearSnapshots().catch(() => {});
+      },
+      // a role that demands 2FA sends its members to set it up first
+      onTwoFactorSetupRequired: () => navigate('/security'),
+      // called later, once the state below exists
+      onReachableChange: (next) => setReachable(next),
+      // the other user's view is not kept for the admin, nor the other way round
+      onImpersonationChange: (next) => {
+        setImpersonation(next);
+        if (next) setMe(next.user);
+        clearSnapshots().catch(() => {});
+      },
+    }),
+  );
+  const [token, setToken] = useState(() => client.getToken());
+  // { user, impersonator, expiresAt } while an admin views the app as a user
+  const [impersonation, setImpersonation] = useState(() => client.getImpersonation());
+  // the server answered the last request; the browser's own idea is below
+  const [reachable, setReachable] = useState(true);
+  const [browserOnline, setBrowserOnline] = useState(() => navigator.onLine);
+  const [queued, setQueued] = useState([]);
+  const [queue] = useState(() => createOfflineQueue({ request: client.request, onChange: setQueued }));
+  const meId = me?.id;
+  const waiting = queued.some((item) => item.ownerId === meId && item.status === 'pending');
 
-  // login form
-  const loginForm = useForm({
-    resolver: zodResolver(loginSchema),
-    defaultValues: { email: 'demo@example.com', password: 'password' },
-    mode: 'onChange',
-  });
+  useEffect(() => {
+    // only the token is kept in localStorage, the profile comes from the server,
+    // or from the device while it cannot be reached
+    if (!client.getToken()) return;
+    client.request('/api/v1/me').then(setMe).catch(async (err) => {
+      const saved = err.offline ? await readSnapshot('/api/v1/me').catch(() => undefined) : undefined;
+      if (saved) setMe((prev) => prev || saved.data);
+    });
+  }, [client]);
 
-  // for edit
-  const [editingId, setEditingId] = useState('');
+  useEffect(() => {
+    if (me) saveSnapshot('/api/v1/me', me).catch(() => {});
+  }, [me]);
 
-  // require password on create, optional on edit
-  const createResolver = useMemo(() => zodResolver(userCreateSchema), []);
-  const updateResolver = useMemo(() => zodResolver(userUpdateSchema), []);
-  const userForm = useForm({
-    resolver: (values, ctx, opts) =>
-      (editingId ? updateResolver(values, ctx, opts) : createResolver(values, ctx, opts)),
-    defaultValues: { name: '', email: '', role: 'user', password: '' },
-    mode: 'onChange',
-  });
+  // the server stops taking the token then; the banner should not outlive it
+  useEffect(() => {
+    if (!impersonation) return undefined;
+    const stop = () => client.stopImpersonating().catch(() => {});
+    const timer = setTimeout(stop, Math.max(impersonation.expiresAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [client, impersonation]);
 
-  const isAuthenticated = useMemo(() => Boolean(token), [token]);
+  useEffect(() => {
+    queue.load();
+    const update = () => setBrowserOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, [queue]);
 
+  // Queued changes go out once the connection is back. navigator.onLine can
+  // claim a connection that does not reach the server, so while changes wait
+  // they are also tried every so often; any answer from the server
+  // (`reachable`) sets them off too.
   useEffect(() => {
-    // get auth from localStorage
-    try {
-      const saved = JSON.parse(localStorage.getItem('auth') || 'null');
-      if (saved?.token) {
-        setToken(saved.token);
-        setMe(saved.user || null);
-      }
-    } catch {
-      // localStorage corrupted
-      localStorage.removeItem('auth');  
-    }
-  }, []);
+    if (!token || !meId || !waiting) return undefined;
+    if (browserOnline && reachable) queue.replay(meId);
+    const timer = setInterval(() => queue.replay(meId), REPLAY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [queue, token, meId, waiting, browserOnline, reachable]);
 
-  async function api(path, options = {}) {
-    const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
-    if (token) headers.Authorization = `Bearer ${token}`;
-    const res = await fetch(`${API_BASE}${path}`, { ...options, headers });
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) {
-      if (res.status === 401 && token) {
-        // auto sign-out on unauthorized
-        localStorage.removeItem('auth');
-        setToken('');
-        setMe(null);
+  const offline = useMemo(() => {
+    // the queued copy keeps the key, in case the request did reach the server
+    async function send(path, options, entry) {
+      const headers = { 'Idempotency-Key': newIdempotencyKey(), ...options.headers };
+      try {
+        return await client.request(path, { ...options, headers });
+      } catch (err) {
+        // the token behind an impersonation would be gone before they are sent
+        if (!err.offline || impersonation || !entry) throw err;
+        const { method, body } = options;
+        err.queued = await queue.add({ ...entry, ownerId: meId, request: { method, path, headers, body } });
+        throw err;
       }
-      const err = new Error(data?.error || 'Request failed');
-      err.details = data?.details;
-      err.status = res.status;
-      throw err;
     }
-    return data;
-  }
+    return {
+      online: browserOnline && reachable,
+      items: queued.filter((item) => item.ownerId === meId),
+      send,
+      retry: (id) => queue.retry(id, meId),
+      discard: queue.discard,
+    };
+  }, [client, queue, queued, meId, impersonation, browserOnline, reachable]);
 
-  async function onSubmitLogin(values) {
-    setError('');
-    setLoading(true);
-    try {
-      const data = await api('/api/login', { method: 'POST', body: JSON.stringify(values) });
-      setToken(data.token);
-      setMe(data.user);
-      localStorage.setItem('auth', JSON.stringify({ token: data.token, user: data.user }));
-    } catch (err) {
-      // field errors
-      if (err.details) {
-        Object.entries(err.details).forEach(([field, message]) => {
-          loginForm.setError(field, { type: 'server', message: String(message) });
-        });
-      } else {
-        setError(err.message);
-      }
-    } finally {
-      setLoading(false);
+  return (
+    <ApiContext.Provider value={client}>
+      <OfflineContext.Provider value={offline}>
+        {/* a fresh start for every switch between the admin and the user they view as */}
+        <Shell
+          key={impersonation ? `as-${impersonation.user.id}` : 'self'}
+          isAuthenticated={Boolean(token)}
+          me={me}
+          setMe={setMe}
+          impersonation={impersonation}
+        />
+      </OfflineContext.Provider>
+    </ApiContext.Provider>
+  );
+}
+
+function Shell({ isAuthenticated, me, setMe, impersonation }) {
+  const client = useApi();
+  const api = client.request;
+  const offline = useOffline();
+  const { pathname, search } = useLocation();
+  const [notice, setNotice] = useState('');
+  // reset links look like /?resetToken=...
+  const [resetToken, setResetToken] = useState(
+    () => new URLSearchParams(window.location.search).get('resetToken'),
+  );
+  // and invitation links like /?inviteToken=...
+  const [inviteToken, setInviteToken] = useState(
+    () => new URLSearchParams(window.location.search).get('inviteToken'),
+  );
+  // and links confirming a new email address like /?verifyEmailToken=...
+  const [verifyEmailToken, setVerifyEmailToken] = useState(
+    () => new URLSearchParams(window.location.search).get('verifyEmailToken'),
+  );
+  // these links are handled before any page, signed in or not
+  const landing = Boolean(verifyEmailToken) || (!isAuthenticated && (Boolean(inviteToken) || resetToken !== null));
+
+  // every role picker, the group filter and the user form use these; they
+  // are kept for offline use like the users table
+  const roles = useQuery(isAuthenticated ? '/api/v1/roles' : null, { keepOffline: true });
+  const groups = useQuery(isAuthenticated ? '/api/v1/groups' : null, { keepOffline: true });
+  // admin-defined extra fields
+  const customFields = useQuery(isAuthenticated ? '/api/v1/custom-fields' : null, { keepOffline: true });
+  const loadError = roles.error || groups.error || customFields.error;
+  const roleList = roles.data?.data || [];
+  const groupList = groups.data?.data || [];
+  const fieldList = customFields.data?.data || [];
+
+  // signed out, every page but /login leads there and back again afterwards
+  useEffect(() => {
+    if (landing) return;
+    if (!isAuthenticated && pathname !== '/login') {
+      const back = pathname === '/' ? '' : `?next=${encodeURIComponent(pathname + search)}`;
+      navigate(`/login${back}`, { replace: true });
+    } else if (isAuthenticated && pathname === '/login') {
+      navigate(nextPath(search), { replace: true });
+    } else if (pathname === '/') {
+      navigate('/users', { replace: true });
     }
-  }
+  }, [landing, isAuthenticated, pathname, search]);
+
+  const canManageGroups = hasPermission(me, 'groups.manage');
+  const tabs = [
+    ['/users', 'Users'],
+    hasPermission(me, 'audit.read') && ['/activity', 'Activity'],
+    hasPermission(me, 'roles.manage') && ['/roles', 'Roles'],
+    hasPermission(me, 'users.read') && (canManageGroups || groupList.length > 0) && ['/groups', 'Groups'],
+    hasPermission(me, 'fields.manage') && ['/fields', 'Fields'],
+    ['/api', 'API'],
+  ].filter(Boolean);
+  const onTab = tabs.some(([path]) => pathname === path || pathname.startsWith(`${path}/`));
 
   async function handleLogout() {
-    setError('');
     try {
-      await api('/api/logout', { method: 'POST' });
+      await api('/api/v1/logout', { method: 'POST' });
     } catch {
-      setError('Logout request failed');
+      // the session ends here either way
     }
-    setToken('');
-    setMe(null);
-    setUsers([]);
-    setEditingId('');
-    userForm.reset({ name: '', email: '', role: 'user', password: '' });
-    // reset login form
-    loginForm.reset({ email: 'demo@example.com', password: 'password' });
-    localStorage.removeItem('auth');
+    client.signOut();
+    setNotice('');
+    navigate('/login');
   }
 
-  async function loadUsers() {
-    if (!isAuthenticated) return;
-    setLoading(true);
-    setError('');
+  // offline the admin's own session cannot be fetched, the banner stays for another go
+  function stopImpersonating() {
+    client.stopImpersonating().then(() => navigate('/users'), () => {});
+  }
+
+  function signedIn(data) {
+    setNotice('');
+    client.signIn(data.token, data.user);
+  }
+
+  // a role edit can change what anyone, including the signed-in user, may do
+  async function onRolesChange() {
+    await roles.reload();
     try {
-      const data = await api('/api/users');
-      setUsers(data);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
+      setMe(await api('/api/v1/me'));
+    } catch {
+      // shown again on the next request that fails
     }
   }
 
-  useEffect(() => {
-    loadUsers();
-  }, [isAuthenticated]);
+  function leaveEmailVerification() {
+    setVerifyEmailToken(null);
+    navigate(isAuthenticated ? '/users' : '/login', { replace: true });
+  }
 
-  function startCreate() {
-    setEditingId('');
-    userForm.reset({ name: '', email: '', role: 'user', password: '' });
-    userForm.clearErrors();
+  // the link may be opened in a tab signed in as someone else
+  function applyVerifiedEmail(user) {
+    setMe((prev) => (prev?.id === user.id ? user : prev));
   }
 
-  function startEdit(u) {
-    setEditingId(u.id);
-    userForm.reset({ name: u.name, email: u.email, role: u.role, password: '' });
-    userForm.clearErrors();
+  function leaveInvite() {
+    setInviteToken(null);
+    navigate('/login', { replace: true });
   }
 
-  async function onSubmitUser(values) {
-    setLoading(true);
-    setError('');
-    try {
-      const payload = { ...values };
-      if (!payload.password) delete payload.password;
+  function finishInvite(data) {
+    setInviteToken(null);
+    client.signIn(data.token, data.user);
+    navigate('/users', { replace: true });
+  }
 
-      if (editingId) {
-        const updated = await api(`/api/users/${editingId}`, {
-          method: 'PUT',
-          body: JSON.stringify(payload),
-        });
-        setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
-      } else {
-        const created = await api('/api/users', {
-          method: 'POST',
-          body: JSON.stringify(payload),
-        });
-        setUsers((prev) => [created, ...prev]);
-      }
-      startCreate();
-    } catch (err) {
-      if (err.status === 409) {
-        userForm.setError('email', { type: 'server', message: 'Email already exists' });
-      } else if (err.details) {
-        Object.entries(err.details).forEach(([field, message]) => {
-          userForm.setError(field, { type: 'server', message: String(message) });
-        });
-      } else {
-        setError(err.message);
-      }
-    } finally {
-      setLoading(false);
-    }
+  function finishPasswordReset(done) {
+    setResetToken(null);
+    navigate('/login', { replace: true });
+    if (done) setNotice('Password updated. You can now sign in.');
   }
 
-  async function deleteUser(id) {
-    if (!confirm('Delete this user?')) return;
-    setLoading(true);
-    setError('');
-    try {
-      await api(`/api/users/${id}`, { method: 'DELETE' });
-      setUsers((prev) => prev.filter((u) => u.id !== id));
-      if (editingId === id) startCreate();
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
+  function renderPage() {
+    const userMatch = pathname === '/users' ? {} : matchPath('/users/:id', pathname);
+    if (userMatch) {
+      return (
+        <UsersPage
+          apiBase={API_BASE}
+          userId={userMatch.id || ''}
+          me={me}
+          onMeChange={setMe}
+          roles={roleList}
+          groups={groupList}
+          customFields={fieldList}
+          onGroupsChange={groups.reload}
+        />
+      );
+    }
+    if (pathname === '/activity' && hasPermission(me, 'audit.read')) {
+      return (
+        <div className="card shadow-sm">
+          <div className="card-body">
+            <h5 className="card-title mb-3">Activity</h5>
+            <ActivityLog api={api} />
+          </div>
+        </div>
+      );
     }
+    if (pathname === '/roles' && hasPermission(me, 'roles.manage')) {
+      return <RoleMatrix api={api} me={me} onChange={onRolesChange} />;
+    }
+    if (pathname === '/groups' && hasPermission(me, 'users.read')) {
+      // membership decides who group managers may edit
+      return <GroupsPage api={api} me={me} onChange={groups.reload} />;
+    }
+    if (pathname === '/fields' && hasPermission(me, 'fields.manage')) {
+      return <CustomFieldsEditor api={api} definitions={fieldList} onChange={customFields.reload} />;
+    }
+    if (pathname === '/api') return <ApiDocs api={api} apiBase={API_BASE} />;
+    if (pathname === '/account' && me) {
+      return (
+        <div className="row justify-content-center">
+          <div className="col-12 col-md-8 col-lg-6">
+            <AccountCard
+              api={api}
+              apiBase={API_BASE}
+              me={me}
+              readOnly={!hasPermission(me, 'profile.write')}
+              onUserChange={setMe}
+              onDone={() => navigate('/users')}
+            />
+          </div>
+        </div>
+      );
+    }
+    if (pathname === '/security') {
+      return (
+        <div className="row justify-content-center g-4">
+          <div className="col-12 col-md-8 col-lg-6 vstack gap-4">
+            <TwoFactorCard api={api} onUserChange={setMe} />
+            {hasPermission(me, 'users.admin') && <TwoFactorPolicyCard api={api} roles={roleList} />}
+            <div>
+              <Link to="/users" className="btn btn-sm btn-outline-secondary">Back</Link>
+            </div>
+          </div>
+        </div>
+      );
+    }
+    if (pathname === '/password') {
+      return (
+        <div className="row justify-content-center">
+          <div className="col-12 col-md-8 col-lg-5">
+            <ChangePasswordCard api={api} onDone={() => navigate('/users')} />
+          </div>
+        </div>
+      );
+    }
+    // the profile decides which pages exist, wait for it before saying no
+    if (!me) return null;
+    return (
+      <div className="alert alert-warning">
+        There is no page at {pathname}. <Link to="/users">Back to users</Link>
+      </div>
+    );
   }
 
   return (
     <>
-      <nav className="navbar navbar-expand-lg navbar-dark bg-dark">
+      <nav className={`navbar navbar-expand-lg navbar-dark ${impersonation ? 'bg-danger' : 'bg-dark'}`}>
         <div className="container">
-          <span className="navbar-brand">CRUD Demo</span>
+          <Link to="/users" className="navbar-brand">CRUD Demo</Link>
           <div className="ms-auto d-flex align-items-center gap-2">
-            {isAuthenticated && (
+            {isAuthenticated && impersonation && (
+              <>
+                <span className="navbar-text text-white d-flex align-items-center gap-2" role="status">
+                  <i className="bi bi-incognito"></i>
+                  <span>
+                    Viewing as <strong>{impersonation.user.name}</strong> · {impersonation.user.email}
+                    <span className="small opacity-75">
+                      {' '}
+                      — you are {impersonation.impersonator.name}, until{' '}
+                      {new Date(impersonation.expiresAt).toLocaleTimeString()}
+                    </span>
+                  </span>
+                </span>
+                <button className="btn btn-light btn-sm fw-semibold" onClick={stopImpersonating}>
+                  Stop
+                </button>
+              </>
+            )}
+            {isAuthenticated && !impersonation && (
               <>
-                <span className="navbar-text text-white small">
+                <span className="navbar-text text-white small d-flex align-items-center gap-2">
+                  {me && <Avatar user={me} apiBase={API_BASE} size={28} />}
                   {me?.name} · {me?.email}
                 </span>
+                <Link to="/account" className="btn btn-outline-light btn-sm">
+                  My account
+                </Link>
+                <Link to="/password" className="btn btn-outline-light btn-sm">
+                  Change password
+                </Link>
+                <Link to="/security" className="btn btn-outline-light btn-sm">
+                  Security
+                </Link>
                 <button className="btn btn-outline-light btn-sm" onClick={handleLogout}>Logout</button>
               </>
             )}
@@ -235,239 +390,60 @@ function App() {
       </nav>
 
       <main className="container py-4">
-        {!isAuthenticated ? (
+        {isAuthenticated && !landing && tabs.length > 1 && onTab && (
+          <ul className="nav nav-tabs mb-4">
+            {tabs.map(([path, label]) => {
+              const active = pathname === path || pathname.startsWith(`${path}/`);
+              return (
+                <li className="nav-item" key={path}>
+                  <Link to={path} className={`nav-link ${active ? 'active' : ''}`} aria-current={active ? 'page' : undefined}>
+                    {label}
+                  </Link>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {isAuthenticated && !offline.online && (
+          <div className="alert alert-warning py-2" role="status">
+            <i className="bi bi-wifi-off"></i> You are offline. Changes to users are kept on this device and sent
+            when the connection is back.
+          </div>
+        )}
+        {isAuthenticated && !landing && loadError && (
+          <div className="alert alert-danger py-2" role="alert">
+            {loadError.message}
+          </div>
+        )}
+        {verifyEmailToken ? (
           <div className="row justify-content-center">
             <div className="col-12 col-md-8 col-lg-5">
-              <div className="card shadow-sm">
-                <div className="card-body">
-                  <h5 className="card-title mb-3">Sign in</h5>
-                  <div aria-live="polite" aria-atomic="true">
-                    {error && (
-                      <div className="alert alert-danger py-2" role="alert">
-                        {error}
-                      </div>
-                    )}
-                  </div>
-                  <form onSubmit={loginForm.handleSubmit(onSubmitLogin)} className="vstack gap-3" noValidate>
-                    <div>
-                      <label className="form-label">Email <span className="text-danger">*</span></label>
-                      <input
-                        className={`form-control ${loginForm.formState.errors.email ? 'is-invalid' : ''}`}
-                        placeholder="Email"
-                        autoComplete="username"
-                        type="email"
-                        required
-                        autoFocus
-                        {...loginForm.register('email')}
-                      />
-                      {loginForm.formState.errors.email && (
-                        <div className="invalid-feedback">
-                          {loginForm.formState.errors.email.message}
-                        </div>
-                      )}
-                    </div>
-                    <div>
-                      <label className="form-label">Password <span className="text-danger">*</span></label>
-                      <div className="input-group">
-                        <input
-                          className={`form-control ${loginForm.formState.errors.password ? 'is-invalid' : ''}`}
-                          placeholder="Password"
-                          type={showPassword ? 'text' : 'password'}
-                          autoComplete="current-password"
-                          required
-                          {...loginForm.register('password')}
-                        />
-                        <button
-                          type="button"
-                          className="btn btn-outline-secondary"
-                          onClick={() => setShowPassword((v) => !v)}
-                          aria-label="Toggle password visibility"
-                          title={showPassword ? 'Hide password' : 'Show password'}
-                        >
-                          <i className={`bi ${showPassword ? 'bi-eye-slash' : 'bi-eye'}`}></i>
-                        </button>
-                        {loginForm.formState.errors.password && (
-                          <div className="invalid-feedback d-block">
-                            {loginForm.formState.errors.password.message}
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                    <button
-                      type="submit"
-                      className="btn btn-primary"
-                      disabled={!loginForm.formState.isValid || loading}
-                    >
-                      {loading ? (
-                        <>
-                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                          Logging in...
-                        </>
-                      ) : (
-                        'Login'
-                      )}
-                    </button>
-                    {/* <div className="text-muted small">Tip: demo@example.com / password</div> */}
-                  </form>
-                </div>
-              </div>
+              <VerifyEmailCard
+                api={api}
+                token={verifyEmailToken}
+                onVerified={applyVerifiedEmail}
+                onDone={leaveEmailVerification}
+              />
             </div>
           </div>
-        ) : (
-          <div className="row g-4">
-            <div className="col-12 col-lg-5">
-              <div className="card shadow-sm h-100">
-                <div className="card-body">
-                  <div className="d-flex align-items-center justify-content-between mb-3">
-                    <h5 className="card-title mb-0">{editingId ? 'Edit User' : 'Create User'}</h5>
-                    {editingId && (
-                      <button className="btn btn-sm btn-outline-secondary" onClick={startCreate}>Cancel</button>
-                    )}
-                  </div>
-
-                  {error && (
-                    <div className="alert alert-danger py-2" role="alert">
-                      {error}
-                    </div>
-                  )}
-
-                  <form onSubmit={userForm.handleSubmit(onSubmitUser)} className="vstack gap-3" noValidate>
-                    <div>
-                      <label className="form-label">Name <span className="text-danger">*</span></label>
-                      <input
-                        className={`form-control ${userForm.formState.errors.name ? 'is-invalid' : ''}`}
-                        placeholder="Name"
-                        required
-                        {...userForm.register('name')}
-                      />
-                      {userForm.formState.errors.name && (
-                        <div className="invalid-feedback">
-                          {userForm.formState.errors.name.message}
-                        </div>
-                      )}
-                    </div>
-                    <div>
-                      <label className="form-label">Email <span className="text-danger">*</span></label>
-                      <input
-                        className={`form-control ${userForm.formState.errors.email ? 'is-invalid' : ''}`}
-                        placeholder="Email"
-                        type="email"
-                        required
-                        {...userForm.register('email')}
-                      />
-                      {userForm.formState.errors.email && (
-                        <div className="invalid-feedback">
-                          {userForm.formState.errors.email.message}
-                        </div>
-                      )}
-                    </div>
-                    <div>
-                      <label className="form-label">Role <span className="text-danger">*</span></label>
-                      <select
-                        className={`form-select ${userForm.formState.errors.role ? 'is-invalid' : ''}`}
-                        required
-                        {...userForm.register('role')}
-                      >
-                        <option value="user">user</option>
-                        <option value="manager">manager</option>
-                        <option value="viewer">viewer</option>
-                        <option value="admin">admin</option>
-                      </select>
-                      {userForm.formState.errors.role && (
-                        <div className="invalid-feedback">
-                          {userForm.formState.errors.role.message}
-                        </div>
-                      )}
-                    </div>
-      <div>
-                      <label className="form-label">
-                        {editingId ? 'New Password (optional)' : (
-                          <>
-                            Password <span className="text-danger">*</span>
-                          </>
-                        )}
-                      </label>
-                      <div className="input-group">
-                        <input
-                          className={`form-control ${userForm.formState.errors.password ? 'is-invalid' : ''}`}
-                          placeholder={editingId ? 'New Password (optional)' : 'Password'}
-                          type="password"
-                          required={!editingId}
-                          {...userForm.register('password')}
-                        />
-                        <button
-                          type="button"
-                          className="btn btn-outline-secondary"
-                          onClick={() => setShowPassword((v) => !v)}
-                          aria-label="Toggle password visibility"
-                          title={showPassword ? 'Hide password' : 'Show password'}
-                        >
-                          <i className={`bi ${showPassword ? 'bi-eye-slash' : 'bi-eye'}`}></i>
-                        </button>
-                        {userForm.formState.errors.password && (
-                          <div className="invalid-feedback d-block">
-                            {userForm.formState.errors.password.message}
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                    <div className="d-flex gap-2">
-                      <button type="submit" className="btn btn-primary" disabled={!userForm.formState.isValid || loading}>
-                        {editingId ? 'Save' : 'Create'}
-                      </button>
-                      <button type="button" className="btn btn-outline-secondary" onClick={startCreate} disabled={loading}>
-                        Reset
-                      </button>
-                    </div>
-                  </form>
-                </div>
-              </div>
+        ) : !isAuthenticated && inviteToken ? (
+          <div className="row justify-content-center">
+            <div className="col-12 col-md-8 col-lg-5">
+              <AcceptInviteCard api={api} token={inviteToken} onSignedIn={finishInvite} onCancel={leaveInvite} />
             </div>
-
-            <div className="col-12 col-lg-7">
-              <div className="card shadow-sm h-100">
-                <div className="card-body">
-                  <div className="d-flex align-items-center justify-content-between mb-3">
-                    <h5 className="card-title mb-0">Users</h5>
-                    {/* <button onClick={loadUsers} className="btn btn-outline-primary btn-sm" disabled={loading}>
-                      {loading ? 'Loading...' : 'Refresh'}
-                    </button> */}
-      </div>
-                  <div className="table-responsive">
-                    <table className="table table-striped align-middle">
-                      <thead>
-                        <tr>
-                          <th>Name</th>
-                          <th>Email</th>
-                          <th>Role</th>
-                          <th style={{ width: 170 }}>Actions</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {users.map((u) => (
-                          <tr key={u.id}>
-                            <td>{u.name}</td>
-                            <td>{u.email}</td>
-                            <td><span className="badge text-bg-secondary text-uppercase">{u.role}</span></td>
-                            <td>
-                              <div className="d-flex gap-2">
-                                <button className="btn btn-sm btn-outline-secondary" onClick={() => startEdit(u)} disabled={loading}>
-                                  Edit
-                                </button>
-                                <button className="btn btn-sm btn-outline-danger" onClick={() => deleteUser(u.id)} disabled={loading}>
-                                  Delete
-        </button>
-                              </div>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
-              </div>
+          </div>
+        ) : !isAuthenticated && resetToken !== null ? (
+          <div className="row justify-content-center">
+            <div className="col-12 col-md-8 col-lg-5">
+              <ResetPasswordCard api={api} initialToken={resetToken} onDone={finishPasswordReset} />
             </div>
-      </div>
+          </div>
+        ) : !isAuthenticated ? (
+          pathname === '/login' && (
+            <LoginPage notice={notice} onSignedIn={signedIn} onForgotPassword={() => setResetToken('')} />
+          )
+        ) : (
+          pathname !== '/login' && renderPage()
         )}
       </main>
     </>
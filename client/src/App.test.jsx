@@ -0,0 +1,138 @@
+import { beforeEach, describe, expect, it, onTestFinished, vi } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+import { clearSnapshots, putQueued } from './offlineStore';
+import { createFakeApi } from './test/fakeApi';
+
+// jsdom has no IndexedDB, these only need to be seen being called
+vi.mock('./offlineStore', async (importOriginal) => ({
+  ...(await importOriginal()),
+  clearSnapshots: vi.fn(async () => {}),
+  putQueued: vi.fn(async () => 1),
+}));
+
+let api;
+
+beforeEach(() => {
+  api = createFakeApi();
+  vi.stubGlobal('fetch', api.fetch);
+  vi.mocked(clearSnapshots).mockClear();
+  vi.mocked(putQueued).mockClear();
+});
+
+function signedInAt(path) {
+  localStorage.setItem('auth', JSON.stringify({ token: api.token }));
+  window.history.replaceState(null, '', path);
+  return render(<App />);
+}
+
+// the table row with a cell starting with `text`
+async function findRow(text) {
+  const cell = await screen.findByRole('cell', { name: new RegExp(`^${text}`) });
+  return cell.closest('tr');
+}
+
+describe('App', () => {
+  it('signs in and shows the users', async () => {
+    const user = userEvent.setup();
+    window.history.replaceState(null, '', '/users');
+    render(<App />);
+
+    await user.type(await screen.findByPlaceholderText('Email'), 'demo@example.com');
+    await user.type(screen.getByPlaceholderText('Password'), 'password');
+    await user.click(screen.getByRole('button', { name: 'Login' }));
+
+    expect(await findRow('jane@example.com')).toBeTruthy();
+    expect(window.location.pathname).toBe('/users');
+    expect(JSON.parse(localStorage.getItem('auth')).token).toBe(api.token);
+    expect(api.sent('POST', '/api/v1/login')[0].body).toEqual({ email: 'demo@example.com', password: 'password' });
+  });
+
+  it('shows why a sign-in failed', async () => {
+    const user = userEvent.setup();
+    window.history.replaceState(null, '', '/login');
+    render(<App />);
+
+    await user.type(await screen.findByPlaceholderText('Email'), 'demo@example.com');
+    await user.type(screen.getByPlaceholderText('Password'), 'wrong-password');
+    await user.click(screen.getByRole('button', { name: 'Login' }));
+
+    expect(await screen.findByText('Invalid email or password')).toBeTruthy();
+    expect(localStorage.getItem('auth')).toBeNull();
+  });
+
+  it('forgets what was kept for offline use when the session ends', async () => {
+    localStorage.setItem('auth', JSON.stringify({ token: 'expired-token' }));
+    window.history.replaceState(null, '', '/users');
+    render(<App />);
+
+    expect(await screen.findByPlaceholderText('Email')).toBeTruthy();
+    expect(api.sent('POST', '/api/v1/refresh').length).toBeGreaterThan(0);
+    expect(clearSnapshots).toHaveBeenCalled();
+  });
+
+  it('creates a user', async () => {
+    const user = userEvent.setup();
+    signedInAt('/users');
+
+    await user.click(await screen.findByRole('link', { name: /New user/ }));
+    await user.type(await screen.findByLabelText(/^Name/), 'New Person');
+    await user.type(screen.getByLabelText(/^Email/), 'new@example.com');
+    await user.type(screen.getByPlaceholderText('Password'), 'secret123');
+    await user.click(screen.getByRole('button', { name: 'Create' }));
+
+    expect(await findRow('new@example.com')).toBeTruthy();
+    const [created] = api.sent('POST', '/api/v1/users');
+    expect(created.body).toMatchObject({ name: 'New Person', email: 'new@example.com', role: 'user', password: 'secret123' });
+    expect(created.headers['Idempotency-Key']).toBeTruthy();
+  });
+
+  it('does not keep a new user with a password on the device while offline', async () => {
+    const user = userEvent.setup();
+    signedInAt('/users');
+
+    await user.click(await screen.findByRole('link', { name: /New user/ }));
+    await user.type(await screen.findByLabelText(/^Name/), 'New Person');
+    await user.type(screen.getByLabelText(/^Email/), 'new@example.com');
+    await user.type(screen.getByPlaceholderText('Password'), 'secret123');
+    // no network at all, so the client does not retry first
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    onTestFinished(() => onLine.mockRestore());
+    api.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    await user.click(screen.getByRole('button', { name: 'Create' }));
+
+    expect(await screen.findByText(/Passwords are not kept on this device/)).toBeTruthy();
+    expect(putQueued).not.toHaveBeenCalled();
+  });
+
+  it('edits a user', async () => {
+    const user = userEvent.setup();
+    signedInAt('/users');
+
+    await user.click(within(await findRow('jane@example.com')).getByRole('link', { name: 'Edit' }));
+    const name = await screen.findByLabelText(/^Name/);
+    await waitFor(() => expect(name.value).toBe('Jane Roe'));
+    await user.clear(name);
+    await user.type(name, 'Jane Doe');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(await findRow('Jane Doe')).toBeTruthy();
+    const [saved] = api.sent('PUT', '/api/v1/users/u2');
+    expect(saved.headers['If-Match']).toBe('"1"');
+    expect(saved.body).toMatchObject({ name: 'Jane Doe', email: 'jane@example.com' });
+    await waitFor(() => expect(window.location.pathname).toBe('/users'));
+  });
+
+  it('deletes a user', async () => {
+    const user = userEvent.setup();
+    signedInAt('/users');
+
+    await user.click(within(await findRow('jane@example.com')).getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => expect(screen.queryByRole('cell', { name: /jane@example\.com/ })).toBeNull());
+    const [deleted] = api.sent('DELETE', '/api/v1/users/u2');
+    expect(deleted.headers['If-Match']).toBe('"1"');
+    expect(api.users[1].deletedAt).toBeTruthy();
+  });
+});
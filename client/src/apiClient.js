@@ -0,0 +1,286 @@
+import { problemError, applyFieldErrors, offlineError } from './problems';
+
+// Talks to the API for the whole app. It keeps the access token (the refresh
+// token is an httpOnly cookie the browser sends itself), renews it once when
+// a request gets a 401, and turns error responses into problemError()s.
+//
+// `get` is for reads: requests for the same path share one fetch while it
+// runs, and with `maxAge` an answer is reused for that many milliseconds.
+// Every successful write empties that cache, so a read after it is fresh.
+// Both `request` and `get` take an AbortSignal as `signal`; a shared read is
+// only aborted once everyone waiting for it has given up. Requests that get
+// no answer throw offlineError(), and never sign the user out.
+//
+// While an admin views the app as another user (POST /users/:id/impersonate)
+// the client holds that user's token, which cannot be refreshed. Stopping, or
+// the token running out, goes back to the admin's own session through the
+// refresh cookie, which stayed theirs all along.
+//
+// Reads, and writes under /users, are repeated after a lost connection or a
+// server fault, waiting a little longer each time. Those writes carry an
+// Idempotency-Key (see server/idempotency.js), so a repeat of one that did
+// reach the server gets its first answer instead of running twice.
+const TOKEN_KEY = 'auth';
+const KEY_HEADER = 'Idempotency-Key';
+const KEYED_PATH = /^\/api\/v1\/users(?:[/?]|$)/;
+const RETRY_DELAYS_MS = [300, 1000, 3000];
+
+// { token, impersonation }, see setToken()
+function readStored() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TOKEN_KEY) || 'null');
+    return { token: stored?.token || '', impersonation: stored?.impersonation || null };
+  } catch {
+    // localStorage corrupted
+    localStorage.removeItem(TOKEN_KEY);
+    return { token: '', impersonation: null };
+  }
+}
+
+function abortError() {
+  return new DOMException('The request was cancelled', 'AbortError');
+}
+
+export function newIdempotencyKey() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  // randomUUID needs a secure context, plain http on a LAN address is not one
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// `ms` give or take a quarter, so clients that failed together spread out
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms * (0.75 + Math.random() / 2));
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+// a server fault, or a repeat that came while the first try still runs
+async function worthRetrying(res) {
+  if (res.status >= 500) return true;
+  if (res.status !== 409) return false;
+  const data = await res.clone().json().catch(() => ({}));
+  return data?.code === 'idempotency_key_in_use';
+}
+
+// `onSession(token, user)` follows sign-ins and refreshes, `onSignedOut()` a
+// session that ended, `onTwoFactorSetupRequired()` a role that demands 2FA,
+// `onReachableChange(reachable)` the server going out of and back into reach,
+// `onImpersonationChange(impersonation)` an impersonation starting or ending.
+export function createApiClient({
+  baseUrl,
+  onSession = () => {},
+  onSignedOut = () => {},
+  onTwoFactorSetupRequired = () => {},
+  onReachableChange = () => {},
+  onImpersonationChange = () => {},
+}) {
+  // only the token is kept in localStorage, the profile comes from the server
+  let { token, impersonation } = readStored();
+  let refreshing = null;
+  let reachable = true;
+  const inflight = new Map();
+  const cache = new Map();
+
+  // `nextImpersonation` is { user, impersonator, expiresAt } for a token from
+  // an impersonation; what was read as one user is not shown to the other
+  function setToken(next, nextImpersonation = null) {
+    const switching = Boolean(impersonation) !== Boolean(nextImpersonation);
+    token = next;
+    impersonation = next ? nextImpersonation : null;
+    if (next) localStorage.setItem(TOKEN_KEY, JSON.stringify({ token: next, impersonation }));
+    else localStorage.removeItem(TOKEN_KEY);
+    if (switching) {
+      cache.clear();
+      onImpersonationChange(impersonation);
+    }
+  }
+
+  function signIn(next, user) {
+    setToken(next);
+    onSession(next, user);
+  }
+
+  function signOut() {
+    setToken('');
+    cache.clear();
+    onSignedOut();
+  }
+
+  // `data` is the answer to POST /users/:id/impersonate
+  function impersonate(data) {
+    const { token: next, user, impersonator, expiresAt } = data;
+    setToken(next, { user, impersonator, expiresAt });
+  }
+
+  // ends the impersonation on the server, then goes back to the admin's own
+  // session; signs out when that has ended too
+  async function stopImpersonating() {
+    if (impersonation) {
+      const headers = { Authorization: `Bearer ${token}` };
+      // it may have run out already, that ends it just the same
+      await send(`${baseUrl}/api/v1/logout`, { method: 'POST', headers, credentials: 'include' }).catch(() => {});
+    }
+    try {
+      await refreshSession();
+    } catch (err) {
+      if (err.offline) throw err;
+      signOut();
+    }
+  }
+
+  function setReachable(next) {
+    if (next === reachable) return;
+    reachable = next;
+    onReachableChange(next);
+  }
+
+  // fetch, except that a request without an answer throws offlineError()
+  async function send(url, init) {
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      setReachable(false);
+      throw offlineError();
+    }
+    setReachable(true);
+    return res;
+  }
+
+  async function sendRepeating(url, init) {
+    for (let attempt = 0; ; attempt += 1) {
+      const last = attempt >= RETRY_DELAYS_MS.length;
+      try {
+        const res = await send(url, init);
+        if (last || !(await worthRetrying(res))) return res;
+      } catch (err) {
+        // the browser knows when there is no network at all
+        if (last || !err.offline || !navigator.onLine) throw err;
+      }
+      await wait(RETRY_DELAYS_MS[attempt], init.signal);
+    }
+  }
+
+  // concurrent 401s share one refresh, the cookie rotates on every call
+  function refreshSession() {
+    if (!refreshing) {
+      refreshing = send(`${baseUrl}/api/v1/refresh`, { method: 'POST', credentials: 'include' })
+        .then(async (res) => {
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) throw new Error(data?.detail || 'Session expired');
+          signIn(data.token, data.user);
+          return data.token;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
+
+  // options.responseType: 'json' (default) or 'blob' for downloads;
+  // options.form: a react-hook-form form to show field errors on
+  async function request(path, options = {}, { retried = false } = {}) {
+    const write = (options.method || 'GET').toUpperCase() !== 'GET';
+    const keyed = write && KEYED_PATH.test(path);
+    // the key is made once, the retries and the repeat after a refresh reuse it
+    if (keyed && !options.headers?.[KEY_HEADER]) {
+      options = { ...options, headers: { ...options.headers, [KEY_HEADER]: newIdempotencyKey() } };
+    }
+    const { responseType = 'json', form, ...fetchOptions } = options;
+    const headers = { 'Content-Type': 'application/json', ...(fetchOptions.headers || {}) };
+    const sentToken = token;
+    const sentAsOther = Boolean(impersonation);
+    if (sentToken) headers.Authorization = `Bearer ${sentToken}`;
+    // credentials carry the httpOnly refresh cookie
+    const init = { ...fetchOptions, headers, credentials: 'include' };
+    // other writes might take effect twice
+    const repeatable = !write || keyed;
+    const res = repeatable ? await sendRepeating(`${baseUrl}${path}`, init) : await send(`${baseUrl}${path}`, init);
+    if (res.ok && write) cache.clear();
+    if (res.ok && responseType === 'blob') return res.blob();
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      if (res.status === 401 && sentToken) {
+        let renewed = false;
+        if (!retried) {
+          try {
+            await refreshSession();
+            renewed = true;
+          } catch (err) {
+            // the session may still be good once the server is back
+            if (err.offline) throw err;
+            // refresh failed, fall through to sign-out
+          }
+        }
+        // an impersonation that ran out ends in the admin's own session, and
+        // what was meant to be done as the user is not repeated as the admin
+        if (renewed && !sentAsOther) return request(path, options, { retried: true });
+        if (!renewed) signOut();
+      }
+      if (res.status === 403 && data?.code === 'two_factor_setup_required') onTwoFactorSetupRequired();
+      const err = problemError(res, data);
+      if (form) applyFieldErrors(form, err);
+      throw err;
+    }
+    return data;
+  }
+
+  function get(path, { signal, maxAge = 0 } = {}) {
+    const cached = cache.get(path);
+    if (cached && Date.now() - cached.at <= maxAge) return Promise.resolve(cached.data);
+
+    let entry = inflight.get(path);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, waiting: 0 };
+      entry.promise = request(path, { signal: controller.signal })
+        .then((data) => {
+          cache.set(path, { data, at: Date.now() });
+          return data;
+        })
+        .finally(() => inflight.delete(path));
+      inflight.set(path, entry);
+    }
+    if (signal?.aborted) return Promise.reject(abortError());
+    const shared = entry;
+    shared.waiting += 1;
+    // without a signal the caller waits for good
+    if (!signal) return shared.promise;
+    return new Promise((resolve, reject) => {
+      function onAbort() {
+        shared.waiting -= 1;
+        if (shared.waiting === 0) shared.controller.abort();
+        reject(abortError());
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  // drops cached reads whose path starts with `prefix`, or all of them
+  function invalidate(prefix = '') {
+    for (const path of cache.keys()) {
+      if (path.startsWith(prefix)) cache.delete(path);
+    }
+  }
+
+  return {
+    request,
+    get,
+    invalidate,
+    refreshSession,
+    signIn,
+    signOut,
+    impersonate,
+    stopImpersonating,
+    getToken: () => token,
+    getImpersonation: () => impersonation,
+  };
+}
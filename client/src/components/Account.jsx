@@ -0,0 +1,282 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { accountSchema } from '../schemas';
+
+// the server checks the real bytes again, this just saves a pointless upload
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const AVATAR_MAX_BYTES = 512 * 1024;
+
+const LOCALES = ['en-US', 'en-GB', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'pt-BR', 'ja-JP', 'zh-CN'];
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function accountValues(me) {
+  return { name: me.name, email: me.email, timezone: me.timezone || '', locale: me.locale || '' };
+}
+
+export function Avatar({ user, apiBase, size = 32 }) {
+  if (user?.avatarUrl) {
+    return (
+      <img
+        src={`${apiBase}${user.avatarUrl}`}
+        alt=""
+        width={size}
+        height={size}
+        className="rounded-circle object-fit-cover"
+      />
+    );
+  }
+  return (
+    <span
+      className="rounded-circle bg-secondary text-white d-inline-flex align-items-center justify-content-center"
+      style={{ width: size, height: size, fontSize: size / 2.4 }}
+      aria-hidden="true"
+    >
+      {(user?.name || '?').slice(0, 1).toUpperCase()}
+    </span>
+  );
+}
+
+// The signed-in user's own profile. `onUserChange` receives the updated user;
+// roles without profile.write only get to look at it.
+export function AccountCard({ api, apiBase, me, readOnly, onUserChange, onDone }) {
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+  const [avatarError, setAvatarError] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const timezones = useMemo(() => Intl.supportedValuesOf?.('timeZone') || [], []);
+  const form = useForm({
+    resolver: zodResolver(accountSchema),
+    defaultValues: accountValues(me),
+    mode: 'onChange',
+  });
+
+  // someone (or another tab) changed the profile, start over from it; only a
+  // new version replaces what is in the form
+  const shownVersion = useRef(me.version);
+  useEffect(() => {
+    if (shownVersion.current === me.version) return;
+    shownVersion.current = me.version;
+    form.reset(accountValues(me));
+  }, [me, form]);
+
+  async function patchMe(body, options = {}) {
+    return api('/api/v1/me', {
+      method: 'PATCH',
+      headers: { 'If-Match': `"${me.version}"` },
+      body: JSON.stringify(body),
+      ...options,
+    });
+  }
+
+  function handleStale(err) {
+    if (err.status !== 412 || !err.data?.current) return false;
+    onUserChange(err.data.current);
+    setError('Your profile was changed elsewhere, it has been reloaded. Please make your change again.');
+    return true;
+  }
+
+  async function onSubmit(values) {
+    setError('');
+    setSaved(false);
+    try {
+      const user = await patchMe({
+        name: values.name,
+        email: values.email,
+        timezone: values.timezone || null,
+        locale: values.locale || null,
+      }, { form });
+      onUserChange(user);
+      setSaved(true);
+    } catch (err) {
+      if (handleStale(err)) return;
+      if (err.status === 409) form.setError('email', { type: 'server', message: err.message });
+      else if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  async function uploadAvatar(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setAvatarError('');
+    if (!AVATAR_TYPES.includes(file.type)) {
+      setAvatarError('Choose a PNG, JPEG, GIF or WebP image');
+      return;
+    }
+    if (file.size > AVATAR_MAX_BYTES) {
+      setAvatarError(`The image must be at most ${AVATAR_MAX_BYTES / 1024} KB`);
+      return;
+    }
+    await saveAvatar(await readAsDataUrl(file));
+  }
+
+  async function saveAvatar(avatar) {
+    setUploading(true);
+    setAvatarError('');
+    try {
+      onUserChange(await patchMe({ avatar }));
+    } catch (err) {
+      if (!handleStale(err)) setAvatarError(err.details?.avatar || err.message);
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  const { errors } = form.formState;
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body vstack gap-3">
+        <h5 className="card-title mb-0">My account</h5>
+        {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+        {saved && <div className="alert alert-success py-2 mb-0" role="status">Saved.</div>}
+        {readOnly && (
+          <div className="alert alert-info py-2 mb-0" role="status">Your role cannot change its profile.</div>
+        )}
+
+        <div className="d-flex align-items-center gap-3">
+          <Avatar user={me} apiBase={apiBase} size={64} />
+          {!readOnly && (
+            <div className="vstack gap-1">
+              <div className="d-flex gap-2">
+                <label className={`btn btn-sm btn-outline-primary mb-0 ${uploading ? 'disabled' : ''}`}>
+                  {me.avatarUrl ? 'Change picture' : 'Upload picture'}
+                  <input type="file" accept={AVATAR_TYPES.join(',')} hidden onChange={uploadAvatar} disabled={uploading} />
+                </label>
+                {me.avatarUrl && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline-secondary"
+                    onClick={() => saveAvatar(null)}
+                    disabled={uploading}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <span className="small text-muted">PNG, JPEG, GIF or WebP, up to {AVATAR_MAX_BYTES / 1024} KB.</span>
+              {avatarError && <span className="small text-danger">{avatarError}</span>}
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={form.handleSubmit(onSubmit)} className="vstack gap-3" noValidate>
+          <fieldset className="vstack gap-3" disabled={readOnly}>
+            <div>
+              <label className="form-label">Name <span className="text-danger">*</span></label>
+              <input className={`form-control ${errors.name ? 'is-invalid' : ''}`} required {...form.register('name')} />
+              {errors.name && <div className="invalid-feedback">{errors.name.message}</div>}
+            </div>
+            <div>
+              <label className="form-label">Email <span className="text-danger">*</span></label>
+              <input
+                className={`form-control ${errors.email ? 'is-invalid' : ''}`}
+                type="email"
+                autoComplete="email"
+                required
+                {...form.register('email')}
+              />
+              {errors.email && <div className="invalid-feedback">{errors.email.message}</div>}
+              {me.pendingEmail && (
+                <div className="form-text">
+                  We sent a link to <span className="fw-semibold">{me.pendingEmail}</span>. Your email changes once
+                  you open it.
+                </div>
+              )}
+            </div>
+            <div className="row g-3">
+              <div className="col-sm-7">
+                <label className="form-label">Time zone</label>
+                <select className={`form-select ${errors.timezone ? 'is-invalid' : ''}`} {...form.register('timezone')}>
+                  <option value="">Browser default</option>
+                  {timezones.map((zone) => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+                {errors.timezone && <div className="invalid-feedback">{errors.timezone.message}</div>}
+              </div>
+              <div className="col-sm-5">
+                <label className="form-label">Locale</label>
+                <input
+                  className={`form-control ${errors.locale ? 'is-invalid' : ''}`}
+                  list="account-locales"
+                  placeholder="Browser default"
+                  {...form.register('locale')}
+                />
+                <datalist id="account-locales">
+                  {LOCALES.map((locale) => (
+                    <option key={locale} value={locale} />
+                  ))}
+                </datalist>
+                {errors.locale && <div className="invalid-feedback">{errors.locale.message}</div>}
+              </div>
+            </div>
+          </fieldset>
+          <div className="d-flex gap-2">
+            {!readOnly && (
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!form.formState.isValid || !form.formState.isDirty || form.formState.isSubmitting}
+              >
+                Save
+              </button>
+            )}
+            <button type="button" className="btn btn-outline-secondary" onClick={onDone}>Back</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Opened from the link sent to a new email address, signed in or not.
+export function VerifyEmailCard({ api, token, onVerified, onDone }) {
+  const [state, setState] = useState({ status: 'pending' });
+  // a token works once, so effects that run twice must share the request
+  const request = useRef(null);
+  // the parent passes a new callback every render, the request only needs the latest
+  const verified = useRef(onVerified);
+  verified.current = onVerified;
+
+  useEffect(() => {
+    request.current ||= api('/api/v1/email-verification', { method: 'POST', body: JSON.stringify({ token }) });
+    request.current
+      .then((data) => {
+        setState({ status: 'done', email: data.user.email });
+        verified.current(data.user);
+      })
+      .catch((err) => setState({ status: 'failed', error: err.message }));
+  }, [api, token]);
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body vstack gap-3">
+        <h5 className="card-title mb-0">Confirm email address</h5>
+        {state.status === 'pending' && <p className="mb-0">Checking your link…</p>}
+        {state.status === 'done' && (
+          <div className="alert alert-success py-2 mb-0" role="status">
+            Your email address is now <span className="fw-semibold">{state.email}</span>.
+          </div>
+        )}
+        {state.status === 'failed' && (
+          <div className="alert alert-danger py-2 mb-0" role="alert">{state.error}</div>
+        )}
+        <div>
+          <button type="button" className="btn btn-primary" onClick={onDone} disabled={state.status === 'pending'}>
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
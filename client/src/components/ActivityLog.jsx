@@ -0,0 +1,268 @@
+import { useEffect, useState } from 'react';
+
+const actionLabels = {
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in',
+  'auth.logout': 'Signed out',
+  'auth.lockout': 'Account locked',
+  'user.create': 'Created user',
+  'user.invite': 'Invited user',
+  'user.invite_resend': 'Resent invitation',
+  'user.invite_revoke': 'Revoked invitation',
+  'user.invite_accept': 'Accepted invitation',
+  'user.update': 'Updated user',
+  'user.email_verify': 'Verified new email',
+  'user.delete': 'Deleted user',
+  'user.restore': 'Restored user',
+  'user.purge': 'Purged user',
+  'user.unlock': 'Unlocked account',
+  'user.password_change': 'Changed password',
+  'user.password_reset_issue': 'Issued password reset',
+  'user.password_reset': 'Reset password',
+  'user.2fa_enable': 'Enabled 2FA',
+  'user.2fa_disable': 'Disabled 2FA',
+  'user.2fa_recovery_codes': 'New recovery codes',
+  'user.2fa_reset': 'Reset 2FA',
+  'user.impersonate': 'Viewed as user',
+  'user.impersonate_end': 'Stopped viewing as user',
+  'role.create': 'Created role',
+  'role.update': 'Changed role',
+  'role.delete': 'Deleted role',
+  'group.create': 'Created group',
+  'group.update': 'Changed group',
+  'group.delete': 'Deleted group',
+  'group.member_add': 'Added to group',
+  'group.member_remove': 'Removed from group',
+  'settings.update': 'Changed settings',
+};
+
+const PAGE_SIZE = 25;
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function PersonButton({ person, fallback, onSelect }) {
+  if (!person) return <span className="text-muted">{fallback}</span>;
+  if (!onSelect) return <span>{person.name}</span>;
+  return (
+    <button
+      type="button"
+      className="btn btn-link btn-sm p-0 align-baseline"
+      title={`Only show entries for ${person.email}`}
+      onClick={() => onSelect(person)}
+    >
+      {person.name}
+    </button>
+  );
+}
+
+// Lists audit entries newest first. With `targetId` it becomes the history of
+// a single user and the actor/target filters are hidden.
+export function ActivityLog({ api, targetId }) {
+  const [filters, setFilters] = useState({ action: '', from: '', to: '', actor: null, target: null });
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ data: [], total: 0, totalPages: 1 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+    const target = targetId || filters.target?.id;
+    if (target) params.set('target', target);
+    if (filters.actor) params.set('actor', filters.actor.id);
+    if (filters.action) params.set('action', filters.action);
+    // date inputs are local days, the range includes the whole `to` day
+    if (filters.from) params.set('from', String(new Date(`${filters.from}T00:00:00`).getTime()));
+    if (filters.to) params.set('to', String(new Date(`${filters.to}T23:59:59.999`).getTime()));
+
+    setLoading(true);
+    setError('');
+    api(`/api/v1/audit?${params}`)
+      .then((data) => {
+        if (!cancelled) setResult(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, filters, page, targetId]);
+
+  function updateFilters(changes) {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPage(1);
+  }
+
+  return (
+    <div className="vstack gap-3">
+      <div className="row g-2">
+        <div className="col-12 col-md-4">
+          <select
+            className="form-select form-select-sm"
+            aria-label="Action"
+            value={filters.action}
+            onChange={(e) => updateFilters({ action: e.target.value })}
+          >
+            <option value="">All actions</option>
+            {Object.entries(actionLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-6 col-md-4">
+          <input
+            className="form-control form-control-sm"
+            type="date"
+            aria-label="From"
+            value={filters.from}
+            onChange={(e) => updateFilters({ from: e.target.value })}
+          />
+        </div>
+        <div className="col-6 col-md-4">
+          <input
+            className="form-control form-control-sm"
+            type="date"
+            aria-label="To"
+            value={filters.to}
+            onChange={(e) => updateFilters({ to: e.target.value })}
+          />
+        </div>
+      </div>
+
+      {!targetId && (filters.actor || filters.target) && (
+        <div className="d-flex flex-wrap gap-2">
+          {filters.actor && (
+            <span className="badge rounded-pill text-bg-primary">
+              By {filters.actor.name}
+              <button type="button" className="btn-close btn-close-white ms-2" style={{ fontSize: '0.6em' }} aria-label="Remove actor filter" onClick={() => updateFilters({ actor: null })}></button>
+            </span>
+          )}
+          {filters.target && (
+            <span className="badge rounded-pill text-bg-primary">
+              On {filters.target.name}
+              <button type="button" className="btn-close btn-close-white ms-2" style={{ fontSize: '0.6em' }} aria-label="Remove target filter" onClick={() => updateFilters({ target: null })}></button>
+            </span>
+          )}
+        </div>
+      )}
+
+      {error && <div className="alert alert-danger py-2" role="alert">{error}</div>}
+
+      <div className="table-responsive">
+        <table className="table table-sm align-middle">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Action</th>
+              <th>By</th>
+              {!targetId && <th>User</th>}
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.data.map((entry) => (
+              <tr key={entry.id}>
+                <td className="small text-nowrap">{new Date(entry.at).toLocaleString()}</td>
+                <td>
+                  <span className={`badge ${['auth.login_failed', 'auth.lockout'].includes(entry.action) ? 'text-bg-warning' : 'text-bg-light'}`}>
+                    {actionLabels[entry.action] || entry.action}
+                  </span>
+                </td>
+                <td className="small">
+                  <PersonButton
+                    person={entry.actor}
+                    fallback={entry.meta?.email || 'unknown'}
+                    onSelect={targetId ? undefined : (actor) => updateFilters({ actor })}
+                  />
+                  {entry.impersonator && (
+                    <div className="text-muted" title={entry.impersonator.email}>
+                      viewed as them by {entry.impersonator.name}
+                    </div>
+                  )}
+                </td>
+                {!targetId && (
+                  <td className="small">
+                    <PersonButton person={entry.target} fallback="—" onSelect={(target) => updateFilters({ target })} />
+                  </td>
+                )}
+                <td className="small">
+                  {entry.meta?.group && (
+                    <div>
+                      <span className="fw-semibold">group</span>: {entry.meta.group}
+                    </div>
+                  )}
+                  {Object.entries(entry.changes || {}).map(([field, change]) => (
+                    <div key={field}>
+                      <span className="fw-semibold">{field}</span>:{' '}
+                      <span className="text-decoration-line-through text-muted">{formatValue(change.before)}</span>{' '}
+                      → {formatValue(change.after)}
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+            {result.data.length === 0 && !loading && (
+              <tr>
+                <td colSpan={targetId ? 4 : 5} className="text-center text-muted py-4">No activity found.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="d-flex align-items-center justify-content-between">
+        <span className="small text-muted">{result.total} entries</span>
+        <div className="btn-group btn-group-sm" role="group" aria-label="Pages">
+          <button type="button" className="btn btn-outline-secondary" onClick={() => setPage((p) => p - 1)} disabled={loading || page <= 1}>
+            <i className="bi bi-chevron-left"></i> Prev
+          </button>
+          <span className="btn btn-outline-secondary disabled">{page} / {result.totalPages}</span>
+          <button
+            type="button"
+            className="btn btn-outline-secondary"
+            onClick={() => setPage((p) => p + 1)}
+            disabled={loading || page >= result.totalPages}
+          >
+            Next <i className="bi bi-chevron-right"></i>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function UserHistoryModal({ api, user, onClose }) {
+  return (
+    <>
+      <div
+        className="modal d-block"
+        tabIndex="-1"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="user-history-title"
+        onClick={(e) => e.target === e.currentTarget && onClose()}
+      >
+        <div className="modal-dialog modal-xl modal-dialog-scrollable">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title" id="user-history-title">History of {user.name}</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onClose}></button>
+            </div>
+            <div className="modal-body">
+              <ActivityLog api={api} targetId={user.id} />
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+}
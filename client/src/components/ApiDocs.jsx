@@ -0,0 +1,227 @@
+import { useEffect, useState } from 'react';
+
+const methodColors = {
+  get: 'primary',
+  post: 'success',
+  put: 'warning',
+  patch: 'info',
+  delete: 'danger',
+};
+
+function resolve(spec, schema) {
+  if (!schema?.$ref) return schema || {};
+  return spec.components.schemas[schema.$ref.split('/').pop()] || {};
+}
+
+// a starting point for the request body, built from its JSON Schema
+function exampleOf(spec, schema, depth = 0) {
+  const resolved = resolve(spec, schema);
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.enum) return resolved.enum[0];
+  if (resolved.anyOf) return exampleOf(spec, resolved.anyOf[0], depth);
+  const type = [].concat(resolved.type)[0];
+  if (type === 'object' && depth < 3) {
+    return Object.fromEntries(
+      Object.entries(resolved.properties || {}).map(([key, value]) => [key, exampleOf(spec, value, depth + 1)]),
+    );
+  }
+  if (type === 'array') return [];
+  if (type === 'number' || type === 'integer') return 0;
+  if (type === 'boolean') return false;
+  if (type === 'null') return null;
+  if (resolved.format === 'email') return 'someone@example.com';
+  return type === 'string' ? '' : null;
+}
+
+function bodyOf(operation) {
+  const [mediaType, content] = Object.entries(operation.requestBody?.content || {})[0] || [];
+  return mediaType ? { mediaType, schema: content.schema } : null;
+}
+
+// One operation with a form to call it, signed in as the current user through
+// the app's `api` helper.
+function Operation({ api, spec, basePath, path, method, operation }) {
+  const [open, setOpen] = useState(false);
+  const parameters = operation.parameters || [];
+  const body = bodyOf(operation);
+  const [values, setValues] = useState({});
+  const [bodyText, setBodyText] = useState(() => {
+    if (!body) return '';
+    if (body.mediaType !== 'application/json') return '';
+    return JSON.stringify(exampleOf(spec, body.schema), null, 2);
+  });
+  const [response, setResponse] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  async function send(event) {
+    event.preventDefault();
+    let url = basePath + path.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(values[name] || ''));
+    const query = new URLSearchParams();
+    const headers = {};
+    for (const parameter of parameters) {
+      const value = values[parameter.name];
+      if (!value) continue;
+      if (parameter.in === 'query') query.set(parameter.name, value);
+      if (parameter.in === 'header') headers[parameter.name] = value;
+    }
+    if (query.size) url += `?${query}`;
+    if (body) headers['Content-Type'] = body.mediaType;
+
+    setSending(true);
+    try {
+      const data = await api(url, { method: method.toUpperCase(), headers, ...(body ? { body: bodyText } : {}) });
+      setResponse({ ok: true, status: 'OK', data });
+    } catch (err) {
+      setResponse({ ok: false, status: err.status || 'Error', data: err.data || { error: err.message } });
+    } finally {
+      setSending(false);
+    }
+  }
+
+  return (
+    <div className="border rounded mb-2">
+      <button
+        type="button"
+        className="btn w-100 text-start d-flex align-items-center gap-2"
+        aria-expanded={open}
+        onClick={() => setOpen((value) => !value)}
+      >
+        <span className={`badge text-bg-${methodColors[method] || 'secondary'} text-uppercase`} style={{ width: 64 }}>
+          {method}
+        </span>
+        <code>{path}</code>
+        <span className="text-muted small ms-auto">{operation.summary}</span>
+      </button>
+      {open && (
+        <form className="p-3 border-top vstack gap-2" onSubmit={send}>
+          {operation.description && <p className="small mb-0" style={{ whiteSpace: 'pre-line' }}>{operation.description}</p>}
+          {operation.security?.length === 0 && <div className="small text-muted">No sign-in needed.</div>}
+          {parameters.map((parameter) => (
+            <div className="row g-2 align-items-center" key={`${parameter.in}-${parameter.name}`}>
+              <label className="col-sm-3 col-form-label col-form-label-sm" htmlFor={`${operation.operationId}-${parameter.name}`}>
+                <code>{parameter.name}</code> <span className="text-muted">{parameter.in}</span>
+                {parameter.required && <span className="text-danger"> *</span>}
+              </label>
+              <div className="col-sm-9">
+                <input
+                  id={`${operation.operationId}-${parameter.name}`}
+                  className="form-control form-control-sm"
+                  placeholder={parameter.schema?.default !== undefined ? String(parameter.schema.default) : ''}
+                  value={values[parameter.name] || ''}
+                  onChange={(e) => setValues((prev) => ({ ...prev, [parameter.name]: e.target.value }))}
+                />
+              </div>
+            </div>
+          ))}
+          {body && (
+            <div>
+              <label className="form-label small mb-1" htmlFor={`${operation.operationId}-body`}>
+                Body <span className="text-muted">{body.mediaType}</span>
+              </label>
+              <textarea
+                id={`${operation.operationId}-body`}
+                className="form-control form-control-sm font-monospace"
+                rows={Math.min(12, bodyText.split('\n').length + 1)}
+                value={bodyText}
+                onChange={(e) => setBodyText(e.target.value)}
+              />
+              <details className="small mt-1">
+                <summary>Schema</summary>
+                <pre className="bg-light p-2 mb-0 small">{JSON.stringify(body.schema, null, 2)}</pre>
+              </details>
+            </div>
+          )}
+          <div className="d-flex align-items-center gap-2 flex-wrap">
+            <button type="submit" className="btn btn-sm btn-outline-primary" disabled={sending}>
+              {sending ? 'Sending…' : 'Try it'}
+            </button>
+            <span className="small text-muted">
+              Responses: {Object.keys(operation.responses).join(', ')}
+              {operation['x-permission'] && <> · needs <code>{operation['x-permission']}</code></>}
+            </span>
+          </div>
+          {response && (
+            <div>
+              <span className={`badge text-bg-${response.ok ? 'success' : 'danger'} mb-1`}>{response.status}</span>
+              <pre className="bg-light p-2 mb-0 small" style={{ maxHeight: 320 }}>
+                {JSON.stringify(response.data, null, 2)}
+              </pre>
+            </div>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Reference for the REST API, read from GET /api/v1/openapi.json, which the
+// server generates from the same schemas it validates requests with.
+export function ApiDocs({ api, apiBase }) {
+  const [spec, setSpec] = useState(null);
+  const [error, setError] = useState('');
+  const [tag, setTag] = useState('');
+
+  useEffect(() => {
+    api('/api/v1/openapi.json')
+      .then((data) => {
+        setSpec(data);
+        setTag(data.tags[0]?.name || '');
+      })
+      .catch((err) => setError(err.message));
+  }, [api]);
+
+  if (error) return <div className="alert alert-danger" role="alert">{error}</div>;
+  if (!spec) return <div className="text-muted">Loading…</div>;
+
+  // the paths are relative to the server URL, which holds the API version
+  const basePath = new URL(spec.servers?.[0]?.url || '/api/v1', window.location.href).pathname;
+  const operations = Object.entries(spec.paths).flatMap(([path, methods]) =>
+    Object.entries(methods)
+      .filter(([, operation]) => operation.tags.includes(tag))
+      .map(([method, operation]) => ({ path, method, operation })),
+  );
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body">
+        <div className="d-flex align-items-baseline gap-2 mb-1">
+          <h5 className="card-title mb-0">{spec.info.title}</h5>
+          <span className="badge text-bg-light border">{spec.info.version}</span>
+          <a className="small ms-auto" href={`${apiBase}/api/v1/openapi.json`} target="_blank" rel="noreferrer">
+            openapi.json
+          </a>
+        </div>
+        <p className="small text-muted">{spec.info.description}</p>
+        <div className="row g-3">
+          <div className="col-md-3">
+            <div className="list-group">
+              {spec.tags.map(({ name }) => (
+                <button
+                  key={name}
+                  type="button"
+                  className={`list-group-item list-group-item-action ${name === tag ? 'active' : ''}`}
+                  onClick={() => setTag(name)}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="col-md-9">
+            {operations.map(({ path, method, operation }) => (
+              <Operation
+                key={operation.operationId}
+                api={api}
+                spec={spec}
+                basePath={basePath}
+                path={path}
+                method={method}
+                operation={operation}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { hasPermission, assignableRoles } from '../permissions';
+
+const actionLabels = {
+  role: 'Role change',
+  delete: 'Delete',
+  force_password_reset: 'Password reset',
+};
+
+// Toolbar shown above the users table while rows are selected.
+export function BulkActionBar({ me, roles: allRoles, count, disabled, onRun, onClear }) {
+  const roles = assignableRoles(me, allRoles);
+  const [role, setRole] = useState(roles[0] || '');
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2 p-2 mb-3 rounded bg-body-tertiary border">
+      <span className="small fw-semibold me-2">{count} selected</span>
+      {roles.length > 0 && (
+        <div className="input-group input-group-sm w-auto">
+          <select className="form-select" aria-label="New role" value={role} onChange={(e) => setRole(e.target.value)}>
+            {roles.map((r) => (
+              <option key={r} value={r}>{r}</option>
+            ))}
+          </select>
+          <button type="button" className="btn btn-outline-primary" onClick={() => onRun({ action: 'role', role })} disabled={disabled}>
+            Set role
+          </button>
+        </div>
+      )}
+      {hasPermission(me, 'users.admin') && (
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          onClick={() => onRun({ action: 'force_password_reset' })}
+          disabled={disabled}
+          title="Sign the selected users out and require a new password"
+        >
+          Force password reset
+        </button>
+      )}
+      {hasPermission(me, 'users.delete') && (
+        <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => onRun({ action: 'delete' })} disabled={disabled}>
+          Delete
+        </button>
+      )}
+      <button type="button" className="btn btn-sm btn-link ms-auto" onClick={onClear}>
+        Clear selection
+      </button>
+    </div>
+  );
+}
+
+// Summary of a bulk request: what worked, what failed and why, and for
+// password resets the one-time tokens to hand out.
+export function BulkResultAlert({ result, onClose }) {
+  const failures = result.results.filter((r) => !r.ok);
+  const tokens = result.results.filter((r) => r.ok && r.token);
+
+  return (
+    <div className={`alert alert-dismissible py-2 ${failures.length > 0 ? 'alert-warning' : 'alert-success'}`} role="status">
+      <div className="fw-semibold">
+        {actionLabels[result.action]}: {result.succeeded} succeeded
+        {failures.length > 0 && `, ${failures.length} failed`}
+      </div>
+      {failures.length > 0 && (
+        <ul className="small mb-0 mt-1">
+          {failures.map((r) => (
+            <li key={r.id}>
+              {r.name || r.id}: {r.error}
+            </li>
+          ))}
+        </ul>
+      )}
+      {tokens.length > 0 && (
+        <div className="small mt-2">
+          One-time reset links, shown only now:
+          <ul className="mb-0">
+            {tokens.map((r) => (
+              <li key={r.id}>
+                {r.user.name}:{' '}
+                <code className="text-break">
+                  {`${window.location.origin}/?resetToken=${encodeURIComponent(r.token)}`}
+                </code>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <button type="button" className="btn-close" aria-label="Close" onClick={onClose}></button>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState } from 'react';
+
+const baseFields = [
+  ['name', 'Name'],
+  ['email', 'Email'],
+  ['role', 'Role'],
+];
+
+// custom fields are keyed `fields.<key>`
+function valueAt(values, key) {
+  return key.split('.').reduce((value, part) => value?.[part] ?? null, values);
+}
+
+function display(value) {
+  if (value === null || value === '') return '—';
+  return typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+}
+
+// Shown when a save is rejected because someone else changed the user since
+// the form was opened. `base` is the copy the form started from, `mine` the
+// submitted values and `server` the current copy. Fields only one side changed
+// default to that side; fields both changed default to the user's own value.
+// `customFields` are the definitions from GET /api/custom-fields.
+export function ConflictResolver({ base, mine, server, customFields = [], disabled, onSave, onDiscard }) {
+  const fields = [...baseFields, ...customFields.map((d) => [`fields.${d.key}`, d.label])];
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(fields.map(([key]) => [key, valueAt(mine, key) === valueAt(base, key) ? 'server' : 'mine'])),
+  );
+
+  const differing = fields.filter(([key]) => valueAt(mine, key) !== valueAt(server, key));
+  const merged = { ...mine, fields: { ...mine.fields } };
+  for (const [key] of fields) {
+    const value = valueAt(choices[key] === 'mine' ? mine : server, key);
+    if (key.startsWith('fields.')) merged.fields[key.slice('fields.'.length)] = value;
+    else merged[key] = value;
+  }
+
+  return (
+    <div className="alert alert-warning" role="alert">
+      <div className="fw-semibold mb-2">
+        {server.name} was changed by someone else while you were editing.
+      </div>
+      {differing.length > 0 ? (
+        <table className="table table-sm mb-2 bg-transparent">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Yours</th>
+              <th>Current</th>
+            </tr>
+          </thead>
+          <tbody>
+            {differing.map(([key, label]) => (
+              <tr key={key}>
+                <td>
+                  {label}
+                  {valueAt(mine, key) !== valueAt(base, key) && valueAt(server, key) !== valueAt(base, key) && (
+                    <span className="badge text-bg-danger ms-1">both changed</span>
+                  )}
+                </td>
+                {['mine', 'server'].map((side) => (
+                  <td key={side}>
+                    <label className="form-check mb-0">
+                      <input
+                        className="form-check-input"
+                        type="radio"
+                        name={`conflict-${key}`}
+                        checked={choices[key] === side}
+                        onChange={() => setChoices((prev) => ({ ...prev, [key]: side }))}
+                      />
+                      <span className="form-check-label text-break">{display(valueAt(side === 'mine' ? mine : server, key))}</span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="small mb-2">The current copy already matches your changes.</p>
+      )}
+      {mine.password && <p className="small mb-2">Your new password is kept either way.</p>}
+      <div className="d-flex flex-wrap gap-2">
+        <button type="button" className="btn btn-sm btn-primary" onClick={() => onSave(merged)} disabled={disabled}>
+          Save merged
+        </button>
+        <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => onSave(mine)} disabled={disabled}>
+          Overwrite with mine
+        </button>
+        <button type="button" className="btn btn-sm btn-outline-secondary" onClick={onDiscard} disabled={disabled}>
+          Discard my changes
+        </button>
+      </div>
+    </div>
+  );
+}
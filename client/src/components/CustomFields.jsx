@@ -0,0 +1,282 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { customFieldSchema } from '../schemas';
+
+const typeLabels = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Choice',
+  boolean: 'Yes/No',
+};
+
+const emptyField = {
+  key: '',
+  label: '',
+  type: 'text',
+  required: false,
+  unique: false,
+  options: '',
+  pattern: '',
+  order: 0,
+};
+
+function splitOptions(text) {
+  return text.split(',').map((option) => option.trim()).filter(Boolean);
+}
+
+// One input per custom field, registered as `fields.<key>` on the user form.
+export function CustomFieldInputs({ form, definitions }) {
+  const errors = form.formState.errors.fields || {};
+  return definitions.map((definition) => {
+    const name = `fields.${definition.key}`;
+    const error = errors[definition.key];
+    const id = `custom-field-${definition.key}`;
+    if (definition.type === 'boolean') {
+      return (
+        <div key={definition.key} className="form-check">
+          <input id={id} className={`form-check-input ${error ? 'is-invalid' : ''}`} type="checkbox" {...form.register(name)} />
+          <label className="form-check-label" htmlFor={id}>{definition.label}</label>
+          {error && <div className="invalid-feedback">{error.message}</div>}
+        </div>
+      );
+    }
+    return (
+      <div key={definition.key}>
+        <label className="form-label" htmlFor={id}>
+          {definition.label} {definition.required && <span className="text-danger">*</span>}
+        </label>
+        {definition.type === 'select' ? (
+          <select id={id} className={`form-select ${error ? 'is-invalid' : ''}`} {...form.register(name)}>
+            <option value="">—</option>
+            {definition.options.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            id={id}
+            className={`form-control ${error ? 'is-invalid' : ''}`}
+            type={definition.type === 'text' ? 'text' : definition.type}
+            required={definition.required}
+            {...form.register(name)}
+          />
+        )}
+        {error && <div className="invalid-feedback">{error.message}</div>}
+      </div>
+    );
+  });
+}
+
+// Admin screen for the field definitions. `onChange` runs after every saved
+// change so the app reloads the definitions the user form is built from.
+export function CustomFieldsEditor({ api, definitions, onChange }) {
+  const [editingKey, setEditingKey] = useState('');
+  const [error, setError] = useState('');
+  const form = useForm({
+    resolver: zodResolver(customFieldSchema),
+    defaultValues: emptyField,
+    mode: 'onChange',
+  });
+  const type = form.watch('type');
+
+  function startEdit(definition) {
+    setEditingKey(definition.key);
+    setError('');
+    form.reset({ ...definition, options: definition.options.join(', ') });
+  }
+
+  function cancelEdit() {
+    setEditingKey('');
+    form.reset(emptyField);
+  }
+
+  async function save(values) {
+    setError('');
+    const body = {
+      label: values.label,
+      required: values.required,
+      unique: values.type !== 'boolean' && values.unique,
+      options: values.type === 'select' ? splitOptions(values.options) : [],
+      pattern: values.type === 'text' ? values.pattern : '',
+      order: values.order,
+    };
+    try {
+      if (editingKey) {
+        await api(`/api/v1/custom-fields/${editingKey}`, { method: 'PUT', body: JSON.stringify(body), form });
+      } else {
+        await api('/api/v1/custom-fields', {
+          method: 'POST',
+          body: JSON.stringify({ ...body, key: values.key, type: values.type }),
+          form,
+        });
+      }
+      cancelEdit();
+      onChange();
+    } catch (err) {
+      if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  async function remove(definition) {
+    if (!confirm(`Delete the field ${definition.label}? Its values are removed from every user.`)) return;
+    setError('');
+    try {
+      await api(`/api/v1/custom-fields/${definition.key}`, { method: 'DELETE' });
+      if (editingKey === definition.key) cancelEdit();
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const { errors } = form.formState;
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body vstack gap-3">
+        <h5 className="card-title mb-0">Custom fields</h5>
+        {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+
+        <div className="table-responsive">
+          <table className="table table-sm align-middle mb-0">
+            <thead>
+              <tr>
+                <th>Label</th>
+                <th>Key</th>
+                <th>Type</th>
+                <th>Rules</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {definitions.map((definition) => (
+                <tr key={definition.key} className={definition.key === editingKey ? 'table-active' : undefined}>
+                  <td className="fw-semibold">{definition.label}</td>
+                  <td className="font-monospace small">{definition.key}</td>
+                  <td>{typeLabels[definition.type]}</td>
+                  <td className="small">
+                    {definition.required && <span className="badge text-bg-light border me-1">required</span>}
+                    {definition.unique && <span className="badge text-bg-light border me-1">unique</span>}
+                    {definition.options.length > 0 && <div className="text-muted">{definition.options.join(', ')}</div>}
+                    {definition.pattern && <code>{definition.pattern}</code>}
+                  </td>
+                  <td className="text-end text-nowrap">
+                    <button type="button" className="btn btn-sm btn-outline-secondary me-1" onClick={() => startEdit(definition)}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => remove(definition)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {definitions.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="text-center text-muted py-3">No custom fields yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <form onSubmit={form.handleSubmit(save)} className="vstack gap-2" noValidate>
+          <h6 className="mb-0">{editingKey ? 'Edit field' : 'New field'}</h6>
+          <div className="row g-2">
+            <div className="col-sm-4">
+              <input
+                className={`form-control form-control-sm ${errors.label ? 'is-invalid' : ''}`}
+                placeholder="Label"
+                aria-label="Label"
+                {...form.register('label')}
+              />
+              {errors.label && <div className="invalid-feedback">{errors.label.message}</div>}
+            </div>
+            <div className="col-sm-4">
+              <input
+                className={`form-control form-control-sm font-monospace ${errors.key ? 'is-invalid' : ''}`}
+                placeholder="key"
+                aria-label="Key"
+                readOnly={Boolean(editingKey)}
+                {...form.register('key')}
+              />
+              {errors.key && <div className="invalid-feedback">{errors.key.message}</div>}
+            </div>
+            <div className="col-sm-4">
+              {/* key and type cannot change once users may have values */}
+              {editingKey ? (
+                <input className="form-control form-control-sm" aria-label="Type" value={typeLabels[type]} readOnly />
+              ) : (
+                <select className="form-select form-select-sm" aria-label="Type" {...form.register('type')}>
+                  {Object.entries(typeLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            {type === 'select' && (
+              <div className="col-12">
+                <input
+                  className={`form-control form-control-sm ${errors.options ? 'is-invalid' : ''}`}
+                  placeholder="Options, separated by commas"
+                  aria-label="Options"
+                  {...form.register('options')}
+                />
+                {errors.options && <div className="invalid-feedback">{errors.options.message}</div>}
+              </div>
+            )}
+            {type === 'text' && (
+              <div className="col-12">
+                <input
+                  className={`form-control form-control-sm font-monospace ${errors.pattern ? 'is-invalid' : ''}`}
+                  placeholder="Pattern (optional regular expression)"
+                  aria-label="Pattern"
+                  {...form.register('pattern')}
+                />
+                {errors.pattern && <div className="invalid-feedback">{errors.pattern.message}</div>}
+              </div>
+            )}
+            <div className="col-sm-3">
+              <input
+                className={`form-control form-control-sm ${errors.order ? 'is-invalid' : ''}`}
+                type="number"
+                aria-label="Order"
+                title="Fields are shown in this order"
+                {...form.register('order')}
+              />
+              {errors.order && <div className="invalid-feedback">{errors.order.message}</div>}
+            </div>
+            <div className="col-sm-9 d-flex align-items-center gap-3">
+              <label className="form-check mb-0">
+                <input className="form-check-input" type="checkbox" {...form.register('required')} />
+                <span className="form-check-label">Required</span>
+              </label>
+              {type !== 'boolean' && (
+                <label className={`form-check mb-0 ${errors.unique ? 'is-invalid' : ''}`}>
+                  <input className="form-check-input" type="checkbox" {...form.register('unique')} />
+                  <span className="form-check-label">Unique</span>
+                </label>
+              )}
+              {errors.unique && <span className="small text-danger">{errors.unique.message}</span>}
+            </div>
+          </div>
+          <div className="d-flex gap-2">
+            <button
+              type="submit"
+              className="btn btn-sm btn-primary"
+              disabled={!form.formState.isValid || form.formState.isSubmitting}
+            >
+              {editingKey ? 'Save' : 'Add field'}
+            </button>
+            {editingKey && (
+              <button type="button" className="btn btn-sm btn-outline-secondary" onClick={cancelEdit}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,351 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { groupSchema } from '../schemas';
+import { hasPermission } from '../permissions';
+
+// the members panel shows one page, groups are expected to stay small
+const MEMBER_LIMIT = 100;
+
+const emptyGroup = { name: '', description: '' };
+
+// Members of one group. Adding members and choosing managers needs
+// groups.manage, the group's managers may only remove members.
+function GroupMembers({ api, me, group, onChange }) {
+  const [members, setMembers] = useState({ data: [], total: 0 });
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const canManage = hasPermission(me, 'groups.manage');
+  const canRemove = canManage || group.managerIds.includes(me.id);
+
+  const load = useCallback(async () => {
+    try {
+      setMembers(await api(`/api/v1/users?group=${encodeURIComponent(group.id)}&sort=name&limit=${MEMBER_LIMIT}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api, group.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // users matching the search who are not members yet
+  useEffect(() => {
+    const text = search.trim();
+    if (!canManage || !text) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      api(`/api/v1/users?q=${encodeURIComponent(text)}&limit=10`)
+        .then((data) => {
+          if (!cancelled) setResults(data.data);
+        })
+        .catch((err) => {
+          if (!cancelled) setError(err.message);
+        });
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [api, search, canManage]);
+
+  async function run(request) {
+    setBusy(true);
+    setError('');
+    try {
+      await request();
+      await load();
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const base = `/api/v1/groups/${encodeURIComponent(group.id)}`;
+
+  function addMember(user) {
+    setSearch('');
+    return run(() => api(`${base}/members/${user.id}`, { method: 'PUT' }));
+  }
+
+  function removeMember(user) {
+    if (!confirm(`Remove ${user.name} from ${group.name}?`)) return;
+    run(() => api(`${base}/members/${user.id}`, { method: 'DELETE' }));
+  }
+
+  function toggleManager(user) {
+    const managerIds = group.managerIds.includes(user.id)
+      ? group.managerIds.filter((id) => id !== user.id)
+      : [...group.managerIds, user.id];
+    run(() => api(base, { method: 'PUT', body: JSON.stringify({ managerIds }) }));
+  }
+
+  const memberIds = members.data.map((u) => u.id);
+  const candidates = results.filter((u) => !memberIds.includes(u.id));
+
+  return (
+    <div className="vstack gap-3">
+      <div>
+        <h6 className="mb-0">{group.name}</h6>
+        {group.description && <div className="small text-muted">{group.description}</div>}
+      </div>
+      {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+
+      {canManage && (
+        <div className="position-relative">
+          <input
+            className="form-control form-control-sm"
+            type="search"
+            placeholder="Add a member by name or email"
+            aria-label="Add a member"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          {candidates.length > 0 && (
+            <ul className="list-group position-absolute w-100 shadow-sm" style={{ zIndex: 10 }}>
+              {candidates.map((u) => (
+                <li key={u.id} className="list-group-item d-flex align-items-center justify-content-between py-1">
+                  <span className="small">
+                    {u.name} <span className="text-muted">{u.email}</span>
+                  </span>
+                  <button type="button" className="btn btn-sm btn-link" onClick={() => addMember(u)} disabled={busy}>
+                    Add
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <ul className="list-group">
+        {members.data.map((u) => {
+          const manager = group.managerIds.includes(u.id);
+          return (
+            <li key={u.id} className="list-group-item d-flex align-items-center justify-content-between gap-2">
+              <div className="small">
+                <span className="fw-semibold">{u.name}</span>
+                {manager && <span className="badge text-bg-info ms-1">manager</span>}
+                <div className="text-muted">{u.email}</div>
+              </div>
+              <div className="d-flex gap-1">
+                {canManage && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline-secondary"
+                    aria-pressed={manager}
+                    onClick={() => toggleManager(u)}
+                    disabled={busy}
+                  >
+                    {manager ? 'Not manager' : 'Make manager'}
+                  </button>
+                )}
+                {canRemove && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline-danger"
+                    onClick={() => removeMember(u)}
+                    disabled={busy}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+        {members.data.length === 0 && (
+          <li className="list-group-item text-center text-muted small py-3">No members yet.</li>
+        )}
+      </ul>
+      {members.total > members.data.length && (
+        <p className="small text-muted mb-0">
+          Showing {members.data.length} of {members.total} members, filter the users table by this group to see all.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Groups with their member counts. `onChange` runs after every saved change
+// so the app can reload its group list and the users table.
+export function GroupsPage({ api, me, onChange }) {
+  const [groups, setGroups] = useState(null);
+  const [selectedId, setSelectedId] = useState('');
+  const [editingId, setEditingId] = useState('');
+  const [error, setError] = useState('');
+  const canManage = hasPermission(me, 'groups.manage');
+  const form = useForm({
+    resolver: zodResolver(groupSchema),
+    defaultValues: emptyGroup,
+    mode: 'onChange',
+  });
+
+  const load = useCallback(async () => {
+    try {
+      const data = await api('/api/v1/groups');
+      setGroups(data.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function changed() {
+    await load();
+    onChange();
+  }
+
+  function startEdit(group) {
+    setEditingId(group.id);
+    form.reset({ name: group.name, description: group.description || '' });
+  }
+
+  function cancelEdit() {
+    setEditingId('');
+    form.reset(emptyGroup);
+  }
+
+  async function save(values) {
+    setError('');
+    try {
+      const group = await api(editingId ? `/api/v1/groups/${encodeURIComponent(editingId)}` : '/api/v1/groups', {
+        method: editingId ? 'PUT' : 'POST',
+        body: JSON.stringify(values),
+        form,
+      });
+      cancelEdit();
+      setSelectedId(group.id);
+      await changed();
+    } catch (err) {
+      if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  async function remove(group) {
+    if (!confirm(`Delete the group ${group.name}? Its members keep their accounts.`)) return;
+    setError('');
+    try {
+      await api(`/api/v1/groups/${encodeURIComponent(group.id)}`, { method: 'DELETE' });
+      if (selectedId === group.id) setSelectedId('');
+      if (editingId === group.id) cancelEdit();
+      await changed();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const { errors } = form.formState;
+  const selected = groups?.find((g) => g.id === selectedId);
+
+  return (
+    <div className="row g-4">
+      <div className="col-12 col-lg-6">
+        <div className="card shadow-sm h-100">
+          <div className="card-body vstack gap-3">
+            <h5 className="card-title mb-0">Groups</h5>
+            {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+
+            {groups && (
+              <div className="list-group">
+                {groups.map((group) => (
+                  <div
+                    key={group.id}
+                    className={`list-group-item d-flex align-items-center justify-content-between gap-2 ${group.id === selectedId ? 'active' : ''}`}
+                  >
+                    <button
+                      type="button"
+                      className={`btn btn-link p-0 text-start text-decoration-none ${group.id === selectedId ? 'text-white' : ''}`}
+                      aria-current={group.id === selectedId ? 'true' : undefined}
+                      onClick={() => setSelectedId(group.id)}
+                    >
+                      <span className="fw-semibold">{group.name}</span>
+                      {group.description && <div className="small opacity-75">{group.description}</div>}
+                    </button>
+                    <div className="d-flex align-items-center gap-1">
+                      <span className="badge rounded-pill text-bg-secondary" title="Members">{group.memberCount}</span>
+                      {canManage && (
+                        <>
+                          <button type="button" className="btn btn-sm btn-light" onClick={() => startEdit(group)}>
+                            Edit
+                          </button>
+                          <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => remove(group)}>
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {groups.length === 0 && (
+                  <div className="list-group-item text-center text-muted py-3">No groups yet.</div>
+                )}
+              </div>
+            )}
+
+            {canManage && (
+              <form onSubmit={form.handleSubmit(save)} className="vstack gap-2" noValidate>
+                <h6 className="mb-0">{editingId ? 'Edit group' : 'New group'}</h6>
+                <div>
+                  <input
+                    className={`form-control form-control-sm ${errors.name ? 'is-invalid' : ''}`}
+                    placeholder="Name"
+                    aria-label="Group name"
+                    {...form.register('name')}
+                  />
+                  {errors.name && <div className="invalid-feedback">{errors.name.message}</div>}
+                </div>
+                <div>
+                  <input
+                    className={`form-control form-control-sm ${errors.description ? 'is-invalid' : ''}`}
+                    placeholder="Description (optional)"
+                    aria-label="Group description"
+                    {...form.register('description')}
+                  />
+                  {errors.description && <div className="invalid-feedback">{errors.description.message}</div>}
+                </div>
+                <div className="d-flex gap-2">
+                  <button
+                    type="submit"
+                    className="btn btn-sm btn-primary"
+                    disabled={!form.formState.isValid || form.formState.isSubmitting}
+                  >
+                    {editingId ? 'Save' : 'Add group'}
+                  </button>
+                  {editingId && (
+                    <button type="button" className="btn btn-sm btn-outline-secondary" onClick={cancelEdit}>
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="col-12 col-lg-6">
+        <div className="card shadow-sm h-100">
+          <div className="card-body">
+            {selected ? (
+              <GroupMembers key={selected.id} api={api} me={me} group={selected} onChange={changed} />
+            ) : (
+              <p className="text-muted mb-0">Choose a group to see its members.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
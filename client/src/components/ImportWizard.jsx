@@ -0,0 +1,183 @@
+import { useState } from 'react';
+
+const baseColumns = [
+  ['name', 'Name'],
+  ['email', 'Email'],
+  ['role', 'Role'],
+  ['password', 'Password'],
+];
+
+function detectContentType(fileName, text) {
+  if (/\.json$/i.test(fileName)) return 'application/json';
+  if (/\.csv$/i.test(fileName)) return 'text/csv';
+  return /^\s*[[{]/.test(text) ? 'application/json' : 'text/csv';
+}
+
+// Upload -> server dry run preview -> all-or-nothing import. Custom fields
+// (`customFields` from GET /api/custom-fields) are extra columns named by key.
+export function ImportWizard({ api, customFields = [], onClose, onImported }) {
+  const columns = [...baseColumns, ...customFields.map((d) => [`fields.${d.key}`, d.label])];
+  const [step, setStep] = useState('select');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [imported, setImported] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  async function send(dryRun) {
+    const text = await file.text();
+    const contentType = detectContentType(file.name, text);
+    return api(`/api/v1/users/import${dryRun ? '?dryRun=true' : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: text,
+    });
+  }
+
+  async function runPreview() {
+    setBusy(true);
+    setError('');
+    try {
+      setPreview(await send(true));
+      setStep('preview');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function runImport() {
+    setBusy(true);
+    setError('');
+    try {
+      const result = await send(false);
+      setImported(result.imported);
+      setStep('done');
+      onImported();
+    } catch (err) {
+      // someone may have taken an email since the preview
+      if (err.data?.rows) setPreview(err.data);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <div
+        className="modal d-block"
+        tabIndex="-1"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-title"
+        onClick={(e) => e.target === e.currentTarget && !busy && onClose()}
+      >
+        <div className="modal-dialog modal-xl modal-dialog-scrollable">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title" id="import-title">Import users</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onClose} disabled={busy}></button>
+            </div>
+            <div className="modal-body vstack gap-3">
+              {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+
+              {step === 'select' && (
+                <>
+                  <p className="mb-0">
+                    Upload a CSV file with a header row, or a JSON array of objects, with the columns{' '}
+                    <code>name</code>, <code>email</code>, <code>role</code> and <code>password</code>.
+                    {customFields.length > 0 && (
+                      <>
+                        {' '}Custom fields go in columns named by their key:{' '}
+                        {customFields.map((d, index) => (
+                          <span key={d.key}>
+                            {index > 0 && ', '}
+                            <code>{d.key}</code>
+                          </span>
+                        ))}.
+                      </>
+                    )}
+                    {' '}Nothing is imported until every row is valid.
+                  </p>
+                  <input
+                    className="form-control"
+                    type="file"
+                    accept=".csv,.json,text/csv,application/json"
+                    aria-label="Import file"
+                    onChange={(e) => setFile(e.target.files?.[0] || null)}
+                  />
+                </>
+              )}
+
+              {step === 'preview' && preview && (
+                <>
+                  <div className={`alert py-2 mb-0 ${preview.invalid > 0 ? 'alert-warning' : 'alert-success'}`}>
+                    {preview.valid} of {preview.total} rows are valid.
+                    {preview.invalid > 0 && ' Fix the highlighted cells in your file and upload it again.'}
+                  </div>
+                  <div className="table-responsive">
+                    <table className="table table-sm table-bordered align-middle">
+                      <thead>
+                        <tr>
+                          <th>Row</th>
+                          {columns.map(([key, label]) => <th key={key}>{label}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {preview.rows.map((row) => (
+                          <tr key={row.row}>
+                            <td className="text-muted">{row.row}</td>
+                            {columns.map(([key]) => (
+                              <td key={key} className={row.errors[key] ? 'table-danger' : undefined}>
+                                {key === 'password' ? (row.errors.password ? '' : '••••••') : row.values[key]}
+                                {row.errors[key] && <div className="small text-danger">{row.errors[key]}</div>}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+
+              {step === 'done' && (
+                <div className="alert alert-success mb-0" role="status">
+                  Imported {imported} users.
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              {step === 'select' && (
+                <button type="button" className="btn btn-primary" onClick={runPreview} disabled={!file || busy}>
+                  {busy ? 'Checking...' : 'Preview'}
+                </button>
+              )}
+              {step === 'preview' && (
+                <>
+                  <button type="button" className="btn btn-outline-secondary" onClick={() => setStep('select')} disabled={busy}>
+                    Choose another file
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={runImport}
+                    disabled={busy || !preview || preview.invalid > 0}
+                  >
+                    {busy ? 'Importing...' : `Import ${preview?.valid ?? 0} users`}
+                  </button>
+                </>
+              )}
+              {step === 'done' && (
+                <button type="button" className="btn btn-primary" onClick={onClose}>Close</button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+}
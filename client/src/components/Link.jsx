@@ -0,0 +1,20 @@
+import { navigate } from '../router';
+
+// An anchor that changes the route without reloading; modified clicks
+// (new tab, new window) are left to the browser.
+export function Link({ to, onClick, children, ...props }) {
+  function handleClick(event) {
+    onClick?.(event);
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+}
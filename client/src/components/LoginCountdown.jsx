@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+function formatRemaining(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Replaces the sign-in error while the server refuses attempts (429), and
+// calls onDone once `until` has passed.
+export function LoginCountdown({ until, locked, onDone }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= until) onDone();
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [until, onDone]);
+
+  return (
+    <div className="alert alert-warning py-2" role="alert">
+      {locked
+        ? 'This account is temporarily locked after too many failed sign-ins.'
+        : 'Too many sign-in attempts.'}{' '}
+      You can try again in <span className="fw-semibold">{formatRemaining(until - now)}</span>.
+      {locked && <div className="small mt-1">An administrator can unlock it sooner.</div>}
+    </div>
+  );
+}
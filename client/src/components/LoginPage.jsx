@@ -0,0 +1,148 @@
+import { useCallback, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { loginSchema } from '../schemas';
+import { useApi } from '../hooks';
+import { LoginCountdown } from './LoginCountdown';
+import { TwoFactorLoginForm } from './TwoFactor';
+
+// /login: email and password, then the 2FA code for accounts that have it.
+// `onSignedIn` receives { token, user }; `notice` is shown above the form,
+// e.g. after a password reset.
+export function LoginPage({ notice, onSignedIn, onForgotPassword }) {
+  const client = useApi();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  // { until, locked } while the server rate limits sign-in attempts
+  const [loginBlock, setLoginBlock] = useState(null);
+  const clearLoginBlock = useCallback(() => setLoginBlock(null), []);
+  // set between the password and the 2FA code step of signing in
+  const [challengeToken, setChallengeToken] = useState(null);
+  const form = useForm({
+    resolver: zodResolver(loginSchema),
+    defaultValues: { email: '', password: '' },
+    mode: 'onChange',
+  });
+  const { errors } = form.formState;
+
+  async function onSubmit(values) {
+    setError('');
+    setLoading(true);
+    try {
+      const data = await client.request('/api/v1/login', { method: 'POST', body: JSON.stringify(values), form });
+      if (data.twoFactorRequired) setChallengeToken(data.challengeToken);
+      else onSignedIn(data);
+    } catch (err) {
+      if (err.status === 429) blockLogin(err);
+      else if (!err.shownOnForm) setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function blockLogin(err) {
+    setLoginBlock({ until: Date.now() + (err.data?.retryAfter || 1) * 1000, locked: Boolean(err.data?.locked) });
+  }
+
+  function finishTwoFactorLogin(data) {
+    setChallengeToken(null);
+    onSignedIn(data);
+  }
+
+  function cancelTwoFactorLogin(message) {
+    setChallengeToken(null);
+    setError(message);
+  }
+
+  return (
+    <div className="row justify-content-center">
+      <div className="col-12 col-md-8 col-lg-5">
+        <div className="card shadow-sm">
+          <div className="card-body">
+            <h5 className="card-title mb-3">Sign in</h5>
+            <div aria-live="polite" aria-atomic="true">
+              {notice && (
+                <div className="alert alert-success py-2" role="status">
+                  {notice}
+                </div>
+              )}
+              {loginBlock ? (
+                <LoginCountdown until={loginBlock.until} locked={loginBlock.locked} onDone={clearLoginBlock} />
+              ) : error && (
+                <div className="alert alert-danger py-2" role="alert">
+                  {error}
+                </div>
+              )}
+            </div>
+            {challengeToken ? (
+              <TwoFactorLoginForm
+                api={client.request}
+                challengeToken={challengeToken}
+                onSignedIn={finishTwoFactorLogin}
+                onCancel={cancelTwoFactorLogin}
+                onTooManyAttempts={blockLogin}
+              />
+            ) : (
+              <form onSubmit={form.handleSubmit(onSubmit)} className="vstack gap-3" noValidate>
+                <div>
+                  <label className="form-label">Email <span className="text-danger">*</span></label>
+                  <input
+                    className={`form-control ${errors.email ? 'is-invalid' : ''}`}
+                    placeholder="Email"
+                    autoComplete="username"
+                    type="email"
+                    required
+                    autoFocus
+                    {...form.register('email')}
+                  />
+                  {errors.email && <div className="invalid-feedback">{errors.email.message}</div>}
+                </div>
+                <div>
+                  <label className="form-label">Password <span className="text-danger">*</span></label>
+                  <div className="input-group">
+                    <input
+                      className={`form-control ${errors.password ? 'is-invalid' : ''}`}
+                      placeholder="Password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      required
+                      {...form.register('password')}
+                    />
+                    <button
+                      type="button"
+                      className="btn btn-outline-secondary"
+                      onClick={() => setShowPassword((v) => !v)}
+                      aria-label="Toggle password visibility"
+                      title={showPassword ? 'Hide password' : 'Show password'}
+                    >
+                      <i className={`bi ${showPassword ? 'bi-eye-slash' : 'bi-eye'}`}></i>
+                    </button>
+                    {errors.password && <div className="invalid-feedback d-block">{errors.password.message}</div>}
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={!form.formState.isValid || loading || Boolean(loginBlock)}
+                >
+                  {loading ? (
+                    <>
+                      <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                      Logging in...
+                    </>
+                  ) : (
+                    'Login'
+                  )}
+                </button>
+                <button type="button" className="btn btn-link btn-sm p-0" onClick={onForgotPassword}>
+                  Have a password reset token?
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { changePasswordSchema, resetPasswordSchema, acceptInviteSchema } from '../schemas';
+
+function PasswordField({ form, name, label, autoComplete }) {
+  const error = form.formState.errors[name];
+  return (
+    <div>
+      <label className="form-label">{label} <span className="text-danger">*</span></label>
+      <input
+        className={`form-control ${error ? 'is-invalid' : ''}`}
+        placeholder={label}
+        type="password"
+        autoComplete={autoComplete}
+        required
+        {...form.register(name)}
+      />
+      {error && <div className="invalid-feedback">{error.message}</div>}
+    </div>
+  );
+}
+
+export function ChangePasswordCard({ api, onDone }) {
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const form = useForm({
+    resolver: zodResolver(changePasswordSchema),
+    defaultValues: { currentPassword: '', newPassword: '', confirmPassword: '' },
+    mode: 'onChange',
+  });
+
+  async function onSubmit({ currentPassword, newPassword }) {
+    setError('');
+    setSuccess(false);
+    try {
+      await api('/api/v1/me/password', {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword, newPassword }),
+        form,
+      });
+      setSuccess(true);
+      form.reset();
+    } catch (err) {
+      if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body">
+        <div className="d-flex align-items-center justify-content-between mb-3">
+          <h5 className="card-title mb-0">Change my password</h5>
+          <button className="btn btn-sm btn-outline-secondary" onClick={onDone}>Back</button>
+        </div>
+        {error && <div className="alert alert-danger py-2" role="alert">{error}</div>}
+        {success && <div className="alert alert-success py-2" role="status">Password updated.</div>}
+        <form onSubmit={form.handleSubmit(onSubmit)} className="vstack gap-3" noValidate>
+          <PasswordField form={form} name="currentPassword" label="Current password" autoComplete="current-password" />
+          <PasswordField form={form} name="newPassword" label="New password" autoComplete="new-password" />
+          <PasswordField form={form} name="confirmPassword" label="Confirm new password" autoComplete="new-password" />
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={!form.formState.isValid || form.formState.isSubmitting}
+          >
+            Update password
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export function ResetPasswordCard({ api, initialToken = '', onDone }) {
+  const [error, setError] = useState('');
+  const form = useForm({
+    resolver: zodResolver(resetPasswordSchema),
+    defaultValues: { token: initialToken, newPassword: '', confirmPassword: '' },
+    mode: 'onChange',
+  });
+
+  async function onSubmit({ token, newPassword }) {
+    setError('');
+    try {
+      await api('/api/v1/password-reset', {
+        method: 'POST',
+        body: JSON.stringify({ token, newPassword }),
+        form,
+      });
+      onDone(true);
+    } catch (err) {
+      if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body">
+        <h5 className="card-title mb-3">Reset password</h5>
+        {error && <div className="alert alert-danger py-2" role="alert">{error}</div>}
+        <form onSubmit={form.handleSubmit(onSubmit)} className="vstack gap-3" noValidate>
+          <div>
+            <label className="form-label">Reset token <span className="text-danger">*</span></label>
+            <input
+              className={`form-control ${form.formState.errors.token ? 'is-invalid' : ''}`}
+              placeholder="Reset token"
+              required
+              {...form.register('token')}
+            />
+            {form.formState.errors.token && (
+              <div className="invalid-feedback">{form.formState.errors.token.message}</div>
+            )}
+          </div>
+          <PasswordField form={form} name="newPassword" label="New password" autoComplete="new-password" />
+          <PasswordField form={form} name="confirmPassword" label="Confirm new password" autoComplete="new-password" />
+          <div className="d-flex gap-2">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={!form.formState.isValid || form.formState.isSubmitting}
+            >
+              Set new password
+            </button>
+            <button type="button" className="btn btn-outline-secondary" onClick={() => onDone(false)}>
+              Back to sign in
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Landing page of an invitation link: the invitee picks a password and is
+// signed in straight away.
+export function AcceptInviteCard({ api, token, onSignedIn, onCancel }) {
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState('');
+  const form = useForm({
+    resolver: zodResolver(acceptInviteSchema),
+    defaultValues: { newPassword: '', confirmPassword: '' },
+    mode: 'onChange',
+  });
+
+  useEffect(() => {
+    api('/api/v1/invitations/lookup', { method: 'POST', body: JSON.stringify({ token }) })
+      .then(setInvite)
+      .catch((err) => setError(err.message));
+  }, [api, token]);
+
+  async function onSubmit({ newPassword }) {
+    setError('');
+    try {
+      const data = await api('/api/v1/invitations/accept', {
+        method: 'POST',
+        body: JSON.stringify({ token, password: newPassword }),
+        form,
+      });
+      onSignedIn(data);
+    } catch (err) {
+      if (err.details?.password) form.setError('newPassword', { type: 'server', message: err.details.password });
+      else if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body">
+        <h5 className="card-title mb-3">Accept invitation</h5>
+        {error && <div className="alert alert-danger py-2" role="alert">{error}</div>}
+        {invite && (
+          <form onSubmit={form.handleSubmit(onSubmit)} className="vstack gap-3" noValidate>
+            <p className="mb-0">
+              Welcome, {invite.name}. Choose a password for <span className="fw-semibold">{invite.email}</span>.
+            </p>
+            <PasswordField form={form} name="newPassword" label="Password" autoComplete="new-password" />
+            <PasswordField form={form} name="confirmPassword" label="Confirm password" autoComplete="new-password" />
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={!form.formState.isValid || form.formState.isSubmitting}
+            >
+              Activate account
+            </button>
+          </form>
+        )}
+        <button type="button" className="btn btn-link btn-sm p-0 mt-3" onClick={onCancel}>
+          Back to sign in
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { useOffline } from '../hooks';
+
+// The changes to users made offline that have not reached the server yet.
+// Rejected ones stay with the server's reason until they are retried (after
+// fixing what it complained about elsewhere, e.g. freeing an email) or
+// discarded.
+export function PendingChanges() {
+  const { online, items, retry, discard } = useOffline();
+  if (items.length === 0) return null;
+  const waiting = items.filter((item) => item.status === 'pending').length;
+
+  return (
+    <div className="card border-warning mb-3">
+      <div className="card-body py-2">
+        <div className="fw-semibold small mb-1">
+          <i className="bi bi-cloud-arrow-up"></i>{' '}
+          {waiting > 0
+            ? `${waiting} change${waiting === 1 ? '' : 's'} waiting to be sent${online ? '' : ' when the connection is back'}`
+            : 'Changes the server did not accept'}
+        </div>
+        <ul className="list-unstyled small mb-0 vstack gap-1">
+          {items.map((item) => (
+            <li key={item.id} className="d-flex align-items-start gap-2">
+              <span className={`badge ${item.status === 'failed' ? 'text-bg-danger' : 'text-bg-secondary'}`}>
+                {item.status === 'failed' ? 'Not saved' : 'Waiting'}
+              </span>
+              <div className="flex-grow-1">
+                {item.label}
+                <span className="text-muted"> · {new Date(item.createdAt).toLocaleTimeString()}</span>
+                {item.error && (
+                  <div className="text-danger">
+                    {item.error.message}
+                    {item.error.details && (
+                      <ul className="mb-0">
+                        {Object.entries(item.error.details).map(([field, message]) => (
+                          <li key={field}>{field}: {message}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+              {item.status === 'failed' && (
+                <button type="button" className="btn btn-link btn-sm py-0" onClick={() => retry(item.id)} disabled={!online}>
+                  Retry
+                </button>
+              )}
+              <button
+                type="button"
+                className="btn btn-link btn-sm py-0 text-danger"
+                onClick={() => discard(item.id)}
+                aria-label={`Discard: ${item.label}`}
+              >
+                Discard
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
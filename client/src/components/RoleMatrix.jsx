@@ -0,0 +1,271 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { roleCreateSchema } from '../schemas';
+
+const permissionLabels = {
+  'users.read': 'View users',
+  'users.write': 'Edit users',
+  'users.delete': 'Delete users',
+  'users.admin': 'Administer users',
+  'profile.write': 'Edit own profile',
+  'audit.read': 'Read activity',
+  'roles.manage': 'Manage roles',
+  'groups.manage': 'Manage groups',
+  'fields.manage': 'Manage fields',
+};
+
+// admin always has every permission, the server refuses to change it
+const ADMIN_ROLE = 'admin';
+
+function sameSet(a, b) {
+  return a.length === b.length && a.every((item) => b.includes(item));
+}
+
+// Admin screen: roles against permissions. Ticking boxes edits a draft per
+// role that is saved row by row; `onChange` runs after every saved change so
+// the rest of the app can reload roles and permissions.
+export function RoleMatrix({ api, me, onChange }) {
+  const [roles, setRoles] = useState(null);
+  const [catalog, setCatalog] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  // { role, reassignTo } while a role that still has users is being deleted
+  const [deleting, setDeleting] = useState(null);
+  const form = useForm({
+    resolver: zodResolver(roleCreateSchema),
+    defaultValues: { name: '', description: '' },
+    mode: 'onChange',
+  });
+
+  const load = useCallback(async () => {
+    try {
+      const data = await api('/api/v1/roles');
+      setRoles(data.data);
+      setCatalog(data.permissions);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // runs a change, then reloads the matrix and tells the app
+  async function run(request) {
+    setBusy(true);
+    setError('');
+    try {
+      await request();
+      await load();
+      onChange();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function permissionsOf(role) {
+    return drafts[role.name] || role.permissions;
+  }
+
+  function toggle(role, permission) {
+    const current = permissionsOf(role);
+    const next = current.includes(permission)
+      ? current.filter((p) => p !== permission)
+      : catalog.filter((p) => p === permission || current.includes(p));
+    setDrafts((prev) => ({ ...prev, [role.name]: next }));
+  }
+
+  function discard(role) {
+    setDrafts((prev) => {
+      const next = { ...prev };
+      delete next[role.name];
+      return next;
+    });
+  }
+
+  async function save(role) {
+    const ok = await run(() => api(`/api/v1/roles/${encodeURIComponent(role.name)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ permissions: drafts[role.name] }),
+    }));
+    if (ok) discard(role);
+  }
+
+  async function remove(role, reassignTo) {
+    const query = reassignTo ? `?reassignTo=${encodeURIComponent(reassignTo)}` : '';
+    const ok = await run(() => api(`/api/v1/roles/${encodeURIComponent(role.name)}${query}`, { method: 'DELETE' }));
+    if (ok) setDeleting(null);
+  }
+
+  function startDelete(role) {
+    if (role.userCount > 0) {
+      const other = roles.find((r) => r.name !== role.name && r.name !== ADMIN_ROLE) || roles.find((r) => r.name !== role.name);
+      setDeleting({ role, reassignTo: other?.name || '' });
+    } else if (confirm(`Delete the role ${role.name}?`)) {
+      remove(role);
+    }
+  }
+
+  async function create(values) {
+    const ok = await run(() => api('/api/v1/roles', {
+      method: 'POST',
+      body: JSON.stringify({ ...values, permissions: [] }),
+    }));
+    if (ok) form.reset();
+  }
+
+  const { errors } = form.formState;
+  // the server refuses to grant permissions the editor lacks, so do not offer them
+  const grantable = (permission) => me.permissions.includes(permission);
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body vstack gap-3">
+        <h5 className="card-title mb-0">Roles and permissions</h5>
+        {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+
+        {deleting && (
+          <div className="alert alert-warning mb-0" role="alert">
+            <div className="mb-2">
+              {deleting.role.userCount} user(s) still have the role <span className="fw-semibold">{deleting.role.name}</span>.
+              Move them to another role to delete it.
+            </div>
+            <div className="d-flex flex-wrap gap-2">
+              <select
+                className="form-select form-select-sm w-auto"
+                aria-label="Move users to"
+                value={deleting.reassignTo}
+                onChange={(e) => setDeleting((prev) => ({ ...prev, reassignTo: e.target.value }))}
+              >
+                {roles.filter((r) => r.name !== deleting.role.name).map((r) => (
+                  <option key={r.name} value={r.name}>{r.name}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="btn btn-sm btn-danger"
+                onClick={() => remove(deleting.role, deleting.reassignTo)}
+                disabled={busy || !deleting.reassignTo}
+              >
+                Move users and delete
+              </button>
+              <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setDeleting(null)}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {roles && (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Role</th>
+                  {catalog.map((permission) => (
+                    <th key={permission} className="text-center small">
+                      {permissionLabels[permission] || permission}
+                      <div className="fw-normal text-muted font-monospace">{permission}</div>
+                    </th>
+                  ))}
+                  <th className="text-end">Users</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {roles.map((role) => {
+                  const permissions = permissionsOf(role);
+                  const dirty = !sameSet(permissions, role.permissions);
+                  const locked = role.name === ADMIN_ROLE;
+                  return (
+                    <tr key={role.name} className={dirty ? 'table-warning' : undefined}>
+                      <td>
+                        <span className="fw-semibold">{role.name}</span>
+                        {role.builtIn && <span className="badge text-bg-light border ms-1">built-in</span>}
+                        {role.description && <div className="small text-muted">{role.description}</div>}
+                      </td>
+                      {catalog.map((permission) => {
+                        const checked = permissions.includes(permission);
+                        return (
+                          <td key={permission} className="text-center">
+                            <input
+                              className="form-check-input"
+                              type="checkbox"
+                              aria-label={`${role.name}: ${permission}`}
+                              checked={checked}
+                              // adding needs the permission yourself, taking away does not
+                              disabled={locked || busy || (!checked && !grantable(permission))}
+                              onChange={() => toggle(role, permission)}
+                            />
+                          </td>
+                        );
+                      })}
+                      <td className="text-end">{role.userCount}</td>
+                      <td className="text-end text-nowrap">
+                        {dirty ? (
+                          <div className="d-flex gap-1 justify-content-end">
+                            <button type="button" className="btn btn-sm btn-primary" onClick={() => save(role)} disabled={busy}>
+                              Save
+                            </button>
+                            <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => discard(role)}>
+                              Undo
+                            </button>
+                          </div>
+                        ) : !locked && (
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-outline-danger"
+                            onClick={() => startDelete(role)}
+                            disabled={busy}
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <form onSubmit={form.handleSubmit(create)} className="row g-2 align-items-start" noValidate>
+          <div className="col-sm-4">
+            <input
+              className={`form-control form-control-sm ${errors.name ? 'is-invalid' : ''}`}
+              placeholder="New role name"
+              aria-label="New role name"
+              {...form.register('name')}
+            />
+            {errors.name && <div className="invalid-feedback">{errors.name.message}</div>}
+          </div>
+          <div className="col-sm-6">
+            <input
+              className={`form-control form-control-sm ${errors.description ? 'is-invalid' : ''}`}
+              placeholder="Description (optional)"
+              aria-label="Description"
+              {...form.register('description')}
+            />
+            {errors.description && <div className="invalid-feedback">{errors.description.message}</div>}
+          </div>
+          <div className="col-sm-2 d-grid">
+            <button type="submit" className="btn btn-sm btn-outline-primary" disabled={!form.formState.isValid || busy}>
+              Add role
+            </button>
+          </div>
+        </form>
+        <p className="small text-muted mb-0">
+          New roles start without permissions, tick them in the table. The admin role always has every permission.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,334 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { twoFactorCodeSchema, disableTwoFactorSchema } from '../schemas';
+
+function CodeField({ form, label = 'Authentication code', autoFocus }) {
+  const error = form.formState.errors.code;
+  return (
+    <div>
+      <label className="form-label">{label} <span className="text-danger">*</span></label>
+      <input
+        className={`form-control font-monospace ${error ? 'is-invalid' : ''}`}
+        placeholder="123456"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        required
+        autoFocus={autoFocus}
+        {...form.register('code')}
+      />
+      {error && <div className="invalid-feedback">{error.message}</div>}
+    </div>
+  );
+}
+
+function RecoveryCodes({ codes, onDone }) {
+  return (
+    <div className="alert alert-warning mb-0">
+      <div className="fw-semibold">Save these recovery codes now</div>
+      <p className="small mb-2">
+        Each code signs you in once if you lose your authenticator. They will not be shown again.
+      </p>
+      <ul className="list-unstyled font-monospace row row-cols-2 g-1 mb-2">
+        {codes.map((code) => (
+          <li key={code} className="col">{code}</li>
+        ))}
+      </ul>
+      <button type="button" className="btn btn-sm btn-primary" onClick={onDone}>I have saved them</button>
+    </div>
+  );
+}
+
+// Second sign-in step for accounts with 2FA. `onTooManyAttempts` receives the
+// 429 error so the login card can show its countdown.
+export function TwoFactorLoginForm({ api, challengeToken, onSignedIn, onCancel, onTooManyAttempts }) {
+  const [error, setError] = useState('');
+  const form = useForm({
+    resolver: zodResolver(twoFactorCodeSchema),
+    defaultValues: { code: '' },
+    mode: 'onChange',
+  });
+
+  async function onSubmit({ code }) {
+    setError('');
+    try {
+      const data = await api('/api/v1/login/2fa', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken, code }),
+        form,
+      });
+      onSignedIn(data);
+    } catch (err) {
+      if (err.status === 429) onTooManyAttempts(err);
+      else if (err.status === 401) onCancel(err.message);
+      else if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  return (
+    <form onSubmit={form.handleSubmit(onSubmit)} className="vstack gap-3" noValidate>
+      <p className="mb-0">
+        Enter the code from your authenticator app, or one of your recovery codes.
+      </p>
+      {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+      <CodeField form={form} autoFocus />
+      <div className="d-flex gap-2">
+        <button type="submit" className="btn btn-primary" disabled={!form.formState.isValid || form.formState.isSubmitting}>
+          Verify
+        </button>
+        <button type="button" className="btn btn-outline-secondary" onClick={() => onCancel('')}>
+          Back
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Enrolment and management of the signed-in user's own 2FA.
+export function TwoFactorCard({ api, onUserChange }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const enableForm = useForm({ resolver: zodResolver(twoFactorCodeSchema), defaultValues: { code: '' }, mode: 'onChange' });
+  const codesForm = useForm({ resolver: zodResolver(twoFactorCodeSchema), defaultValues: { code: '' }, mode: 'onChange' });
+  const disableForm = useForm({
+    resolver: zodResolver(disableTwoFactorSchema),
+    defaultValues: { password: '', code: '' },
+    mode: 'onChange',
+  });
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await api('/api/v1/me/2fa'));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  async function startSetup() {
+    setError('');
+    try {
+      setSetup(await api('/api/v1/me/2fa/setup', { method: 'POST' }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function enable({ code }) {
+    setError('');
+    try {
+      const data = await api('/api/v1/me/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+        form: enableForm,
+      });
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      enableForm.reset();
+      onUserChange(data.user);
+      await loadStatus();
+    } catch (err) {
+      if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  async function regenerateCodes({ code }) {
+    setError('');
+    try {
+      const data = await api('/api/v1/me/2fa/recovery-codes', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+        form: codesForm,
+      });
+      setRecoveryCodes(data.recoveryCodes);
+      codesForm.reset();
+      await loadStatus();
+    } catch (err) {
+      if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  async function disable(values) {
+    setError('');
+    try {
+      const data = await api('/api/v1/me/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify(values),
+        form: disableForm,
+      });
+      disableForm.reset();
+      onUserChange(data.user);
+      await loadStatus();
+    } catch (err) {
+      if (!err.shownOnForm) setError(err.message);
+    }
+  }
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body vstack gap-3">
+        <h5 className="card-title mb-0">Two-factor authentication</h5>
+        {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+        {status?.required && !status.enabled && (
+          <div className="alert alert-info py-2 mb-0" role="status">
+            Your role requires two-factor authentication. Set it up to keep using the app.
+          </div>
+        )}
+        {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+        {status && !status.enabled && !setup && (
+          <div>
+            <p>Protect your account with a code from an authenticator app in addition to your password.</p>
+            <button type="button" className="btn btn-primary" onClick={startSetup}>Set up</button>
+          </div>
+        )}
+
+        {setup && (
+          <form onSubmit={enableForm.handleSubmit(enable)} className="vstack gap-3" noValidate>
+            <ol className="mb-0 ps-3">
+              <li>
+                Open <a href={setup.otpauthUri}>this link</a> on the device with your authenticator app,
+                or add an account manually with the key:
+                <code className="d-block text-break fs-6 my-1">{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+              </li>
+              <li>Enter the 6 digit code the app shows to confirm.</li>
+            </ol>
+            <CodeField form={enableForm} autoFocus />
+            <div className="d-flex gap-2">
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!enableForm.formState.isValid || enableForm.formState.isSubmitting}
+              >
+                Enable
+              </button>
+              <button type="button" className="btn btn-outline-secondary" onClick={() => setSetup(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {status?.enabled && (
+          <>
+            <p className="mb-0">
+              <span className="badge text-bg-success me-2">Enabled</span>
+              since {new Date(status.enabledAt).toLocaleDateString()}, {status.recoveryCodesLeft} recovery codes left.
+            </p>
+            <form onSubmit={codesForm.handleSubmit(regenerateCodes)} className="vstack gap-2" noValidate>
+              <h6 className="mb-0">New recovery codes</h6>
+              <CodeField form={codesForm} />
+              <div>
+                <button
+                  type="submit"
+                  className="btn btn-outline-primary btn-sm"
+                  disabled={!codesForm.formState.isValid || codesForm.formState.isSubmitting}
+                >
+                  Generate new codes
+                </button>
+              </div>
+            </form>
+            {!status.required && (
+              <form onSubmit={disableForm.handleSubmit(disable)} className="vstack gap-2" noValidate>
+                <h6 className="mb-0">Turn off</h6>
+                <div>
+                  <label className="form-label">Password <span className="text-danger">*</span></label>
+                  <input
+                    className={`form-control ${disableForm.formState.errors.password ? 'is-invalid' : ''}`}
+                    type="password"
+                    autoComplete="current-password"
+                    required
+                    {...disableForm.register('password')}
+                  />
+                  {disableForm.formState.errors.password && (
+                    <div className="invalid-feedback">{disableForm.formState.errors.password.message}</div>
+                  )}
+                </div>
+                <CodeField form={disableForm} />
+                <div>
+                  <button
+                    type="submit"
+                    className="btn btn-outline-danger btn-sm"
+                    disabled={!disableForm.formState.isValid || disableForm.formState.isSubmitting}
+                  >
+                    Turn off two-factor authentication
+                  </button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Admin setting: roles whose members must use 2FA. `roleList` is the list
+// from GET /api/roles.
+export function TwoFactorPolicyCard({ api, roles: roleList }) {
+  const [roles, setRoles] = useState(null);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    api('/api/v1/settings/security')
+      .then((data) => setRoles(data.twoFactorRoles))
+      .catch((err) => setError(err.message));
+  }, [api]);
+
+  async function save() {
+    setError('');
+    setSaved(false);
+    try {
+      const data = await api('/api/v1/settings/security', {
+        method: 'PUT',
+        body: JSON.stringify({ twoFactorRoles: roles }),
+      });
+      setRoles(data.twoFactorRoles);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function toggle(role) {
+    setSaved(false);
+    setRoles((prev) => (prev.includes(role) ? prev.filter((r) => r !== role) : [...prev, role]));
+  }
+
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body vstack gap-3">
+        <h5 className="card-title mb-0">Require two-factor authentication</h5>
+        {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+        {saved && <div className="alert alert-success py-2 mb-0" role="status">Saved.</div>}
+        <p className="small text-muted mb-0">
+          Members of these roles must set up two-factor authentication before they can use the app.
+        </p>
+        {roles && (
+          <>
+            <div className="d-flex flex-wrap gap-3">
+              {roleList.map(({ name: role }) => (
+                <label key={role} className="form-check">
+                  <input
+                    className="form-check-input"
+                    type="checkbox"
+                    checked={roles.includes(role)}
+                    onChange={() => toggle(role)}
+                  />
+                  <span className="form-check-label">{role}</span>
+                </label>
+              ))}
+            </div>
+            <div>
+              <button type="button" className="btn btn-primary btn-sm" onClick={save}>Save</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,439 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { userCreateSchema, userUpdateSchema, userInviteSchema } from '../schemas';
+import { hasPermission, assignableRoles, canManageUser } from '../permissions';
+import { customFieldsSchema, customFieldValues } from '../customFields';
+import { useApi, useOffline, useQuery } from '../hooks';
+import { ConflictResolver } from './ConflictResolver';
+import { CustomFieldInputs } from './CustomFields';
+import { Link } from './Link';
+
+// the server drops an editing claim that is not renewed within 30 seconds
+const EDITING_RENEW_MS = 15 * 1000;
+
+function emptyValues(customFields) {
+  return { name: '', email: '', role: 'user', password: '', fields: customFieldValues(customFields) };
+}
+
+function userValues(user, customFields) {
+  return {
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    password: '',
+    fields: customFieldValues(customFields, user),
+  };
+}
+
+// /users/new (no `userId`) and /users/:id, remounted for every user. The user
+// being edited is loaded fresh, its version is what the save is based on.
+// `onUserChange` receives every newer version of the user seen here,
+// `onCreated` follows a create or invite, `onGroupsChange` a change of group
+// membership. `listedUser` is the user's row in the table, edited instead
+// while offline; saves made offline are queued (see offlineQueue.js).
+export function UserForm({
+  userId,
+  me,
+  roles,
+  groups,
+  customFields,
+  otherEditors = [],
+  listedUser,
+  onUserChange,
+  onCreated,
+  onGroupsChange,
+  onClose,
+}) {
+  const client = useApi();
+  const api = client.request;
+  const offline = useOffline();
+  const editing = useQuery(userId ? `/api/v1/users/${userId}` : null);
+  const [editingUser, setEditingUser] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  // { mine, server } when a save hit a newer version of the user
+  const [conflict, setConflict] = useState(null);
+  // new users either get a password now or an emailed invitation
+  const [inviteMode, setInviteMode] = useState(false);
+  // the groups picked in the form, saved separately after the user
+  const [formGroupIds, setFormGroupIds] = useState([]);
+
+  // require password on create, optional on edit, none for invites; the
+  // custom fields are validated from their definitions in every mode
+  const fieldsSchema = useMemo(() => customFieldsSchema(customFields), [customFields]);
+  const createResolver = useMemo(() => zodResolver(userCreateSchema.extend({ fields: fieldsSchema })), [fieldsSchema]);
+  const updateResolver = useMemo(() => zodResolver(userUpdateSchema.extend({ fields: fieldsSchema })), [fieldsSchema]);
+  const inviteResolver = useMemo(() => zodResolver(userInviteSchema.extend({ fields: fieldsSchema })), [fieldsSchema]);
+  const form = useForm({
+    resolver: (values, ctx, opts) => {
+      if (userId) return updateResolver(values, ctx, opts);
+      return inviteMode ? inviteResolver(values, ctx, opts) : createResolver(values, ctx, opts);
+    },
+    defaultValues: emptyValues(customFields),
+    mode: 'onChange',
+  });
+  const { errors } = form.formState;
+
+  // the password requirement changes with the mode, revalidate without it
+  useEffect(() => {
+    form.resetField('password');
+  }, [inviteMode, form]);
+
+  // the definitions can arrive after the blank form was set up
+  useEffect(() => {
+    if (!userId && !form.formState.isDirty) form.reset(emptyValues(customFields));
+  }, [userId, customFields, form]);
+
+  const startEdit = useCallback(
+    (user) => {
+      setEditingUser(user);
+      setConflict(null);
+      form.reset(userValues(user, customFields));
+      form.clearErrors();
+      setFormGroupIds(user.groupIds || []);
+    },
+    [form, customFields],
+  );
+
+  // what the form was last filled from: only a freshly loaded user replaces
+  // what is in the form
+  const filledFrom = useRef(null);
+
+  useEffect(() => {
+    if (!editing.data || filledFrom.current === editing.data) return;
+    filledFrom.current = editing.data;
+    startEdit(editing.data);
+  }, [editing.data, startEdit]);
+
+  // the row only stands in when loading failed, later versions of it are
+  // for the conflict check of the save
+  useEffect(() => {
+    if (!editing.error?.offline || !listedUser || filledFrom.current === editing.error) return;
+    filledFrom.current = editing.error;
+    startEdit(listedUser);
+  }, [editing.error, listedUser, startEdit]);
+
+  // tell the others while the form is open, see the live updates in UsersPage
+  useEffect(() => {
+    if (!userId) return undefined;
+    const path = `/api/v1/users/${userId}/editing`;
+    const claim = () => api(path, { method: 'PUT' }).catch(() => {});
+    claim();
+    const timer = setInterval(claim, EDITING_RENEW_MS);
+    return () => {
+      clearInterval(timer);
+      api(path, { method: 'DELETE' }).catch(() => {});
+    };
+  }, [api, userId]);
+
+  const canCreate = hasPermission(me, 'users.write');
+  const canManageGroups = hasPermission(me, 'groups.manage');
+  // role options the signed-in user may pick for the current form
+  const roleOptions = useMemo(() => {
+    const options = assignableRoles(me, roles);
+    if (editingUser && !options.includes(editingUser.role)) options.push(editingUser.role);
+    return options;
+  }, [me, roles, editingUser]);
+  const canChangeRole = editingUser ? canManageUser(me, editingUser) : canCreate;
+  // group managers may edit a member's name and email, nothing else; your own
+  // password is changed on the Change password page, with the current one
+  const ownAccount = editingUser?.id === me?.id;
+  const canChangePassword = !editingUser || (!ownAccount && canManageUser(me, editingUser));
+
+  function resetForCreate() {
+    setConflict(null);
+    form.reset(emptyValues(customFields));
+    form.clearErrors();
+    setFormGroupIds([]);
+  }
+
+  // the request saving the picked groups, null when they are what the user
+  // had; `id` may be ':id' for a user the server has not created yet
+  function groupsRequest(id, previous = []) {
+    if (!canManageGroups) return null;
+    const same = formGroupIds.length === previous.length && formGroupIds.every((g) => previous.includes(g));
+    if (same) return null;
+    return { method: 'PUT', path: `/api/v1/users/${id}/groups`, body: JSON.stringify({ groupIds: formGroupIds }) };
+  }
+
+  async function saveUserGroups(user, previous) {
+    const request = groupsRequest(user.id, previous);
+    if (!request) return;
+    const { groupIds } = await api(request.path, { method: request.method, body: request.body });
+    onUserChange({ ...user, groupIds });
+    onGroupsChange();
+  }
+
+  // what the offline queue keeps besides the request itself; a request that
+  // sets a password is not queued, it would be stored on the device as it is
+  function queueEntry(kind, label, values, then) {
+    if (values.password) return null;
+    const { name, email, role, fields } = values;
+    return { kind, label, userId: userId || null, values: { name, email, role, fields }, then };
+  }
+
+  // `base` is the version of the user the edit started from
+  async function saveUser(values, base) {
+    setLoading(true);
+    setError('');
+    try {
+      const payload = { ...values };
+      if (!payload.password) delete payload.password;
+
+      if (userId) {
+        const updated = await offline.send(
+          `/api/v1/users/${userId}`,
+          { method: 'PUT', headers: { 'If-Match': `"${base.version}"` }, body: JSON.stringify(payload), form },
+          queueEntry('update', `Update ${payload.name}`, payload, groupsRequest(userId, base.groupIds)),
+        );
+        onUserChange(updated);
+        await saveUserGroups(updated, base.groupIds);
+        onClose();
+      } else if (inviteMode) {
+        const { name, email, role, fields } = payload;
+        const invited = await offline.send(
+          '/api/v1/users/invite',
+          { method: 'POST', body: JSON.stringify({ name, email, role, fields }), form },
+          queueEntry('create', `Invite ${email}`, payload, groupsRequest(':id')),
+        );
+        await saveUserGroups(invited);
+        onCreated(invited);
+        resetForCreate();
+      } else {
+        const created = await offline.send(
+          '/api/v1/users',
+          { method: 'POST', body: JSON.stringify(payload), form },
+          queueEntry('create', `Create ${payload.email}`, payload, groupsRequest(':id')),
+        );
+        await saveUserGroups(created);
+        onCreated(created);
+        resetForCreate();
+      }
+    } catch (err) {
+      if (err.queued) {
+        // the table shows it as waiting, the form is done with it
+        if (userId) onClose();
+        else resetForCreate();
+      } else if (err.offline && values.password) {
+        setError('Passwords are not kept on this device. Save again once you are back online.');
+      } else if (err.status === 412 && err.data?.current) {
+        const current = { ...err.data.current, groupIds: base.groupIds };
+        onUserChange(current);
+        setConflict({ mine: values, server: current });
+      } else if (err.status === 409 && !err.details) {
+        form.setError('email', { type: 'server', message: err.message });
+      } else if (!err.shownOnForm) {
+        setError(err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function onSubmit(values) {
+    return saveUser(values, editingUser);
+  }
+
+  // saves the chosen values on top of the version that caused the conflict
+  function resolveConflict(values) {
+    const { server } = conflict;
+    setEditingUser(server);
+    setConflict(null);
+    form.reset(values);
+    return saveUser(values, server);
+  }
+
+  function discardConflict() {
+    startEdit(conflict.server);
+  }
+
+  const loadError = editingUser ? '' : editing.error?.message;
+
+  return (
+    <div className="card shadow-sm h-100">
+      <div className="card-body">
+        <div className="d-flex align-items-center justify-content-between mb-3">
+          <h5 className="card-title mb-0">
+            {userId ? 'Edit User' : canCreate ? 'Create User' : 'Read-only access'}
+          </h5>
+          <button className="btn btn-sm btn-outline-secondary" onClick={onClose}>
+            {userId ? 'Cancel' : 'Close'}
+          </button>
+        </div>
+
+        {(error || loadError) && (
+          <div className="alert alert-danger py-2" role="alert">
+            {error || loadError}
+          </div>
+        )}
+
+        {userId && otherEditors.length > 0 && (
+          <div className="alert alert-warning py-2" role="status">
+            <i className="bi bi-pencil"></i> {otherEditors.join(', ')} is also editing this user.
+          </div>
+        )}
+
+        {conflict && editingUser && (
+          <ConflictResolver
+            key={conflict.server.version}
+            base={editingUser}
+            mine={conflict.mine}
+            server={conflict.server}
+            customFields={customFields}
+            disabled={loading}
+            onSave={resolveConflict}
+            onDiscard={discardConflict}
+          />
+        )}
+
+        {!userId && !canCreate ? (
+          <p className="text-muted mb-0">
+            Your role ({me?.role}) can view users but not create them.
+          </p>
+        ) : userId && !editingUser ? (
+          !loadError && <p className="text-muted mb-0">Loading…</p>
+        ) : (
+          <form onSubmit={form.handleSubmit(onSubmit)} className="vstack gap-3" noValidate>
+            {!userId && (
+              <div className="btn-group btn-group-sm" role="group" aria-label="How the user gets access">
+                <button
+                  type="button"
+                  className={`btn ${inviteMode ? 'btn-outline-primary' : 'btn-primary'}`}
+                  aria-pressed={!inviteMode}
+                  onClick={() => setInviteMode(false)}
+                >
+                  Set a password
+                </button>
+                <button
+                  type="button"
+                  className={`btn ${inviteMode ? 'btn-primary' : 'btn-outline-primary'}`}
+                  aria-pressed={inviteMode}
+                  onClick={() => setInviteMode(true)}
+                >
+                  Invite by email
+                </button>
+              </div>
+            )}
+            <div>
+              <label className="form-label" htmlFor="user-name">Name <span className="text-danger">*</span></label>
+              <input
+                id="user-name"
+                className={`form-control ${errors.name ? 'is-invalid' : ''}`}
+                placeholder="Name"
+                required
+                {...form.register('name')}
+              />
+              {errors.name && <div className="invalid-feedback">{errors.name.message}</div>}
+            </div>
+            <div>
+              <label className="form-label" htmlFor="user-email">Email <span className="text-danger">*</span></label>
+              <input
+                id="user-email"
+                className={`form-control ${errors.email ? 'is-invalid' : ''}`}
+                placeholder="Email"
+                type="email"
+                required
+                readOnly={userId === me?.id}
+                {...form.register('email')}
+              />
+              {errors.email && <div className="invalid-feedback">{errors.email.message}</div>}
+              {userId === me?.id && (
+                <div className="form-text">Change your own email from My account, it has to be verified.</div>
+              )}
+            </div>
+            <div>
+              <label className="form-label" htmlFor="user-role">Role <span className="text-danger">*</span></label>
+              <select
+                id="user-role"
+                className={`form-select ${errors.role ? 'is-invalid' : ''}`}
+                required
+                disabled={!canChangeRole}
+                {...form.register('role')}
+              >
+                {roleOptions.map((r) => (
+                  <option key={r} value={r}>{r}</option>
+                ))}
+              </select>
+              {errors.role && <div className="invalid-feedback">{errors.role.message}</div>}
+            </div>
+            {inviteMode && !userId ? (
+              <p className="small text-muted mb-0">
+                The user gets an email with a link to choose their own password.
+              </p>
+            ) : (
+              <div>
+                <label className="form-label" htmlFor="user-password">
+                  {userId ? 'New Password (optional)' : (
+                    <>
+                      Password <span className="text-danger">*</span>
+                    </>
+                  )}
+                </label>
+                <div className="input-group">
+                  <input
+                    id="user-password"
+                    className={`form-control ${errors.password ? 'is-invalid' : ''}`}
+                    placeholder={userId ? 'New Password (optional)' : 'Password'}
+                    type={showPassword ? 'text' : 'password'}
+                    required={!userId}
+                    disabled={!canChangePassword}
+                    {...form.register('password')}
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary"
+                    onClick={() => setShowPassword((v) => !v)}
+                    aria-label="Toggle password visibility"
+                    title={showPassword ? 'Hide password' : 'Show password'}
+                  >
+                    <i className={`bi ${showPassword ? 'bi-eye-slash' : 'bi-eye'}`}></i>
+                  </button>
+                  {errors.password && <div className="invalid-feedback d-block">{errors.password.message}</div>}
+                </div>
+                {ownAccount && (
+                  <div className="form-text">
+                    Change your own password on the <Link to="/password">Change password</Link> page.
+                  </div>
+                )}
+              </div>
+            )}
+            <CustomFieldInputs form={form} definitions={customFields} />
+            {canManageGroups && groups.length > 0 && (
+              <div>
+                <label className="form-label" htmlFor="user-groups">Groups</label>
+                <select
+                  id="user-groups"
+                  className="form-select"
+                  multiple
+                  size={Math.min(groups.length, 5)}
+                  value={formGroupIds}
+                  onChange={(e) => setFormGroupIds([...e.target.selectedOptions].map((o) => o.value))}
+                >
+                  {groups.map((g) => (
+                    <option key={g.id} value={g.id}>{g.name}</option>
+                  ))}
+                </select>
+                <div className="form-text">Hold Ctrl or Cmd to pick more than one.</div>
+              </div>
+            )}
+            <div className="d-flex gap-2">
+              <button type="submit" className="btn btn-primary" disabled={!form.formState.isValid || loading}>
+                {userId ? 'Save' : inviteMode ? 'Send invite' : 'Create'}
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={() => (editingUser ? startEdit(editingUser) : resetForCreate())}
+                disabled={loading}
+              >
+                Reset
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,856 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  hasPermission,
+  isLastAdmin,
+  adminRoleNames,
+  canManageUser,
+  canEditUser,
+  canDeleteUser,
+} from '../permissions';
+import { readListQuery, writeListQuery, listQueryToExportPath, defaultOrder } from '../listQuery';
+import { openEventStream } from '../eventStream';
+import { useApi, useOffline, useUserList } from '../hooks';
+import { navigate } from '../router';
+import { Link } from './Link';
+import { UserForm } from './UserForm';
+import { UserHistoryModal } from './ActivityLog';
+import { ImportWizard } from './ImportWizard';
+import { BulkActionBar, BulkResultAlert } from './BulkActions';
+import { PendingChanges } from './PendingChanges';
+
+// editing claims by user id, without the ones that have lapsed
+function groupEditors(claims) {
+  const now = Date.now();
+  const byUser = {};
+  for (const claim of claims) {
+    if (claim.until > now) (byUser[claim.userId] ||= []).push(claim);
+  }
+  return byUser;
+}
+
+// a user created offline, shown in the table until the server has it
+function isQueuedCreate(u) {
+  return u.queued?.kind === 'create';
+}
+
+// `users` with the changes still queued for them as `queued`; edits show
+// their new values, and users created offline head the first page
+function withQueuedChanges(users, items, listQuery) {
+  if (items.length === 0) return users;
+  const byUser = new Map(items.filter((item) => item.userId).map((item) => [item.userId, item]));
+  const rows = users.map((u) => {
+    const item = byUser.get(u.id);
+    if (!item) return u;
+    return item.kind === 'update' ? { ...u, ...item.values, queued: item } : { ...u, queued: item };
+  });
+  if (listQuery.deleted || listQuery.page !== 1) return rows;
+  const created = items
+    .filter((item) => item.kind === 'create')
+    .map((item) => ({ ...item.values, id: `queued-${item.id}`, createdAt: new Date(item.createdAt).toISOString(), queued: item }));
+  return [...created, ...rows];
+}
+
+// /users, with the form beside the table on /users/new and /users/:id.
+// Paging, sorting and filters live in the query string (see listQuery.js) and
+// are kept when moving between those three.
+export function UsersPage({ apiBase, userId, me, onMeChange, roles, groups, customFields, onGroupsChange }) {
+  const client = useApi();
+  const api = client.request;
+  const offline = useOffline();
+  const [listQuery, setListQuery] = useState(() => readListQuery());
+  const [searchText, setSearchText] = useState(listQuery.q);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [issuedReset, setIssuedReset] = useState(null);
+  const [historyUser, setHistoryUser] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  // ids of the rows ticked for a bulk action, limited to the current page
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkResult, setBulkResult] = useState(null);
+  // the user just deleted, offered for undo until the toast times out
+  const [undoUser, setUndoUser] = useState(null);
+  // live updates from the server: 'open', 'reconnecting' or '' when off
+  const [liveStatus, setLiveStatus] = useState('');
+  // userId → [{ editor, until }] for users someone has the edit form open for
+  const [editors, setEditors] = useState({});
+  // changes arrived that the current page cannot place, offer a reload
+  const [listStale, setListStale] = useState(false);
+  // the stream outlives renders, it calls the latest handler through this
+  const liveEventRef = useRef(null);
+
+  const list = useUserList(listQuery, {
+    adminRoles: adminRoleNames(roles),
+    onLoaded: (data) => {
+      setListStale(false);
+      setSelectedIds((prev) => prev.filter((id) => data.data.some((u) => u.id === id)));
+    },
+    // the page may have emptied after deletes, step back to the last one
+    onPageGone: (lastPage) => updateListQuery({ page: lastPage }, { replace: true }),
+  });
+  const { users, setUsers, pageInfo, setPageInfo, adminCount } = list;
+  const loading = busy || list.loading;
+  const loadUsers = list.reload;
+  // changes still on this device show in the rows they are about
+  const rows = withQueuedChanges(users, offline.items, listQuery);
+
+  const formOpen = Boolean(userId);
+  const editingId = userId && userId !== 'new' ? userId : '';
+  const canCreate = hasPermission(me, 'users.write');
+  // bulk actions apply to active users only
+  const canBulkEdit = canCreate && !listQuery.deleted;
+
+  // a path under /users that keeps the table as it is
+  function usersPath(path = '/users') {
+    return `${path}${window.location.search}`;
+  }
+
+  function closeForm() {
+    navigate(usersPath());
+  }
+
+  // the new user may belong on another page, let the server place it
+  function onUserCreated() {
+    loadUsers();
+  }
+
+  // once queued changes have gone out the server knows best what the page is
+  const queuedCount = offline.items.length;
+  const lastQueuedCount = useRef(queuedCount);
+  useEffect(() => {
+    if (queuedCount < lastQueuedCount.current) loadUsers();
+    lastQueuedCount.current = queuedCount;
+  }, [queuedCount, loadUsers]);
+
+  // keep the table in sync with back/forward navigation
+  useEffect(() => {
+    function onPopState() {
+      const next = readListQuery();
+      setListQuery(next);
+      setSearchText(next.q);
+    }
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // debounce the search box before it hits the URL and the API
+  useEffect(() => {
+    if (searchText === listQuery.q) return undefined;
+    const timer = setTimeout(() => {
+      const next = { ...listQuery, q: searchText, page: 1 };
+      writeListQuery(next, { replace: true });
+      setListQuery(next);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchText, listQuery]);
+
+  useEffect(() => {
+    if (!undoUser) return undefined;
+    const timer = setTimeout(() => setUndoUser(null), 10000);
+    return () => clearTimeout(timer);
+  }, [undoUser]);
+
+  function updateListQuery(changes, options) {
+    const next = { ...listQuery, ...changes };
+    writeListQuery(next, options);
+    setListQuery(next);
+  }
+
+  function toggleSort(field) {
+    if (listQuery.sort === field) {
+      const current = listQuery.order || defaultOrder(field);
+      updateListQuery({ order: current === 'asc' ? 'desc' : 'asc', page: 1 });
+    } else {
+      updateListQuery({ sort: field, order: '', page: 1 });
+    }
+  }
+
+  function toggleRoleFilter(role) {
+    const roles = listQuery.role.includes(role)
+      ? listQuery.role.filter((r) => r !== role)
+      : [...listQuery.role, role];
+    updateListQuery({ role: roles, page: 1 });
+  }
+
+  function sortIcon(field) {
+    if (listQuery.sort !== field) return 'bi-arrow-down-up text-muted';
+    const order = listQuery.order || defaultOrder(field);
+    return order === 'asc' ? 'bi-sort-up' : 'bi-sort-down';
+  }
+
+  // a newer version of a row, from the form or the server; keeps what only
+  // the list adds, like groupIds and lockedUntil
+  function applyUser(user) {
+    setUsers((prev) => prev.map((u) => (u.id === user.id ? { ...u, ...user } : u)));
+    if (user.id === me?.id) onMeChange((prev) => ({ ...prev, ...user }));
+  }
+
+  // Applies a change someone else made. Updates replace the row in place;
+  // new users only go in where the server would put them (the first page,
+  // newest first, unfiltered), otherwise the Refresh button is highlighted.
+  function applyLiveEvent({ type, data }) {
+    if (type === 'reset') {
+      loadUsers();
+    } else if (type === 'ready') {
+      setEditors(groupEditors(data.editing));
+    } else if (type === 'user.editing') {
+      setEditors((prev) => groupEditors([
+        ...Object.values(prev).flat().filter((c) => c.userId !== data.userId || c.editor.id !== data.editor.id),
+        data,
+      ]));
+    } else if (type.startsWith('user.')) {
+      // cached reads of users are outdated now
+      client.invalidate('/api/v1/users');
+      applyUserChange(type, data);
+    }
+  }
+
+  function applyUserChange(type, { id, user }) {
+    const inView = user && Boolean(user.deletedAt) === listQuery.deleted
+      && (listQuery.role.length === 0 || listQuery.role.includes(user.role))
+      && (!listQuery.group || user.groupIds?.includes(listQuery.group));
+    const shown = users.some((u) => u.id === id);
+    if (user && id === me?.id) onMeChange((prev) => ({ ...prev, ...user }));
+
+    if (shown && inView) {
+      // an older version can arrive after a newer one was loaded
+      setUsers((prev) => prev.map((u) => (u.id === id && u.version <= user.version ? { ...u, ...user } : u)));
+    } else if (shown) {
+      setUsers((prev) => prev.filter((u) => u.id !== id));
+      setSelectedIds((prev) => prev.filter((selected) => selected !== id));
+      setPageInfo((prev) => ({ ...prev, total: Math.max(0, prev.total - 1) }));
+      setListStale(true);
+    } else if (type === 'user.created' && inView) {
+      const placeable = listQuery.page === 1 && listQuery.sort === 'createdAt' && !listQuery.order && !listQuery.q;
+      if (placeable) setUsers((prev) => [user, ...prev].slice(0, listQuery.limit));
+      else setListStale(true);
+      setPageInfo((prev) => ({ ...prev, total: prev.total + 1 }));
+    } else if (inView) {
+      // restored, or changed into the filter, somewhere on another page
+      setListStale(true);
+    }
+  }
+
+  liveEventRef.current = applyLiveEvent;
+
+  useEffect(() => {
+    const stream = openEventStream({
+      url: `${apiBase}/api/v1/events`,
+      getToken: client.getToken,
+      // like any request, a session that cannot be refreshed is over
+      refresh: () => client.refreshSession().catch((err) => {
+        if (!err.offline) client.signOut();
+        throw err;
+      }),
+      onEvent: (event) => liveEventRef.current(event),
+      onStatus: setLiveStatus,
+    });
+    return () => stream.close();
+  }, [client, apiBase]);
+
+  // claims of a closed tab are never withdrawn, drop them once they lapse
+  useEffect(() => {
+    if (Object.keys(editors).length === 0) return undefined;
+    const timer = setInterval(() => setEditors((prev) => groupEditors(Object.values(prev).flat())), 5000);
+    return () => clearInterval(timer);
+  }, [editors]);
+
+  // who else has the edit form for this user open
+  function otherEditors(id) {
+    return (editors[id] || []).filter((c) => c.editor.id !== me?.id).map((c) => c.editor.name);
+  }
+
+  // runs one row action with the shared busy flag and error message
+  async function run(action) {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function issuePasswordReset(u) {
+    if (!confirm(`Issue a password reset token for ${u.name}?`)) return;
+    run(async () => {
+      const data = await api(`/api/v1/users/${u.id}/password-reset`, { method: 'POST' });
+      setIssuedReset({ user: u, ...data });
+    });
+  }
+
+  function resendInvite(u) {
+    run(async () => {
+      const updated = await api(`/api/v1/users/${u.id}/invite`, { method: 'POST' });
+      setUsers((prev) => prev.map((row) => (row.id === updated.id ? updated : row)));
+    });
+  }
+
+  function revokeInvite(u) {
+    if (!confirm(`Revoke the invitation for ${u.email}? The pending account is removed.`)) return;
+    run(async () => {
+      await api(`/api/v1/users/${u.id}/invite`, { method: 'DELETE' });
+      if (editingId === u.id) closeForm();
+      await loadUsers();
+    });
+  }
+
+  // deletes are soft, so instead of a confirm dialog we offer an undo
+  async function deleteUser(u) {
+    setBusy(true);
+    setError('');
+    try {
+      const { user } = await offline.send(
+        `/api/v1/users/${u.id}`,
+        { method: 'DELETE', headers: { 'If-Match': `"${u.version}"` } },
+        { kind: 'delete', label: `Delete ${u.name}`, userId: u.id },
+      );
+      if (editingId === u.id) closeForm();
+      setUndoUser(user);
+      await loadUsers();
+    } catch (err) {
+      if (err.queued) {
+        if (editingId === u.id) closeForm();
+      } else if (err.status === 412 && err.data?.current) {
+        const current = err.data.current;
+        setUsers((prev) => prev.map((row) => (row.id === current.id ? current : row)));
+        setError(`${u.name} was changed by someone else. Check the updated row and delete again if needed.`);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function restoreUser(id) {
+    run(async () => {
+      await api(`/api/v1/users/${id}/restore`, { method: 'POST' });
+      setUndoUser((prev) => (prev?.id === id ? null : prev));
+      await loadUsers();
+    });
+  }
+
+  function unlockUser(u) {
+    run(async () => {
+      const updated = await api(`/api/v1/users/${u.id}/lockout`, { method: 'DELETE' });
+      setUsers((prev) => prev.map((row) => (row.id === updated.id ? updated : row)));
+    });
+  }
+
+  function resetTwoFactor(u) {
+    if (!confirm(`Remove two-factor authentication for ${u.name}? They will sign in with just their password.`)) return;
+    run(async () => {
+      const updated = await api(`/api/v1/users/${u.id}/2fa`, { method: 'DELETE' });
+      setUsers((prev) => prev.map((row) => (row.id === updated.id ? { ...updated, lockedUntil: row.lockedUntil } : row)));
+    });
+  }
+
+  // the whole app switches to them until the banner's Stop, see apiClient.js
+  function viewAs(u) {
+    if (!confirm(`View the app as ${u.name}? Everything you do is logged under both your names.`)) return;
+    run(async () => {
+      client.impersonate(await api(`/api/v1/users/${u.id}/impersonate`, { method: 'POST' }));
+      navigate('/users');
+    });
+  }
+
+  function purgeUser(u) {
+    if (!confirm(`Permanently delete ${u.name}? This cannot be undone.`)) return;
+    run(async () => {
+      await api(`/api/v1/users/${u.id}/purge`, { method: 'DELETE' });
+      await loadUsers();
+    });
+  }
+
+  function toggleSelected(id) {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  function toggleSelectAll() {
+    setSelectedIds((prev) => (prev.length === users.length ? [] : users.map((u) => u.id)));
+  }
+
+  function runBulkAction(body) {
+    const count = selectedIds.length;
+    if (body.action === 'delete' && !confirm(`Move ${count} users to the trash?`)) return;
+    if (
+      body.action === 'force_password_reset'
+      && !confirm(`Sign out ${count} users and require them to reset their password?`)
+    ) return;
+    run(async () => {
+      const result = await api('/api/v1/users/bulk', {
+        method: 'POST',
+        body: JSON.stringify({ ...body, ids: selectedIds }),
+      });
+      const names = Object.fromEntries(users.map((u) => [u.id, u.name]));
+      setBulkResult({ ...result, results: result.results.map((r) => ({ ...r, name: names[r.id] })) });
+      const changed = new Map(result.results.filter((r) => r.ok).map((r) => [r.id, r.user]));
+      // failed rows stay selected so they can be retried
+      setSelectedIds((prev) => prev.filter((id) => !changed.has(id)));
+      if (body.action === 'delete') {
+        if (changed.has(editingId)) closeForm();
+        await loadUsers();
+      } else {
+        setUsers((prev) => prev.map((u) => changed.get(u.id) || u));
+      }
+    });
+  }
+
+  async function exportUsers(format) {
+    setError('');
+    try {
+      const blob = await api(listQueryToExportPath(listQuery, format), { responseType: 'blob' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <>
+      <div className="row g-4">
+        {formOpen && (
+          <div className="col-12 col-lg-5">
+            <UserForm
+              key={userId}
+              userId={editingId}
+              me={me}
+              roles={roles}
+              groups={groups}
+              customFields={customFields}
+              otherEditors={editingId ? otherEditors(editingId) : []}
+              listedUser={users.find((u) => u.id === editingId)}
+              onUserChange={applyUser}
+              onCreated={onUserCreated}
+              onGroupsChange={onGroupsChange}
+              onClose={closeForm}
+            />
+          </div>
+        )}
+        <div className={formOpen ? 'col-12 col-lg-7' : 'col-12'}>
+          <div className="card shadow-sm h-100">
+            <div className="card-body">
+              <div className="d-flex align-items-center justify-content-between mb-3">
+                <h5 className="card-title mb-0">{listQuery.deleted ? 'Trash' : 'Users'}</h5>
+                <div className="d-flex align-items-center gap-2">
+                  {liveStatus && (
+                    <span
+                      className={`badge ${liveStatus === 'open' ? 'text-bg-success' : 'text-bg-warning'}`}
+                      title={liveStatus === 'open' ? 'Changes by others show up as they happen' : 'Live updates are reconnecting'}
+                    >
+                      {liveStatus === 'open' ? 'Live' : 'Reconnecting…'}
+                    </span>
+                  )}
+                  <button
+                    type="button"
+                    onClick={loadUsers}
+                    className={`btn btn-sm ${listStale ? 'btn-primary' : 'btn-outline-primary'}`}
+                    disabled={loading}
+                    title={listStale ? 'Others have made changes that are not shown yet' : undefined}
+                  >
+                    <i className="bi bi-arrow-clockwise"></i> {loading ? 'Loading...' : 'Refresh'}
+                  </button>
+                  {canCreate && !listQuery.deleted && !formOpen && (
+                    <Link className="btn btn-sm btn-primary" to={usersPath('/users/new')}>
+                      <i className="bi bi-plus-lg"></i> New user
+                    </Link>
+                  )}
+                  {canCreate && !listQuery.deleted && (
+                    <button type="button" className="btn btn-sm btn-outline-primary" onClick={() => setShowImport(true)}>
+                      <i className="bi bi-upload"></i> Import
+                    </button>
+                  )}
+                  <div className="btn-group btn-group-sm" role="group" aria-label="Export">
+                    <button type="button" className="btn btn-outline-secondary" onClick={() => exportUsers('csv')}>
+                      <i className="bi bi-download"></i> CSV
+                    </button>
+                    <button type="button" className="btn btn-outline-secondary" onClick={() => exportUsers('json')}>
+                      JSON
+                    </button>
+                  </div>
+                  {hasPermission(me, 'users.delete') && (
+                    <button
+                      type="button"
+                      className={`btn btn-sm ${listQuery.deleted ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                      aria-pressed={listQuery.deleted}
+                      onClick={() => updateListQuery({ deleted: !listQuery.deleted, page: 1 })}
+                    >
+                      <i className="bi bi-trash"></i> {listQuery.deleted ? 'Back to users' : 'Trash'}
+                    </button>
+                  )}
+                </div>
+              </div>
+              {(error || list.error) && (
+                <div className="alert alert-danger py-2" role="alert">
+                  {error || list.error}
+                </div>
+              )}
+              {list.savedAt && (
+                <div className="alert alert-warning py-2 small" role="status">
+                  Offline: this is the list as it was loaded at {new Date(list.savedAt).toLocaleString()}.
+                </div>
+              )}
+              <PendingChanges />
+              {issuedReset && (
+                <div className="alert alert-info alert-dismissible py-2" role="status">
+                  One-time reset token for {issuedReset.user.name}, valid until{' '}
+                  {new Date(issuedReset.expiresAt).toLocaleString()}:
+                  <code className="d-block text-break mt-1">{issuedReset.token}</code>
+                  <div className="small mt-1">
+                    Or share this link:{' '}
+                    <code className="text-break">
+                      {`${window.location.origin}/?resetToken=${encodeURIComponent(issuedReset.token)}`}
+                    </code>
+                  </div>
+                  <button type="button" className="btn-close" aria-label="Close" onClick={() => setIssuedReset(null)}></button>
+                </div>
+              )}
+              <div className="vstack gap-2 mb-3">
+                <div className="input-group input-group-sm">
+                  <span className="input-group-text"><i className="bi bi-search"></i></span>
+                  <input
+                    className="form-control"
+                    type="search"
+                    placeholder="Search name or email"
+                    aria-label="Search users"
+                    value={searchText}
+                    onChange={(e) => setSearchText(e.target.value)}
+                  />
+                </div>
+                <div className="d-flex flex-wrap gap-2" role="group" aria-label="Filter by role">
+                  {roles.map(({ name: r }) => (
+                    <button
+                      key={r}
+                      type="button"
+                      className={`btn btn-sm rounded-pill ${listQuery.role.includes(r) ? 'btn-primary' : 'btn-outline-primary'}`}
+                      aria-pressed={listQuery.role.includes(r)}
+                      onClick={() => toggleRoleFilter(r)}
+                    >
+                      {r}
+                    </button>
+                  ))}
+                  {listQuery.role.length > 0 && (
+                    <button type="button" className="btn btn-sm btn-link" onClick={() => updateListQuery({ role: [], page: 1 })}>
+                      Clear
+                    </button>
+                  )}
+                  {groups.length > 0 && (
+                    <select
+                      className="form-select form-select-sm w-auto ms-auto"
+                      aria-label="Filter by group"
+                      value={listQuery.group}
+                      onChange={(e) => updateListQuery({ group: e.target.value, page: 1 })}
+                    >
+                      <option value="">All groups</option>
+                      {groups.map((g) => (
+                        <option key={g.id} value={g.id}>{g.name}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              </div>
+              {bulkResult && <BulkResultAlert result={bulkResult} onClose={() => setBulkResult(null)} />}
+              {canBulkEdit && selectedIds.length > 0 && (
+                <BulkActionBar
+                  me={me}
+                  roles={roles}
+                  count={selectedIds.length}
+                  disabled={loading}
+                  onRun={runBulkAction}
+                  onClear={() => setSelectedIds([])}
+                />
+              )}
+              <div className="table-responsive">
+                <table className="table table-striped align-middle">
+                  <thead>
+                    <tr>
+                      {canBulkEdit && (
+                        <th style={{ width: 32 }}>
+                          <input
+                            className="form-check-input"
+                            type="checkbox"
+                            aria-label="Select all users on this page"
+                            checked={users.length > 0 && selectedIds.length === users.length}
+                            ref={(el) => {
+                              if (el) el.indeterminate = selectedIds.length > 0 && selectedIds.length < users.length;
+                            }}
+                            onChange={toggleSelectAll}
+                            disabled={users.length === 0}
+                          />
+                        </th>
+                      )}
+                      {[
+                        ['name', 'Name'],
+                        ['email', 'Email'],
+                        ['role', 'Role'],
+                        ['createdAt', 'Created'],
+                      ].map(([field, label]) => (
+                        <th key={field}>
+                          <button
+                            type="button"
+                            className="btn btn-link p-0 text-reset text-decoration-none fw-semibold"
+                            onClick={() => toggleSort(field)}
+                          >
+                            {label} <i className={`bi ${sortIcon(field)}`}></i>
+                          </button>
+                        </th>
+                      ))}
+                      <th style={{ width: 270 }}>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((u) => (
+                      <tr key={u.id} className={u.queued?.kind === 'delete' ? 'opacity-50' : undefined}>
+                        {canBulkEdit && (
+                          <td>
+                            {!isQueuedCreate(u) && (
+                              <input
+                                className="form-check-input"
+                                type="checkbox"
+                                aria-label={`Select ${u.name}`}
+                                checked={selectedIds.includes(u.id)}
+                                onChange={() => toggleSelected(u.id)}
+                              />
+                            )}
+                          </td>
+                        )}
+                        <td>
+                          {u.name}
+                          {u.queued && (
+                            <span
+                              className={`badge ms-1 ${u.queued.status === 'failed' ? 'text-bg-danger' : 'text-bg-secondary'}`}
+                              title={u.queued.error?.message || 'Saved on this device, not sent yet'}
+                            >
+                              <i className="bi bi-cloud-arrow-up"></i>{' '}
+                              {u.queued.status === 'failed' ? 'Not saved' : u.queued.kind === 'delete' ? 'Delete waiting' : 'Waiting'}
+                            </span>
+                          )}
+                          {otherEditors(u.id).length > 0 && (
+                            <span className="badge text-bg-warning ms-1" title={`Being edited by ${otherEditors(u.id).join(', ')}`}>
+                              <i className="bi bi-pencil"></i> {otherEditors(u.id).join(', ')}
+                            </span>
+                          )}
+                          {u.deletedAt && (
+                            <div className="small text-muted">Deleted {new Date(u.deletedAt).toLocaleString()}</div>
+                          )}
+                          {u.groupIds?.length > 0 && (
+                            <div className="small text-muted">
+                              {groups.filter((g) => u.groupIds.includes(g.id)).map((g) => g.name).join(', ')}
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          {u.email}
+                          {u.status === 'invited' && (
+                            <span
+                              className="badge text-bg-info ms-1"
+                              title={`Invitation expires ${new Date(u.inviteExpiresAt).toLocaleString()}`}
+                            >
+                              Pending
+                            </span>
+                          )}
+                          {u.lockedUntil && (
+                            <div>
+                              <span
+                                className="badge text-bg-warning"
+                                title={`Locked after failed sign-ins until ${new Date(u.lockedUntil).toLocaleString()}`}
+                              >
+                                <i className="bi bi-lock-fill"></i> Locked
+                              </span>
+                              <button
+                                type="button"
+                                className="btn btn-link btn-sm py-0"
+                                onClick={() => unlockUser(u)}
+                                disabled={loading}
+                              >
+                                Unlock
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <span className="badge text-bg-secondary text-uppercase">{u.role}</span>
+                          {u.twoFactorEnabled && (
+                            <span className="badge text-bg-success ms-1" title="Two-factor authentication is on">2FA</span>
+                          )}
+                        </td>
+                        <td className="small text-muted">{u.createdAt ? new Date(u.createdAt).toLocaleDateString() : ''}</td>
+                        <td>
+                          <div className="d-flex gap-2">
+                            {isQueuedCreate(u) ? null : listQuery.deleted ? (
+                              <>
+                                <button
+                                  className="btn btn-sm btn-outline-primary"
+                                  onClick={() => restoreUser(u.id)}
+                                  disabled={loading || !canDeleteUser(me, u)}
+                                >
+                                  Restore
+                                </button>
+                                {hasPermission(me, 'users.admin') && (
+                                  <button className="btn btn-sm btn-outline-danger" onClick={() => purgeUser(u)} disabled={loading}>
+                                    Delete forever
+                                  </button>
+                                )}
+                              </>
+                            ) : (
+                              <>
+                                {canEditUser(me, u, groups) && (u.queued ? (
+                                  <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-secondary"
+                                    disabled
+                                    title="A change to this user has not been sent yet"
+                                  >
+                                    Edit
+                                  </button>
+                                ) : (
+                                  <Link className="btn btn-sm btn-outline-secondary" to={usersPath(`/users/${u.id}`)}>
+                                    Edit
+                                  </Link>
+                                ))}
+                                {hasPermission(me, 'audit.read') && (
+                                  <button
+                                    className="btn btn-sm btn-outline-secondary"
+                                    onClick={() => setHistoryUser(u)}
+                                    title="Show the history of this user"
+                                    aria-label={`History of ${u.name}`}
+                                  >
+                                    <i className="bi bi-clock-history"></i>
+                                  </button>
+                                )}
+                                {u.status === 'invited' && canManageUser(me, u) && (
+                                  <>
+                                    <button
+                                      className="btn btn-sm btn-outline-secondary"
+                                      onClick={() => resendInvite(u)}
+                                      disabled={loading}
+                                      title="Send the invitation email again with a new link"
+                                    >
+                                      Resend
+                                    </button>
+                                    <button
+                                      className="btn btn-sm btn-outline-danger"
+                                      onClick={() => revokeInvite(u)}
+                                      disabled={loading}
+                                    >
+                                      Revoke
+                                    </button>
+                                  </>
+                                )}
+                                {hasPermission(me, 'users.admin') && u.status !== 'invited' && (
+                                  <button
+                                    className="btn btn-sm btn-outline-secondary"
+                                    onClick={() => issuePasswordReset(u)}
+                                    disabled={loading}
+                                    title="Issue a one-time password reset token"
+                                  >
+                                    Reset
+                                  </button>
+                                )}
+                                {hasPermission(me, 'users.admin') && u.twoFactorEnabled && (
+                                  <button
+                                    className="btn btn-sm btn-outline-secondary"
+                                    onClick={() => resetTwoFactor(u)}
+                                    disabled={loading}
+                                    title="Remove this user's two-factor enrolment"
+                                  >
+                                    Reset 2FA
+                                  </button>
+                                )}
+                                {hasPermission(me, 'users.admin') && u.status !== 'invited' && !hasPermission(u, 'users.admin') && (
+                                  <button
+                                    className="btn btn-sm btn-outline-secondary"
+                                    onClick={() => viewAs(u)}
+                                    disabled={loading || !offline.online}
+                                    title="See the app the way this user does"
+                                  >
+                                    View as
+                                  </button>
+                                )}
+                                {canDeleteUser(me, u) && u.status !== 'invited' && (
+                                  <button
+                                    className="btn btn-sm btn-outline-danger"
+                                    onClick={() => deleteUser(u)}
+                                    disabled={loading || Boolean(u.queued) || isLastAdmin(u, adminCount)}
+                                    title={isLastAdmin(u, adminCount) ? 'The last admin cannot be deleted' : undefined}
+                                  >
+                                    Delete
+                                  </button>
+                                )}
+                              </>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                    {rows.length === 0 && !loading && (
+                      <tr>
+                        <td colSpan={canBulkEdit ? 6 : 5} className="text-center text-muted py-4">
+                          {listQuery.deleted ? 'The trash is empty.' : 'No users match these filters.'}
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+              <div className="d-flex align-items-center justify-content-between">
+                <span className="small text-muted">
+                  {pageInfo.total === 0
+                    ? 'No users'
+                    : `Showing ${(pageInfo.page - 1) * listQuery.limit + 1}–${Math.min(pageInfo.page * listQuery.limit, pageInfo.total)} of ${pageInfo.total}`}
+                </span>
+                <div className="btn-group btn-group-sm" role="group" aria-label="Pages">
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary"
+                    onClick={() => updateListQuery({ page: pageInfo.page - 1 })}
+                    disabled={loading || pageInfo.page <= 1}
+                  >
+                    <i className="bi bi-chevron-left"></i> Prev
+                  </button>
+                  <span className="btn btn-outline-secondary disabled">
+                    {pageInfo.page} / {pageInfo.totalPages}
+                  </span>
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary"
+                    onClick={() => updateListQuery({ page: pageInfo.page + 1 })}
+                    disabled={loading || pageInfo.page >= pageInfo.totalPages}
+                  >
+                    Next <i className="bi bi-chevron-right"></i>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+      {undoUser && (
+        <div className="toast-container position-fixed bottom-0 end-0 p-3">
+          <div className="toast show align-items-center" role="status" aria-live="polite" aria-atomic="true">
+            <div className="d-flex align-items-center">
+              <div className="toast-body">{undoUser.name} was moved to the trash.</div>
+              <button type="button" className="btn btn-sm btn-link ms-auto" onClick={() => restoreUser(undoUser.id)} disabled={loading}>
+                Undo
+              </button>
+              <button type="button" className="btn-close me-2" aria-label="Close" onClick={() => setUndoUser(null)}></button>
+            </div>
+          </div>
+        </div>
+      )}
+      {historyUser && (
+        <UserHistoryModal api={api} user={historyUser} onClose={() => setHistoryUser(null)} />
+      )}
+      {showImport && (
+        <ImportWizard api={api} customFields={customFields} onClose={() => setShowImport(false)} onImported={loadUsers} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,24 @@
+import { shared } from './schemas';
+
+// The admin-defined fields from GET /api/custom-fields become inputs in the
+// user form, validated by the same rules as on the server.
+
+// the `fields` part of the user form; empty inputs are sent as null
+export function customFieldsSchema(definitions) {
+  return shared.customFieldsSchema(definitions);
+}
+
+// form values for a user (or a new one), inputs need strings
+export function customFieldValues(definitions, user) {
+  return Object.fromEntries(definitions.map((definition) => {
+    const value = user?.fields?.[definition.key] ?? null;
+    if (definition.type === 'boolean') return [definition.key, Boolean(value)];
+    return [definition.key, value === null ? '' : String(value)];
+  }));
+}
+
+export function formatCustomValue(definition, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (definition.type === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
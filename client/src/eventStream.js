@@ -0,0 +1,100 @@
+// Reads the server's live updates (GET /api/v1/events, Server-Sent Events)
+// with fetch, because EventSource cannot send the Authorization header.
+// After a drop it reconnects with the last event id so nothing is missed,
+// waiting longer after each failure in a row.
+const MAX_RETRY_MS = 30 * 1000;
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// one block of `field: value` lines, see the SSE spec
+function parseBlock(block) {
+  const message = { type: 'message' };
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon < 0 ? line : line.slice(0, colon);
+    const value = colon < 0 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') message.type = value;
+    else if (field === 'data') data.push(value);
+    else if (field === 'id') message.id = value;
+    else if (field === 'retry') message.retry = Number(value);
+  }
+  if (data.length > 0) message.data = JSON.parse(data.join('\n'));
+  return message;
+}
+
+async function readMessages(body, onMessage) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value.replace(/\r\n?/g, '\n');
+    let end = buffer.indexOf('\n\n');
+    while (end >= 0) {
+      onMessage(parseBlock(buffer.slice(0, end)));
+      buffer = buffer.slice(end + 2);
+      end = buffer.indexOf('\n\n');
+    }
+  }
+}
+
+// `getToken` returns the current access token, `refresh` gets a new one (and
+// rejects when the session is over, which ends the stream; an offline error
+// is retried like a dropped connection). `onEvent` receives
+// { type, id, data }; `onStatus` 'open' or 'reconnecting'.
+export function openEventStream({ url, getToken, refresh, onEvent, onStatus = () => {} }) {
+  let lastEventId = '';
+  let retryMs = 3000;
+  let failures = 0;
+  let stopped = false;
+  let controller = null;
+
+  async function run() {
+    while (!stopped) {
+      controller = new AbortController();
+      try {
+        const headers = { Authorization: `Bearer ${getToken()}`, Accept: 'text/event-stream' };
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+        const res = await fetch(url, { headers, credentials: 'include', signal: controller.signal });
+        if (res.status === 401) {
+          try {
+            await refresh();
+          } catch (err) {
+            // offline only delays the next attempt, anything else is the end
+            if (err?.offline) throw err;
+            stopped = true;
+            return;
+          }
+          continue;
+        }
+        if (!res.ok) throw new Error(`The event stream answered ${res.status}`);
+        failures = 0;
+        onStatus('open');
+        await readMessages(res.body, (message) => {
+          if (message.id) lastEventId = message.id;
+          if (message.retry) retryMs = message.retry;
+          if (message.data !== undefined) onEvent(message);
+        });
+      } catch {
+        if (stopped) return;
+        failures += 1;
+      }
+      if (stopped) return;
+      // the server also ends the stream when the access token expires
+      onStatus('reconnecting');
+      await wait(Math.min(retryMs * 2 ** Math.max(0, failures - 1), MAX_RETRY_MS));
+    }
+  }
+
+  run();
+  return {
+    close() {
+      stopped = true;
+      controller?.abort();
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { openEventStream } from './eventStream';
+
+function offlineError() {
+  return Object.assign(new Error('offline'), { offline: true });
+}
+
+function open(refresh) {
+  const fetch = vi.fn(async () => new Response(null, { status: 401 }));
+  vi.stubGlobal('fetch', fetch);
+  const onStatus = vi.fn();
+  const stream = openEventStream({ url: '/api/v1/events', getToken: () => 'old', refresh, onEvent: () => {}, onStatus });
+  return { fetch, onStatus, stream };
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('openEventStream', () => {
+  it('ends the stream when the session cannot be renewed', async () => {
+    vi.useFakeTimers();
+    const refresh = vi.fn(async () => {
+      throw Object.assign(new Error('Session expired'), { status: 401 });
+    });
+    const { fetch, onStatus } = open(refresh);
+
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(onStatus).not.toHaveBeenCalledWith('reconnecting');
+  });
+
+  it('keeps reconnecting while the session cannot be renewed offline', async () => {
+    vi.useFakeTimers();
+    const refresh = vi.fn(async () => {
+      throw offlineError();
+    });
+    const { fetch, onStatus, stream } = open(refresh);
+
+    await vi.advanceTimersByTimeAsync(10 * 1000);
+    stream.close();
+    expect(fetch.mock.calls.length).toBeGreaterThan(1);
+    expect(onStatus).toHaveBeenCalledWith('reconnecting');
+  });
+});
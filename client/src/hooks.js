@@ -0,0 +1,153 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { listQueryToApiPath } from './listQuery';
+import { saveSnapshot, readSnapshot } from './offlineStore';
+
+// the client from createApiClient(), provided once by App
+export const ApiContext = createContext(null);
+
+export function useApi() {
+  return useContext(ApiContext);
+}
+
+// { online, items, send, retry, discard } from App, see offlineQueue.js.
+// `send(path, options, entry)` is client.request for a change that may be
+// queued: offline it stores `entry` with the request and throws the offline
+// error with the stored item as `queued`. Without `entry` nothing is stored.
+export const OfflineContext = createContext(null);
+
+export function useOffline() {
+  return useContext(OfflineContext);
+}
+
+function isAbort(err) {
+  return err?.name === 'AbortError';
+}
+
+// Reads `path` through the client's cache. A new path, or leaving the page,
+// cancels the request that is still running; no path means nothing to load.
+// `reload()` skips the cache, `setData` changes the result in place. With
+// `keepOffline` the last answer is stored on the device and returned, with
+// the time it was saved as `savedAt`, while the server cannot be reached.
+export function useQuery(path, { maxAge = 0, keepOffline = false } = {}) {
+  const client = useApi();
+  // `path` says which request the result belongs to, so the data of the
+  // previous path is never returned for the new one
+  const [state, setState] = useState({ path, data: undefined, error: null, loading: Boolean(path) });
+
+  const load = useCallback(
+    (options = {}) => {
+      if (!path) return Promise.resolve(undefined);
+      setState((prev) => (prev.path === path ? { ...prev, loading: true, error: null } : { path, loading: true, error: null }));
+      return client
+        .get(path, { maxAge, ...options })
+        .then((data) => {
+          if (keepOffline) saveSnapshot(path, data).catch(() => {});
+          setState({ path, data, error: null, loading: false });
+          return data;
+        })
+        .catch(async (err) => {
+          if (isAbort(err)) return;
+          const saved = keepOffline && err.offline ? await readSnapshot(path).catch(() => undefined) : undefined;
+          if (saved) setState({ path, data: saved.data, savedAt: saved.savedAt, error: null, loading: false });
+          else setState({ path, data: undefined, error: err, loading: false });
+        });
+    },
+    [client, path, maxAge, keepOffline],
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    load({ signal: controller.signal });
+    return () => controller.abort();
+  }, [load]);
+
+  const reload = useCallback(() => {
+    client.invalidate(path);
+    return load();
+  }, [client, path, load]);
+
+  const setData = useCallback((update) => {
+    setState((prev) => ({ ...prev, data: typeof update === 'function' ? update(prev.data) : update }));
+  }, []);
+
+  const current = state.path === path;
+  return {
+    data: current ? state.data : undefined,
+    savedAt: current ? state.savedAt : undefined,
+    error: current ? state.error : null,
+    loading: Boolean(path) && (!current || state.loading),
+    reload,
+    setData,
+  };
+}
+
+// snapshot key of the users table, there is only ever one
+const LAST_LIST = 'users';
+
+// One page of the users table for `listQuery`, plus how many admins there are
+// (the last one cannot be deleted). Changing the query cancels the request for
+// the old one, so fast typing or paging never shows an outdated page.
+// `onLoaded(data)` sees every page that arrives, `onPageGone(lastPage)` is
+// called when deletes emptied the page that was asked for. The last page
+// loaded is kept on the device and shown while offline, whatever the query;
+// `savedAt` then says when it was loaded.
+export function useUserList(listQuery, { enabled = true, adminRoles = ['admin'], onLoaded, onPageGone } = {}) {
+  const client = useApi();
+  const [users, setUsers] = useState([]);
+  const [pageInfo, setPageInfo] = useState({ total: 0, page: 1, totalPages: 1 });
+  const [adminCount, setAdminCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [savedAt, setSavedAt] = useState(null);
+  // the callbacks change every render, the requests should not
+  const callbacks = useRef({});
+  callbacks.current = { onLoaded, onPageGone };
+  const adminFilter = adminRoles.join(',') || 'admin';
+
+  const load = useCallback(
+    async ({ signal } = {}) => {
+      if (!enabled) return;
+      setLoading(true);
+      setError('');
+      try {
+        const [data, admins] = await Promise.all([
+          client.get(listQueryToApiPath(listQuery), { signal }),
+          client.get(`/api/v1/users?role=${adminFilter}&limit=1`, { signal }),
+        ]);
+        if (data.data.length === 0 && data.page > data.totalPages) {
+          callbacks.current.onPageGone?.(data.totalPages);
+          return;
+        }
+        setUsers(data.data);
+        setPageInfo({ total: data.total, page: data.page, totalPages: data.totalPages });
+        setAdminCount(admins.total);
+        setSavedAt(null);
+        saveSnapshot(LAST_LIST, { data, adminCount: admins.total }).catch(() => {});
+        callbacks.current.onLoaded?.(data);
+      } catch (err) {
+        if (isAbort(err)) return;
+        const saved = err.offline ? await readSnapshot(LAST_LIST).catch(() => undefined) : undefined;
+        if (saved) {
+          const { data, adminCount: admins } = saved.data;
+          setUsers(data.data);
+          setPageInfo({ total: data.total, page: data.page, totalPages: data.totalPages });
+          setAdminCount(admins);
+          setSavedAt(saved.savedAt);
+        } else {
+          setError(err.message);
+        }
+      } finally {
+        if (!signal?.aborted) setLoading(false);
+      }
+    },
+    [client, enabled, listQuery, adminFilter],
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    load({ signal: controller.signal });
+    return () => controller.abort();
+  }, [load]);
+
+  return { users, setUsers, pageInfo, setPageInfo, adminCount, loading, error, savedAt, reload: load };
+}
@@ -0,0 +1,58 @@
+// The users table keeps its paging, sorting and filters in the URL so views
+// can be bookmarked and the back button works.
+export const defaultListQuery = { page: 1, limit: 20, sort: 'createdAt', order: '', role: [], group: '', q: '', deleted: false };
+
+export function readListQuery(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return {
+    page: Math.max(1, Number(params.get('page')) || 1),
+    limit: defaultListQuery.limit,
+    sort: params.get('sort') || defaultListQuery.sort,
+    order: params.get('order') || '',
+    role: (params.get('role') || '').split(',').filter(Boolean),
+    group: params.get('group') || '',
+    q: params.get('q') || '',
+    deleted: params.get('deleted') === 'true',
+  };
+}
+
+// only non-default values end up in the query string
+export function listQueryToParams(query) {
+  const params = new URLSearchParams();
+  if (query.page > 1) params.set('page', String(query.page));
+  if (query.sort !== defaultListQuery.sort) params.set('sort', query.sort);
+  if (query.order) params.set('order', query.order);
+  if (query.role.length > 0) params.set('role', query.role.join(','));
+  if (query.group) params.set('group', query.group);
+  if (query.q) params.set('q', query.q);
+  if (query.deleted) params.set('deleted', 'true');
+  return params;
+}
+
+export function writeListQuery(query, { replace = false } = {}) {
+  const search = listQueryToParams(query).toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}`;
+  if (replace) window.history.replaceState(null, '', url);
+  else window.history.pushState(null, '', url);
+}
+
+// what the API should be asked for, always with an explicit limit
+export function listQueryToApiPath(query) {
+  const params = listQueryToParams(query);
+  params.set('page', String(query.page));
+  params.set('limit', String(query.limit));
+  return `/api/v1/users?${params}`;
+}
+
+// the order a column sorts in when it is first clicked
+export function defaultOrder(sort) {
+  return sort === 'createdAt' ? 'desc' : 'asc';
+}
+
+// export the whole filtered list, not just the current page
+export function listQueryToExportPath(query, format) {
+  const params = listQueryToParams(query);
+  params.delete('page');
+  params.set('format', format);
+  return `/api/v1/users/export?${params}`;
+}
@@ -0,0 +1,116 @@
+import { readQueue, putQueued, deleteQueued } from './offlineStore';
+import { newIdempotencyKey } from './apiClient';
+
+// Changes made while the server is out of reach wait here, and in IndexedDB so
+// that a reload keeps them, until they can be sent. Items go out one at a
+// time in the order they were made. One the server rejects (a taken email,
+// a failed validation, a newer version) is marked failed with the reason and
+// the next one is tried; losing the connection again stops where it is.
+//
+// An item is { id, ownerId, kind, label, userId, values, request, then,
+// status, error, createdAt }:
+//   kind      'create', 'update' or 'delete', for showing it in the table
+//   request   { method, path, headers, body } as given to the client
+//   then      a request to send after this one succeeded, its `:id` filled in
+//             with the id of the created user (group membership of new users)
+//   status    'pending' or 'failed'
+//   error     { status, message, details } from the rejection
+// Items belong to the user who made them and only go out in their session.
+export function createOfflineQueue({ request, onChange = () => {} }) {
+  let items = [];
+  let replaying = null;
+  // ids for items IndexedDB would not take, below its own
+  let localId = 0;
+
+  function changed() {
+    onChange(items);
+  }
+
+  async function load() {
+    items = await readQueue().catch(() => []);
+    changed();
+  }
+
+  async function save(item) {
+    items = items.map((i) => (i.id === item.id ? item : i));
+    changed();
+    await putQueued(item).catch(() => {});
+    return item;
+  }
+
+  async function add(entry) {
+    const item = { ...entry, then: entry.then || null, status: 'pending', error: null, createdAt: Date.now() };
+    // without IndexedDB the item only lives as long as the page
+    item.id = await putQueued(item).catch(() => {
+      localId -= 1;
+      return localId;
+    });
+    items = [...items, item];
+    changed();
+    return item;
+  }
+
+  async function discard(id) {
+    items = items.filter((i) => i.id !== id);
+    changed();
+    await deleteQueued(id).catch(() => {});
+  }
+
+  // true when the connection is gone again
+  async function sendItem(item) {
+    let current = item;
+    for (;;) {
+      const { method, path, headers, body } = current.request;
+      try {
+        const result = await request(path, { method, headers, body });
+        if (!current.then) {
+          await discard(current.id);
+          return false;
+        }
+        const next = { ...current.then, path: current.then.path.replace(':id', result.id) };
+        current = await save({ ...current, request: next, then: null });
+      } catch (err) {
+        // a session that ended keeps its changes for the next sign-in
+        if (err.offline || err.status === 401) return true;
+        await save({
+          ...current,
+          status: 'failed',
+          error: { status: err.status, message: err.message, details: err.details || null },
+        });
+        return false;
+      }
+    }
+  }
+
+  async function sendAll(ownerId) {
+    // the list as it was when the replay started, each item as it is now:
+    // it may have been discarded in the meantime
+    for (const { id } of items) {
+      const item = items.find((i) => i.id === id);
+      if (!item || item.ownerId !== ownerId || item.status !== 'pending') continue;
+      if (await sendItem(item)) return;
+    }
+  }
+
+  // sends the pending items of `ownerId`; calls during a replay join it
+  function replay(ownerId) {
+    if (!replaying) {
+      replaying = sendAll(ownerId).finally(() => {
+        replaying = null;
+      });
+    }
+    return replaying;
+  }
+
+  // a new Idempotency-Key, or the server would answer with the rejection again
+  async function retry(id, ownerId) {
+    const item = items.find((i) => i.id === id);
+    if (item) {
+      const headers = { ...item.request.headers, 'Idempotency-Key': newIdempotencyKey() };
+      await save({ ...item, request: { ...item.request, headers }, status: 'pending', error: null });
+    }
+    return replay(ownerId);
+  }
+
+  return { load, add, discard, retry, replay };
+}
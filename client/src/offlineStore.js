@@ -0,0 +1,66 @@
+// IndexedDB for what the client keeps for going offline: the last answer to a
+// few reads ('snapshots', by API path) and the changes waiting to be sent
+// ('queue', in the order they were made). Private windows may refuse
+// IndexedDB; callers treat a failure here as having nothing stored.
+const DB_NAME = 'crud-demo';
+const DB_VERSION = 1;
+
+let opening = null;
+
+function openDb() {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('snapshots');
+        req.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    opening.catch(() => {
+      opening = null;
+    });
+  }
+  return opening;
+}
+
+// runs `action(store)` in a transaction, resolving with the result of the
+// request it returns once everything is written
+async function run(storeName, mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function saveSnapshot(path, data) {
+  return run('snapshots', 'readwrite', (store) => store.put({ data, savedAt: Date.now() }, path));
+}
+
+// { data, savedAt } or undefined
+export function readSnapshot(path) {
+  return run('snapshots', 'readonly', (store) => store.get(path));
+}
+
+export function clearSnapshots() {
+  return run('snapshots', 'readwrite', (store) => store.clear());
+}
+
+// oldest first, the keys only ever grow
+export function readQueue() {
+  return run('queue', 'readonly', (store) => store.getAll());
+}
+
+// adds an item without `id` or replaces the one with it; resolves with the id
+export function putQueued(item) {
+  return run('queue', 'readwrite', (store) => store.put(item));
+}
+
+export function deleteQueued(id) {
+  return run('queue', 'readwrite', (store) => store.delete(id));
+}
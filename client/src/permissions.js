@@ -0,0 +1,46 @@
+// Mirrors server/permissions.js so the UI only offers actions the API will accept.
+// Users come from the API with the `permissions` of their role, and `roles`
+// below is the list from GET /api/roles.
+export function hasPermission(actor, permission) {
+  return Boolean(actor?.permissions?.includes(permission));
+}
+
+// the table is paginated, so the caller passes the total number of admins
+export function isLastAdmin(target, adminCount) {
+  return hasPermission(target, 'users.admin') && adminCount <= 1;
+}
+
+export function adminRoleNames(roles) {
+  return roles.filter((r) => r.permissions.includes('users.admin')).map((r) => r.name);
+}
+
+// without users.admin only roles that grant nothing the actor lacks
+export function assignableRoles(actor, roles) {
+  if (hasPermission(actor, 'users.admin')) return roles.map((r) => r.name);
+  if (!hasPermission(actor, 'users.write')) return [];
+  return roles.filter((r) => r.permissions.every((p) => hasPermission(actor, p))).map((r) => r.name);
+}
+
+export function canManageUser(actor, target) {
+  return hasPermission(actor, 'users.write')
+    && (!hasPermission(target, 'users.admin') || hasPermission(actor, 'users.admin'));
+}
+
+// `groups` is the list from GET /api/groups; managers of a group the target
+// belongs to may edit the target's name and email
+export function managesUser(actor, target, groups = []) {
+  if (!actor || hasPermission(target, 'users.admin')) return false;
+  return groups.some((g) => g.managerIds.includes(actor.id) && target.groupIds?.includes(g.id));
+}
+
+export function canEditUser(actor, target, groups) {
+  if (!actor) return false;
+  return canManageUser(actor, target)
+    || (actor.id === target.id && hasPermission(actor, 'profile.write'))
+    || managesUser(actor, target, groups);
+}
+
+export function canDeleteUser(actor, target) {
+  if (!hasPermission(actor, 'users.delete')) return false;
+  return !hasPermission(target, 'users.admin') || hasPermission(actor, 'users.admin');
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { assignableRoles, canDeleteUser, canEditUser, canManageUser, isLastAdmin } from './permissions';
+
+// users as the API sends them, with the permissions of their role
+const roles = [
+  { name: 'admin', permissions: ['users.read', 'users.write', 'users.delete', 'users.admin', 'profile.write'] },
+  { name: 'manager', permissions: ['users.read', 'users.write', 'profile.write'] },
+  { name: 'user', permissions: ['users.read', 'profile.write'] },
+];
+function withRole(id, role) {
+  return { id, role, permissions: roles.find((r) => r.name === role).permissions };
+}
+const admin = withRole('a1', 'admin');
+const otherAdmin = withRole('a2', 'admin');
+const manager = withRole('m1', 'manager');
+const user = withRole('u1', 'user');
+const otherUser = withRole('u2', 'user');
+
+describe('assignableRoles', () => {
+  it('offers admins every role and others only what they hold themselves', () => {
+    expect(assignableRoles(admin, roles)).toEqual(['admin', 'manager', 'user']);
+    expect(assignableRoles(manager, roles)).toEqual(['manager', 'user']);
+    expect(assignableRoles(user, roles)).toEqual([]);
+  });
+});
+
+describe('canManageUser and canEditUser', () => {
+  it('keeps users.write away from admins', () => {
+    expect(canManageUser(manager, otherUser)).toBe(true);
+    expect(canManageUser(manager, admin)).toBe(false);
+    expect(canManageUser(admin, otherAdmin)).toBe(true);
+  });
+
+  it('lets users edit themselves and group managers their members', () => {
+    expect(canEditUser(user, user)).toBe(true);
+    expect(canEditUser(user, otherUser)).toBe(false);
+    const groups = [{ id: 'g1', managerIds: [user.id] }];
+    expect(canEditUser(user, { ...otherUser, groupIds: ['g1'] }, groups)).toBe(true);
+    expect(canEditUser(user, { ...admin, groupIds: ['g1'] }, groups)).toBe(false);
+  });
+});
+
+describe('canDeleteUser', () => {
+  it('needs users.delete, and users.admin for admins', () => {
+    expect(canDeleteUser(manager, otherUser)).toBe(false);
+    expect(canDeleteUser(admin, otherAdmin)).toBe(true);
+    const moderator = { id: 'd1', role: 'moderator', permissions: ['users.read', 'users.delete'] };
+    expect(canDeleteUser(moderator, otherUser)).toBe(true);
+    expect(canDeleteUser(moderator, admin)).toBe(false);
+  });
+});
+
+describe('isLastAdmin', () => {
+  it('is only true for an admin without others', () => {
+    expect(isLastAdmin(admin, 1)).toBe(true);
+    expect(isLastAdmin(admin, 2)).toBe(false);
+    expect(isLastAdmin(user, 1)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+// The API answers every error with RFC 7807 problem details (server/errors.js):
+// { status, title, detail, requestId, errors: [{ field, message }], ...extras }
+// api() throws them as an Error with:
+//   message    the `detail`, fit to show to the user
+//   status     the HTTP status
+//   details    field → message, from `errors`
+//   requestId  to quote when reporting the problem
+//   data       the whole body, for extras like `current` on a 412
+// A request that got no answer at all throws offlineError() instead.
+
+export function problemError(res, data) {
+  const err = new Error(data?.detail || data?.title || 'Request failed');
+  err.status = res.status;
+  if (data?.errors?.length) {
+    err.details = Object.fromEntries(data.errors.map(({ field, message }) => [field, message]));
+  }
+  err.requestId = data?.requestId || res.headers.get('X-Request-Id');
+  // server faults are looked up in the log by this id
+  if (res.status >= 500 && err.requestId) err.message += ` (request ${err.requestId})`;
+  err.data = data;
+  return err;
+}
+
+// Puts the field errors on the matching inputs of a react-hook-form form.
+// Afterwards `err.shownOnForm` says whether every one of them found an input;
+// if not, the caller should show `err.message` instead.
+export function applyFieldErrors(form, err) {
+  const entries = Object.entries(err.details || {});
+  const values = form.getValues();
+  const known = entries.filter(([field]) => field.split('.')[0] in values);
+  known.forEach(([field, message]) => form.setError(field, { type: 'server', message: String(message) }));
+  err.shownOnForm = entries.length > 0 && known.length === entries.length;
+}
+
+// no connection, or the server is down; `offline` tells it from a rejection
+export function offlineError() {
+  const err = new Error('You are offline, or the server cannot be reached.');
+  err.offline = true;
+  return err;
+}
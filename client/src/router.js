@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+
+// Client-side routing on the History API, the same way listQuery.js keeps the
+// table's filters in the query string. navigate() tells every useLocation()
+// about the change; the back and forward buttons do so through popstate.
+const LOCATION_CHANGE = 'locationchange';
+
+function currentLocation() {
+  return { pathname: window.location.pathname, search: window.location.search };
+}
+
+export function navigate(to, { replace = false } = {}) {
+  if (to === `${window.location.pathname}${window.location.search}`) return;
+  if (replace) window.history.replaceState(null, '', to);
+  else window.history.pushState(null, '', to);
+  window.dispatchEvent(new Event(LOCATION_CHANGE));
+}
+
+export function useLocation() {
+  const [location, setLocation] = useState(currentLocation);
+  useEffect(() => {
+    const update = () => setLocation(currentLocation());
+    window.addEventListener('popstate', update);
+    window.addEventListener(LOCATION_CHANGE, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(LOCATION_CHANGE, update);
+    };
+  }, []);
+  return location;
+}
+
+// '/users/:id' against '/users/42' gives { id: '42' }, no match gives null
+export function matchPath(pattern, pathname) {
+  const wanted = pattern.split('/');
+  const actual = pathname.replace(/\/$/, '').split('/');
+  if (wanted.length !== actual.length) return null;
+  const params = {};
+  for (let i = 0; i < wanted.length; i += 1) {
+    if (wanted[i].startsWith(':')) params[wanted[i].slice(1)] = decodeURIComponent(actual[i]);
+    else if (wanted[i] !== actual[i]) return null;
+  }
+  return params;
+}
+
+// where to go after signing in: ?next= on /login, if it stays on this site
+export function nextPath(search, fallback = '/users') {
+  const next = new URLSearchParams(search).get('next');
+  return next && next.startsWith('/') && !next.startsWith('//') ? next : fallback;
+}
@@ -0,0 +1,79 @@
+import { z } from 'zod';
+import { createSchemas, CUSTOM_FIELD_TYPES } from '../../shared/schemas.mjs';
+
+// The server validates requests with the same rules, see shared/schemas.mjs.
+// The form schemas below add what only the forms have, like confirm fields.
+export const shared = createSchemas(z);
+
+export const loginSchema = shared.loginSchema;
+
+// validation schemas
+export const passwordSchema = shared.passwordSchema;
+
+// the server also checks the role against the live role list
+export const userCreateSchema = shared.createUserSchema;
+export const userUpdateSchema = shared.inviteUserSchema.extend({
+  password: z
+    .string()
+    .optional()
+    .transform((v) => v ?? '')
+    .refine((v) => v === '' || v.length >= 6, {
+      message: 'Password must be at least 6 characters',
+    }),
+});
+
+const confirmPassword = (values) => values.newPassword === values.confirmPassword;
+const confirmPasswordError = { message: 'Passwords do not match', path: ['confirmPassword'] };
+
+export const changePasswordSchema = shared.changePasswordSchema
+  .extend({ confirmPassword: z.string() })
+  .refine(confirmPassword, confirmPasswordError);
+
+export const resetPasswordSchema = shared.resetPasswordSchema
+  .extend({ confirmPassword: z.string() })
+  .refine(confirmPassword, confirmPasswordError);
+
+// a 6 digit authenticator code, or a recovery code on sign-in
+export const twoFactorCodeSchema = z.object({
+  code: shared.twoFactorCodeSchema,
+});
+
+export const disableTwoFactorSchema = twoFactorCodeSchema.extend({
+  password: z.string().min(1, 'Password is required'),
+});
+
+export const userInviteSchema = shared.inviteUserSchema;
+
+export const acceptInviteSchema = z
+  .object({
+    newPassword: passwordSchema,
+    confirmPassword: z.string(),
+  })
+  .refine(confirmPassword, confirmPasswordError);
+
+// time zone and locale may be left empty for the browser defaults
+export const accountSchema = z.object({
+  name: shared.nameSchema,
+  email: shared.emailSchema,
+  timezone: z.string(),
+  locale: z.string().trim(),
+});
+
+export const roleCreateSchema = z.object({
+  name: shared.roleNameSchema,
+  description: shared.descriptionSchema,
+});
+
+export const groupSchema = shared.groupSchema;
+
+export const customFieldSchema = z.object({
+  key: shared.customFieldKeySchema,
+  label: shared.customFieldLabelSchema,
+  type: z.enum(CUSTOM_FIELD_TYPES),
+  required: z.boolean(),
+  unique: z.boolean(),
+  // comma-separated in the form, a list for the API
+  options: z.string(),
+  pattern: shared.customFieldPatternSchema,
+  order: z.coerce.number().int('Use a whole number'),
+});
@@ -0,0 +1,143 @@
+import { vi } from 'vitest';
+
+// A stand-in for the server behind `fetch`: users live in memory and every
+// request is recorded in `requests` as { method, path, headers, body }.
+// Only what the users pages need is answered, anything else gets a 404.
+const ADMIN_PERMISSIONS = [
+  'users.read',
+  'users.write',
+  'users.delete',
+  'users.admin',
+  'profile.write',
+  'audit.read',
+  'roles.manage',
+  'groups.manage',
+  'fields.manage',
+];
+const ROLES = [
+  { name: 'admin', permissions: ADMIN_PERMISSIONS },
+  { name: 'user', permissions: ['users.read', 'profile.write'] },
+];
+
+function permissionsOf(role) {
+  return ROLES.find((r) => r.name === role)?.permissions || [];
+}
+
+function json(status, body, headers = {}) {
+  const type = status >= 400 ? 'application/problem+json' : 'application/json';
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': type, ...headers } });
+}
+
+function problem(status, detail) {
+  return json(status, { type: 'about:blank', title: detail, status, detail });
+}
+
+// stays open until the client closes it, like the real event stream
+function eventStream(signal) {
+  const body = new ReadableStream({
+    start(controller) {
+      signal?.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+    },
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+export function createFakeApi({ password = 'password' } = {}) {
+  let nextId = 1;
+  function makeUser(values) {
+    const id = `u${nextId++}`;
+    return { id, version: 1, createdAt: new Date(2026, 0, nextId).toISOString(), groupIds: [], ...values };
+  }
+  const users = [
+    makeUser({ name: 'Demo Admin', email: 'demo@example.com', role: 'admin' }),
+    makeUser({ name: 'Jane Roe', email: 'jane@example.com', role: 'user' }),
+  ];
+  const requests = [];
+  const token = 'access-token';
+
+  function present(user) {
+    return { ...user, permissions: permissionsOf(user.role) };
+  }
+
+  function find(id) {
+    return users.find((u) => u.id === id && !u.deletedAt);
+  }
+
+  function list(url) {
+    const role = url.searchParams.get('role');
+    const rows = users.filter((u) => !u.deletedAt && (!role || role.split(',').includes(u.role)));
+    const limit = Number(url.searchParams.get('limit')) || 10;
+    return { data: rows.slice(0, limit).map(present), total: rows.length, page: 1, totalPages: 1 };
+  }
+
+  function versionMatches(user, headers) {
+    const expected = headers['If-Match'];
+    return expected === '*' || expected === `"${user.version}"`;
+  }
+
+  function answer(method, url, headers, body, signal) {
+    const path = url.pathname.replace(/^\/api\/v1/, '');
+    const signedIn = headers.Authorization === `Bearer ${token}`;
+    const admin = users[0];
+
+    if (method === 'POST' && path === '/login') {
+      if (body.email !== admin.email || body.password !== password) return problem(401, 'Invalid email or password');
+      return json(200, { token, user: present(admin) });
+    }
+    if (path === '/refresh') return problem(401, 'Session expired, please sign in again');
+    if (!signedIn) return problem(401, 'Invalid or expired token');
+
+    if (method === 'POST' && path === '/logout') return json(200, { success: true });
+    if (method === 'GET' && path === '/me') return json(200, present(admin));
+    if (method === 'GET' && path === '/roles') return json(200, { data: ROLES });
+    if (method === 'GET' && (path === '/groups' || path === '/custom-fields')) return json(200, { data: [] });
+    if (method === 'GET' && path === '/events') return eventStream(signal);
+    if (method === 'GET' && path === '/users') return json(200, list(url));
+    if (method === 'POST' && path === '/users') {
+      if (users.some((u) => u.email === body.email)) return problem(409, 'Email already exists');
+      const { password: _password, ...values } = body;
+      const user = makeUser(values);
+      users.push(user);
+      return json(201, present(user), { ETag: `"${user.version}"` });
+    }
+
+    const editing = path.match(/^\/users\/([^/]+)\/editing$/);
+    if (editing) return json(200, { success: true });
+
+    const match = path.match(/^\/users\/([^/]+)$/);
+    const user = match && find(match[1]);
+    if (match && !user) return problem(404, 'User not found');
+    if (user && method === 'GET') return json(200, present(user), { ETag: `"${user.version}"` });
+    if (user && (method === 'PUT' || method === 'DELETE')) {
+      if (!versionMatches(user, headers)) {
+        return json(412, { status: 412, detail: 'The user was changed by someone else', current: present(user) });
+      }
+      if (method === 'PUT') {
+        const { password: _password, ...changes } = body;
+        Object.assign(user, changes, { version: user.version + 1 });
+        return json(200, present(user), { ETag: `"${user.version}"` });
+      }
+      Object.assign(user, { deletedAt: new Date().toISOString(), version: user.version + 1 });
+      return json(200, { user: present(user) });
+    }
+    return problem(404, 'Not found');
+  }
+
+  const fetch = vi.fn(async (input, init = {}) => {
+    const url = new URL(input, 'http://localhost');
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = init.headers || {};
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    requests.push({ method, path: url.pathname + url.search, headers, body });
+    return answer(method, url, headers, body, init.signal);
+  });
+
+  return {
+    fetch,
+    users,
+    requests,
+    token,
+    // the requests with `method` to `path`, whatever their query
+    sent: (method, path) => requests.filter((r) => r.method === method && r.path.split('?')[0] === path),
+  };
+}
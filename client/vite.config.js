@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // the validation schemas live in ../shared, next to the server
+  server: {
+    fs: { allow: ['..'] },
+  },
+  // `npm test`, the components against a fake API (src/test/fakeApi.js)
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
 })
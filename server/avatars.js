@@ -0,0 +1,31 @@
+// Profile pictures are uploaded as data URLs in the JSON body of PATCH
+// /api/me. The declared type is not trusted: the bytes must start with the
+// signature of one of the accepted formats.
+const signatures = {
+  'image/png': (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/gif': (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('latin1')),
+  'image/webp': (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF'
+    && bytes.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+const AVATAR_TYPES = Object.keys(signatures);
+
+// Resolves to { contentType, bytes } or { error } with a message for the form.
+function decodeAvatar(dataUrl, { maxBytes }) {
+  const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl);
+  if (!match) return { error: 'Avatar must be an uploaded image' };
+  const contentType = match[1].toLowerCase();
+  if (!AVATAR_TYPES.includes(contentType)) {
+    return { error: 'Avatar must be a PNG, JPEG, GIF or WebP image' };
+  }
+  const bytes = Buffer.from(match[2], 'base64');
+  if (bytes.length === 0) return { error: 'Avatar image is empty' };
+  if (bytes.length > maxBytes) {
+    return { error: `Avatar must be at most ${Math.floor(maxBytes / 1024)} KB` };
+  }
+  if (!signatures[contentType](bytes)) return { error: 'Avatar file is not a valid image of its type' };
+  return { contentType, bytes };
+}
+
+module.exports = { AVATAR_TYPES, decodeAvatar };
@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV support for user import/export.
+
+// Parses CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with embedded commas, quotes and newlines, and CRLF line endings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // blank lines carry no data
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+// First row is the header; returns one object per data row keyed by header.
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = cells[index] ?? '';
+    });
+    return record;
+  });
+}
+
+// signed numbers and phone numbers like +44 20 7946 0958 start like a
+// formula too, but hold nothing a spreadsheet could run
+const PLAIN_NUMBER = /^[+-]?(?:[\d ().-]*\d[\d ().-]*|\d+(?:\.\d+)?e[+-]?\d+)$/i;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // keep spreadsheets from evaluating exported values as formulas
+  if (/^[=+\-@\t\r]/.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, records) {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCell(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
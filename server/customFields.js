@@ -0,0 +1,64 @@
+const { customFieldsSchema } = require('./schemas');
+
+// Extra fields on users defined by admins (department, phone, ...). Each
+// definition is stored in the `customFields` collection with its key as id;
+// the values live on the user under `fields.<key>`. Definitions are kept in
+// memory after every write so user validation can be built synchronously,
+// with the rules in shared/schemas.mjs that the client uses as well.
+const COLLECTION = 'customFields';
+
+function createCustomFieldService({ storage }) {
+  // sorted by `order`, then by creation
+  let definitions = [];
+
+  async function sync() {
+    const { items } = await storage.query(COLLECTION, { sort: { field: 'createdAt', direction: 'asc' } });
+    definitions = items.sort((a, b) => a.order - b.order);
+    return definitions;
+  }
+
+  function list() {
+    return definitions;
+  }
+
+  function find(key) {
+    return definitions.find((definition) => definition.key === key) || null;
+  }
+
+  async function create(definition) {
+    await storage.create(COLLECTION, { ...definition, id: definition.key, createdAt: Date.now() });
+    await sync();
+    return find(definition.key);
+  }
+
+  async function update(key, changes) {
+    await storage.update(COLLECTION, key, { ...changes, updatedAt: Date.now() });
+    await sync();
+    return find(key);
+  }
+
+  async function remove(key) {
+    const removed = await storage.delete(COLLECTION, key);
+    await sync();
+    return removed;
+  }
+
+  // validates the `fields` object of a user create (or, with `partial`, update)
+  function schema({ partial = false } = {}) {
+    return customFieldsSchema(definitions, { partial });
+  }
+
+  // text-like values take part in the user search
+  function searchPaths() {
+    return definitions.filter((d) => d.type !== 'boolean').map((d) => `fields.${d.key}`);
+  }
+
+  // only defined fields leave the server, values of deleted ones are dropped
+  function valuesOf(user) {
+    return Object.fromEntries(definitions.map((d) => [d.key, user.fields?.[d.key] ?? null]));
+  }
+
+  return { load: sync, list, find, create, update, remove, schema, searchPaths, valuesOf };
+}
+
+module.exports = { createCustomFieldService };
@@ -0,0 +1,86 @@
+const { STATUS_CODES } = require('http');
+
+// Every error leaves the API as RFC 7807 problem details:
+//   { type, title, status, detail, instance, requestId, errors?, ...extras }
+// `errors` lists field problems as { field, message }, with the field as a
+// dotted path such as `email` or `fields.employee_id`. Extras are whatever
+// the route adds, like `current` on a 412 or `retryAfter` on a 429.
+const PROBLEM_TYPE = 'application/problem+json';
+
+// thrown by routes and shared operations, the error handler below turns it
+// into the response; `body` holds the extras, `details` maps fields to messages
+class HttpError extends Error {
+  constructor(status, message, body = {}) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function zodErrorToFieldMap(err) {
+  const details = {};
+  if (err?.issues) {
+    for (const issue of err.issues) {
+      const key = issue.path.join('.') || 'root';
+      details[key] = issue.message;
+    }
+  }
+  return details;
+}
+
+// a failed safeParse, as a 400 with one entry per field
+function validationError(zodError, message = 'Validation failed') {
+  return new HttpError(400, message, { details: zodErrorToFieldMap(zodError) });
+}
+
+function problemBody(req, status, message, { details, ...extras } = {}) {
+  return {
+    type: 'about:blank',
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    detail: message,
+    instance: req.originalUrl,
+    requestId: req.id,
+    ...(details ? { errors: Object.entries(details).map(([field, text]) => ({ field, message: String(text) })) } : {}),
+    ...extras,
+  };
+}
+
+function sendProblem(req, res, status, message, body) {
+  return res.status(status).type(PROBLEM_TYPE).json(problemBody(req, status, message, body));
+}
+
+function sendHttpError(req, res, err) {
+  if (!(err instanceof HttpError)) throw err;
+  return sendProblem(req, res, err.status, err.message, err.body);
+}
+
+// after all routes: anything no route answered
+function notFoundHandler(req, res) {
+  sendProblem(req, res, 404, `No route for ${req.method} ${req.path}`);
+}
+
+// Last in the chain. HttpErrors carry their own status; body parser failures
+// come with one too (bad JSON, too large). Anything else is a bug, so it is
+// logged with the request id and the client only learns that id.
+function createErrorHandler({ logger } = {}) {
+  // express spots error handlers by their four parameters
+  return (err, req, res, next) => {
+    if (res.headersSent) return req.socket.destroy();
+    if (err instanceof HttpError) return sendHttpError(req, res, err);
+    if (err.type === 'entity.parse.failed') return sendProblem(req, res, 400, 'The request body is not valid JSON');
+    if (err.status >= 400 && err.status < 500 && err.expose) return sendProblem(req, res, err.status, err.message);
+    (req.log || logger)?.error('request failed', { method: req.method, path: req.originalUrl, err });
+    sendProblem(req, res, 500, 'Something went wrong, please try again');
+  };
+}
+
+module.exports = {
+  HttpError,
+  zodErrorToFieldMap,
+  validationError,
+  sendProblem,
+  sendHttpError,
+  notFoundHandler,
+  createErrorHandler,
+};
@@ -0,0 +1,25 @@
+// Every user record carries a `version` that goes up with each edit. It is
+// exposed as a strong ETag so PUT and DELETE can be made conditional with
+// If-Match and never overwrite a change they did not see.
+
+// records written before versioning count as version 1
+function userVersion(user) {
+  return user.version || 1;
+}
+
+function userEtag(user) {
+  return `"${userVersion(user)}"`;
+}
+
+// fields to merge into an update so the version and stamp move forward
+function nextVersion(user) {
+  return { version: userVersion(user) + 1, updatedAt: Date.now() };
+}
+
+// If-Match uses strong comparison, so weak (W/"..") tags never match
+function ifMatchSatisfied(header, etag) {
+  if (header.trim() === '*') return true;
+  return header.split(',').map((tag) => tag.trim()).includes(etag);
+}
+
+module.exports = { userVersion, userEtag, nextVersion, ifMatchSatisfied };
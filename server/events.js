@@ -0,0 +1,80 @@
+// In-process publish/subscribe for the live updates at GET /api/events.
+// Recent events are kept so a client that reconnects with Last-Event-ID gets
+// what it missed. Ids are `<boot>-<seq>`: after a restart, or once an id has
+// dropped out of the buffer, `since` returns null and the client must reload.
+function createEventHub({ bufferSize = 1000 } = {}) {
+  const boot = Date.now().toString(36);
+  const buffer = [];
+  const listeners = new Set();
+  let seq = 0;
+
+  function publish(type, data) {
+    seq += 1;
+    const event = { id: `${boot}-${seq}`, seq, type, data };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+    for (const listener of listeners) listener(event);
+    return event;
+  }
+
+  // events after `lastId`, or null when they can no longer be replayed
+  function since(lastId) {
+    const [idBoot, idSeq] = String(lastId).split('-');
+    const after = Number(idSeq);
+    if (idBoot !== boot || !Number.isInteger(after) || after > seq) return null;
+    const oldest = buffer[0]?.seq ?? seq + 1;
+    if (after + 1 < oldest) return null;
+    return buffer.filter((event) => event.seq > after);
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return {
+    publish,
+    since,
+    subscribe,
+    lastId: () => `${boot}-${seq}`,
+    connections: () => listeners.size,
+  };
+}
+
+// Who is editing which user, so others can see it in the table. The client
+// renews its claim while the form is open; an unrenewed claim expires.
+function createEditingTracker({ ttlMs = 30 * 1000 } = {}) {
+  // `${userId}:${editorId}` -> { userId, editor: { id, name }, until }
+  const claims = new Map();
+
+  function prune(now = Date.now()) {
+    for (const [key, claim] of claims) {
+      if (claim.until <= now) claims.delete(key);
+    }
+  }
+
+  function start(userId, editor) {
+    const claim = { userId, editor: { id: editor.id, name: editor.name }, until: Date.now() + ttlMs };
+    claims.set(`${userId}:${editor.id}`, claim);
+    return claim;
+  }
+
+  function stop(userId, editor) {
+    claims.delete(`${userId}:${editor.id}`);
+    return { userId, editor: { id: editor.id, name: editor.name }, until: 0 };
+  }
+
+  function list() {
+    prune();
+    return [...claims.values()];
+  }
+
+  return { start, stop, list };
+}
+
+// the SSE wire format: https://html.spec.whatwg.org/multipage/server-sent-events.html
+function formatEvent({ id, type, data }) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = { createEventHub, createEditingTracker, formatEvent };
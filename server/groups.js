@@ -0,0 +1,125 @@
+// Groups of users. Membership is many-to-many and lives in its own
+// `groupMembers` collection (id `<groupId>:<userId>`), so the members of a
+// group and the groups of a user are both plain queries. A group's
+// `managerIds` lists the members who manage it.
+const GROUPS = 'groups';
+const MEMBERS = 'groupMembers';
+
+function membershipId(groupId, userId) {
+  return `${groupId}:${userId}`;
+}
+
+// names are unique regardless of case
+function nameKey(name) {
+  return name.trim().toLowerCase();
+}
+
+function createGroupService({ storage }) {
+  async function list() {
+    const { items } = await storage.query(GROUPS, { sort: { field: 'name', direction: 'asc' } });
+    return items;
+  }
+
+  function find(id) {
+    return storage.find(GROUPS, id);
+  }
+
+  function findByName(name) {
+    return storage.findBy(GROUPS, 'nameKey', nameKey(name));
+  }
+
+  function create({ id, name, description, createdBy }) {
+    return storage.create(GROUPS, {
+      id,
+      name,
+      nameKey: nameKey(name),
+      description,
+      managerIds: [],
+      createdBy,
+      createdAt: Date.now(),
+    });
+  }
+
+  function update(id, changes) {
+    const extra = changes.name ? { nameKey: nameKey(changes.name) } : {};
+    return storage.update(GROUPS, id, { ...changes, ...extra, updatedAt: Date.now() });
+  }
+
+  async function remove(id) {
+    const { items } = await storage.query(MEMBERS, { where: { groupId: id } });
+    await Promise.all(items.map((membership) => storage.delete(MEMBERS, membership.id)));
+    return storage.delete(GROUPS, id);
+  }
+
+  async function memberIds(groupId) {
+    const { items } = await storage.query(MEMBERS, { where: { groupId } });
+    return items.map((membership) => membership.userId);
+  }
+
+  // userId -> [groupId] for the given users
+  async function groupIdsOf(userIds) {
+    const byUser = Object.fromEntries(userIds.map((id) => [id, []]));
+    if (userIds.length === 0) return byUser;
+    const { items } = await storage.query(MEMBERS, { where: { userId: userIds } });
+    for (const membership of items) byUser[membership.userId].push(membership.groupId);
+    return byUser;
+  }
+
+  async function isMember(groupId, userId) {
+    return Boolean(await storage.find(MEMBERS, membershipId(groupId, userId)));
+  }
+
+  // resolves to false when the user already was a member
+  async function addMember(groupId, userId, addedBy) {
+    if (await isMember(groupId, userId)) return false;
+    await storage.create(MEMBERS, { id: membershipId(groupId, userId), groupId, userId, addedBy, addedAt: Date.now() });
+    return true;
+  }
+
+  // a member who leaves stops managing the group too
+  async function removeMember(groupId, userId) {
+    const removed = await storage.delete(MEMBERS, membershipId(groupId, userId));
+    const group = await find(groupId);
+    if (group?.managerIds.includes(userId)) {
+      await update(groupId, { managerIds: group.managerIds.filter((id) => id !== userId) });
+    }
+    return Boolean(removed);
+  }
+
+  // for purged users
+  async function removeUser(userId) {
+    const byUser = await groupIdsOf([userId]);
+    for (const groupId of byUser[userId]) await removeMember(groupId, userId);
+  }
+
+  async function managedGroupIds(userId) {
+    return (await list()).filter((group) => group.managerIds.includes(userId)).map((group) => group.id);
+  }
+
+  // whether `managerId` manages a group `userId` belongs to
+  async function manages(managerId, userId) {
+    const managed = await managedGroupIds(managerId);
+    if (managed.length === 0) return false;
+    const { total } = await storage.query(MEMBERS, { where: { userId, groupId: managed }, limit: 0 });
+    return total > 0;
+  }
+
+  return {
+    list,
+    find,
+    findByName,
+    create,
+    update,
+    remove,
+    memberIds,
+    groupIdsOf,
+    isMember,
+    addMember,
+    removeMember,
+    removeUser,
+    managedGroupIds,
+    manages,
+  };
+}
+
+module.exports = { createGroupService };
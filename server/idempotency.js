@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// Idempotency-Key support for writes, so a client can repeat a request whose
+// answer it never got without doing the work twice.
+//
+// The first request with a key runs as usual and its response (status, JSON
+// body and the headers below) is stored for `ttlMs`. A repeat with the same
+// key gets that response again, marked with `Idempotent-Replayed: true`. The
+// same key with another method, path or body is a client bug and gets a 422;
+// a repeat that arrives while the first is still running gets a 409 with the
+// code `idempotency_key_in_use` (unless the first has been running for
+// `staleMs`, then it is taken to have died).
+// 5xx responses are not stored, so a retry after a server fault runs again.
+//
+// A route whose response carries a secret, such as a password reset token,
+// sets `res.locals.withholdReplay`: then only the status is stored, and a
+// repeat gets a 409 with the code `idempotent_response_withheld` instead of
+// the secret a second time.
+//
+// Keys are per user: records live in the `idempotencyKeys` collection under
+// `<userId>:<key>`, and a user's expired ones are dropped when they store a
+// new one.
+const COLLECTION = 'idempotencyKeys';
+const KEY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const REPLAYED_HEADERS = ['content-type', 'etag', 'location'];
+const MAX_KEY_LENGTH = 255;
+
+// JSON with the object keys sorted, so the same body always hashes the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// `req.url` is relative to the router, so /api and /api/v1 agree
+function fingerprint(req) {
+  return crypto.createHash('sha256').update(`${req.method} ${req.url}\n${canonical(req.body)}`).digest('hex');
+}
+
+function createIdempotency({ storage, ttlMs = 24 * 60 * 60 * 1000, staleMs = 60 * 1000, now = Date.now }) {
+  // the record that still counts, dropping one that does not
+  async function load(id) {
+    const record = await storage.find(COLLECTION, id);
+    if (!record) return null;
+    const dead = record.state === 'running' && record.startedAt + staleMs < now();
+    if (record.expiresAt > now() && !dead) return record;
+    await storage.delete(COLLECTION, id);
+    return null;
+  }
+
+  async function prune(userId) {
+    const { items } = await storage.query(COLLECTION, { where: { userId, expiresAt: { lt: now() } } });
+    await Promise.all(items.map((record) => storage.delete(COLLECTION, record.id)));
+  }
+
+  // claims the key for this request; resolves to the stored record of an
+  // earlier one, or null when this request should run
+  async function begin(userId, key, hash) {
+    const id = `${userId}:${key}`;
+    const existing = await load(id);
+    if (existing) return existing;
+    await prune(userId);
+    const record = { id, userId, fingerprint: hash, state: 'running', startedAt: now(), expiresAt: now() + ttlMs };
+    try {
+      await storage.create(COLLECTION, record);
+    } catch (err) {
+      // another request with the key got in first
+      const winner = await load(id);
+      if (winner) return winner;
+      throw err;
+    }
+    return null;
+  }
+
+  async function finish(id, response) {
+    if (response.status >= 500) await storage.delete(COLLECTION, id);
+    else await storage.update(COLLECTION, id, { state: 'done', response });
+  }
+
+  function withheld(status) {
+    return { status, headers: {}, body: undefined, withheld: true };
+  }
+
+  function replay(res, { response }) {
+    for (const [name, value] of Object.entries(response.headers)) res.set(name, value);
+    res.set(REPLAYED_HEADER, 'true').status(response.status);
+    if (response.body === undefined) res.end();
+    else res.send(JSON.stringify(response.body));
+  }
+
+  // After requireAuth (the key belongs to req.userId); without the header the
+  // request runs as usual.
+  async function middleware(req, res, next) {
+    const key = req.get(KEY_HEADER);
+    if (key === undefined) return next();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      throw new HttpError(400, `${KEY_HEADER} must be 1 to ${MAX_KEY_LENGTH} characters`);
+    }
+    const hash = fingerprint(req);
+    const earlier = await begin(req.userId, key, hash);
+    if (earlier) {
+      if (earlier.fingerprint !== hash) {
+        throw new HttpError(422, `This ${KEY_HEADER} was already used for a different request`);
+      }
+      if (earlier.state === 'running') {
+        res.set('Retry-After', '1');
+        throw new HttpError(409, `A request with this ${KEY_HEADER} is still being processed`, {
+          code: 'idempotency_key_in_use',
+        });
+      }
+      if (earlier.response.withheld) {
+        throw new HttpError(409, `The response to this ${KEY_HEADER} held a secret and is not sent again`, {
+          code: 'idempotent_response_withheld',
+        });
+      }
+      req.log?.debug('idempotent replay', { key });
+      return replay(res, earlier);
+    }
+
+    // the response is taken when it is written, whether or not the client is
+    // still there to read it: that is the case the key is for
+    const id = `${req.userId}:${key}`;
+    let body;
+    const json = res.json.bind(res);
+    const end = res.end.bind(res);
+    res.json = (value) => {
+      body = value;
+      return json(value);
+    };
+    res.end = (...args) => {
+      const headers = {};
+      for (const name of REPLAYED_HEADERS) {
+        const value = res.get(name);
+        if (value !== undefined) headers[name] = value;
+      }
+      const response = res.locals.withholdReplay ? withheld(res.statusCode) : { status: res.statusCode, headers, body };
+      finish(id, response).catch((err) => {
+        req.log?.error('storing the idempotent response failed', { key, err });
+      });
+      return end(...args);
+    };
+    next();
+  }
+
+  return { middleware };
+}
+
+module.exports = { createIdempotency, KEY_HEADER, REPLAYED_HEADER };
@@ -1,195 +1,2551 @@
 const express = require('express');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
 const { v4: uuidv4 } = require('uuid');
 const { z } = require('zod');
-
-const app = express();
-app.use(cors());
-app.use(express.json());
+const {
+  permissionCatalog,
+  permissionsOf,
+  hasPermission,
+  adminRoles,
+  isLastAdmin,
+  assignableRoles,
+  canCreateUser,
+  canUpdateUser,
+  canDeleteUser,
+} = require('./permissions');
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createToken,
+  hashToken,
+} = require('./passwords');
+const { createStorage } = require('./storage');
+const { createSessionService } = require('./sessions');
+const { createAuditLog, auditActions } = require('./audit');
+const { createLoginThrottle } = require('./loginThrottle');
+const { generateSecret, verifyTotp, otpauthUri, generateRecoveryCodes, findRecoveryCode } = require('./totp');
+const { userVersion, userEtag, nextVersion, ifMatchSatisfied } = require('./etag');
+const { parseCsvObjects, toCsv } = require('./csv');
+const { createMailer } = require('./mailer');
+const { createRoleService, ADMIN_ROLE } = require('./roles');
+const { createGroupService } = require('./groups');
+const { createCustomFieldService } = require('./customFields');
+const { createApiDocs, toJsonSchema } = require('./openapi');
+const { HttpError, zodErrorToFieldMap, validationError, notFoundHandler, createErrorHandler } = require('./errors');
+const { requestId, REQUEST_ID_HEADER } = require('./requestId');
+const { createLoggerFromEnv, requestLogger } = require('./logger');
+const { createMetrics, httpMetrics } = require('./metrics');
+const { createEventHub, createEditingTracker, formatEvent } = require('./events');
+const { createIdempotency, REPLAYED_HEADER } = require('./idempotency');
+const {
+  roleSchema,
+  loginSchema,
+  twoFactorCodeSchema,
+  descriptionSchema,
+  createUserSchema,
+  inviteUserSchema,
+  updateUserSchema,
+  changePasswordSchema,
+  resetPasswordSchema,
+  acceptInviteSchema,
+  updateMeSchema: sharedUpdateMeSchema,
+  roleNameSchema,
+  groupSchema,
+  customFieldKeySchema,
+  customFieldLabelSchema,
+  customFieldPatternSchema,
+  CUSTOM_FIELD_TYPES,
+} = require('./schemas');
+const { decodeAvatar } = require('./avatars');
 
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || 'i-am-secret-key';
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const RESET_TOKEN_TTL_MS = 1000 * 60 * 60;
+const REFRESH_COOKIE = 'refresh_token';
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const APP_NAME = process.env.APP_NAME || 'CRUD Demo';
+// where links in emails point to, the React app
+const APP_URL = (process.env.APP_URL || CLIENT_ORIGIN.split(',')[0]).replace(/\/$/, '');
+// shown as the account name in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || APP_NAME;
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+const EMAIL_CHANGE_TTL_MS = 1000 * 60 * 60 * 24;
+const AVATAR_MAX_KB = Number(process.env.AVATAR_MAX_KB) || 512;
+const API_PREFIX = '/api/v1';
+// when set, /metrics asks for it as a bearer token
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+// how long a response is kept for repeats with the same Idempotency-Key
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// how long an admin may view the app as another user before signing in again
+const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+// LOG_LEVEL and LOG_FORMAT, see logger.js
+const logger = createLoggerFromEnv(process.env);
+const metrics = createMetrics();
+
+const app = express();
+app.use(requestId());
+app.use(requestLogger(logger));
+app.use(httpMetrics(metrics));
+// credentials are needed for the refresh token cookie, so the origin must be explicit
+app.use(cors({ origin: CLIENT_ORIGIN.split(','), credentials: true, exposedHeaders: [REQUEST_ID_HEADER, REPLAYED_HEADER, 'Deprecation', 'Link'] }));
+// large enough for bulk imports
+app.use(express.json({ limit: '2mb' }));
+app.use(cookieParser());
+
+// All routes live on this router, mounted under API_PREFIX at the end of the file.
+const api = express.Router();
+
+// pick the backend with STORAGE_DRIVER, see storage/index.js
+const storage = createStorage(process.env);
+const sessions = createSessionService({
+  storage,
+  jwtSecret: JWT_SECRET,
+  accessTokenTtl: ACCESS_TOKEN_TTL,
+  refreshTokenTtlMs: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  impersonationTtlMs: IMPERSONATION_TTL_MINUTES * 60 * 1000,
+});
+// live updates for GET /api/events, fed from the audit log
+const events = createEventHub();
+const editing = createEditingTracker();
+const audit = createAuditLog({ storage, onRecord: publishUserChange });
+const roles = createRoleService({ storage });
+const groups = createGroupService({ storage });
+const customFields = createCustomFieldService({ storage });
+// pick the mailer with MAIL_DRIVER, see mailer/index.js
+const mailer = createMailer(process.env);
+const loginThrottle = createLoginThrottle({
+  storage,
+  maxAccountFailures: LOGIN_MAX_FAILURES,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+});
+// writes under /users take an Idempotency-Key, see idempotency.js
+const idempotency = createIdempotency({ storage, ttlMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000 });
 
-// Object database
-const database = {
-  users: [],
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api',
 };
 
+function setRefreshCookie(res, refreshToken, expiresAt) {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions, expires: new Date(expiresAt) });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+}
+
 function sanitizeUser(user) {
-  const { password, ...rest } = user;
-  return rest;
+  const { password, passwordReset, twoFactor, twoFactorPending, invite, avatar, emailChange, ...rest } = user;
+  return {
+    ...rest,
+    version: userVersion(user),
+    // resolved from the role now, so the client can check what the user may do
+    permissions: permissionsOf(user.role),
+    twoFactorEnabled: Boolean(twoFactor),
+    fields: customFields.valuesOf(user),
+    ...(invite ? { inviteExpiresAt: invite.expiresAt } : {}),
+    // served by GET /api/avatars/:id, a new upload gets a new id
+    ...(avatar ? { avatarUrl: `${API_PREFIX}/avatars/${avatar.id}` } : {}),
+    // the address waiting for verification, see PATCH /api/me
+    ...(emailChange ? { pendingEmail: emailChange.email } : {}),
+  };
+}
+
+// PUT and DELETE must say which version of the user they are based on
+function assertUserVersion(req, user) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    throw new HttpError(428, 'This request must include an If-Match header with the user version');
+  }
+  if (!ifMatchSatisfied(ifMatch, userEtag(user))) {
+    throw new HttpError(412, 'This user was changed by someone else', { current: sanitizeUser(user) });
+  }
+}
+
+// lockout status is only shown to admins, who are the ones who can clear it
+async function withLockout(req, users) {
+  if (!hasPermission(req.user, 'users.admin')) return users;
+  return Promise.all(users.map(async (u) => ({ ...u, lockedUntil: await loginThrottle.lockedUntil(u.email) })));
+}
+
+// the ids of the groups each user belongs to, for the users table
+async function withGroups(users) {
+  const byUser = await groups.groupIdsOf(users.map((u) => u.id));
+  return users.map((u) => ({ ...u, groupIds: byUser[u.id] }));
+}
+
+// soft-deleted users keep their record (and email) until purged
+async function findActiveUser(id) {
+  const user = await storage.find('users', id);
+  return user && !user.deletedAt ? user : null;
+}
+
+// Values of unique custom fields may not be held by another user, deleted
+// users included, the same as emails.
+async function assertUniqueFields(values, userId) {
+  const details = {};
+  for (const definition of customFields.list().filter((d) => d.unique)) {
+    const value = values?.[definition.key];
+    if (value === undefined || value === null) continue;
+    const { items } = await storage.query('users', { where: { [`fields.${definition.key}`]: value }, limit: 2 });
+    if (items.some((u) => u.id !== userId)) details[`fields.${definition.key}`] = `${definition.label} is already in use`;
+  }
+  if (Object.keys(details).length > 0) throw new HttpError(409, 'Some values are already in use', { details });
+}
+
+// submitted custom field values on top of the stored ones, null clears one
+function mergeFields(current = {}, values = {}) {
+  return Object.fromEntries(Object.entries({ ...current, ...values }).filter(([, value]) => value !== null));
+}
+
+async function countActiveAdmins() {
+  const { total } = await storage.query('users', { where: { role: adminRoles(), deletedAt: null }, limit: 0 });
+  return total;
 }
 
-function seedUsers() {
-  if (database.users.length > 0) return;
+// Only seeds an empty store, so persisted data is never touched. Without
+// SEED_ADMIN_PASSWORD a random password is generated and printed once.
+async function seedUsers() {
+  if ((await storage.count('users')) > 0) return;
 
   const now = Date.now();
+  const email = (process.env.SEED_ADMIN_EMAIL || 'demo@example.com').toLowerCase();
+  const seedPassword = process.env.SEED_ADMIN_PASSWORD || createToken().slice(0, 16);
+  const passwordHash = await hashPassword(seedPassword);
 
   // demo user for login
-  database.users.push({
+  await storage.create('users', {
     id: uuidv4(),
     name: 'Demo Admin',
-    email: 'demo@example.com',
-    role: 'admin',
-    password: 'password',
+    email,
+    role: ADMIN_ROLE,
+    password: passwordHash,
     createdAt: now - 1000 * 60 * 10,
+    version: 1,
   });
 
   // dummy users for testing
   const roles = ['user', 'manager', 'viewer'];
   for (let i = 1; i <= 7; i += 1) {
-    database.users.push({
+    await storage.create('users', {
       id: uuidv4(),
       name: `User ${i}`,
       email: `user${i}@example.com`,
       role: roles[i % roles.length],
-      password: 'password',
+      password: passwordHash,
       createdAt: now - 1000 * 60 * (10 - i),
+      version: 1,
     });
   }
+  if (!process.env.SEED_ADMIN_PASSWORD) {
+    logger.warn(`Seeded ${email} and user1..7@example.com with the password: ${seedPassword}`);
+  }
+}
+
+const defaultSecuritySettings = { twoFactorRoles: [] };
+
+async function getSecuritySettings() {
+  const stored = await storage.find('settings', 'security');
+  const { id, ...settings } = stored || {};
+  return { ...defaultSecuritySettings, ...settings };
+}
+
+async function saveSecuritySettings(settings) {
+  if (await storage.find('settings', 'security')) await storage.update('settings', 'security', settings);
+  else await storage.create('settings', { id: 'security', ...settings });
 }
 
-seedUsers();
+async function isTwoFactorRequired(user) {
+  return (await getSecuritySettings()).twoFactorRoles.includes(user.role);
+}
+
+// Checks a code from the authenticator app or a recovery code. Resolves to
+// the `twoFactor` value that marks the code as used, or null when it is wrong.
+function consumeSecondFactor(user, code) {
+  const { twoFactor } = user;
+  const step = verifyTotp(twoFactor.secret, code, { lastUsedStep: twoFactor.lastUsedStep });
+  if (step !== null) return { method: 'totp', twoFactor: { ...twoFactor, lastUsedStep: step } };
+  const index = findRecoveryCode(twoFactor.recoveryCodes, code);
+  if (index === -1) return null;
+  const recoveryCodes = twoFactor.recoveryCodes.filter((_, i) => i !== index);
+  return { method: 'recovery', twoFactor: { ...twoFactor, recoveryCodes } };
+}
 
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization || '';
   const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.userId = payload.userId;
+  if (!token) throw new HttpError(401, 'Unauthorized');
+  const verified = await sessions.verifyAccessToken(token);
+  if (!verified) throw new HttpError(401, 'Invalid or expired token');
+  // load the current record so role changes apply to existing tokens
+  const user = await findActiveUser(verified.payload.userId);
+  if (!user) throw new HttpError(401, 'Invalid or expired token');
+  // an impersonation ends once the admin is no longer one, or the user becomes one
+  let impersonator = null;
+  if (verified.payload.impersonatorId) {
+    impersonator = await findActiveUser(verified.payload.impersonatorId);
+    if (!impersonator || !hasPermission(impersonator, 'users.admin') || hasPermission(user, 'users.admin')) {
+      throw new HttpError(401, 'Invalid or expired token');
+    }
+  }
+  req.userId = user.id;
+  req.user = user;
+  req.impersonator = impersonator;
+  req.impersonationId = impersonator ? verified.payload.jti : null;
+  req.sessionId = verified.session.id;
+  req.tokenExpiresAt = verified.payload.exp * 1000;
+  // until a role's required 2FA is set up, the session is only good for that;
+  // an admin viewing as the user is not asked to
+  const settingUp = req.path.startsWith('/me/2fa')
+    || req.path === '/logout'
+    || (req.path === '/me' && req.method === 'GET');
+  if (!impersonator && !user.twoFactor && !settingUp && (await isTwoFactorRequired(user))) {
+    throw new HttpError(403, 'Your role requires two-factor authentication, set it up to continue', {
+      code: 'two_factor_setup_required',
+    });
+  }
+  next();
+}
+
+// after requireAuth and the permission check, right before the route
+const idempotent = idempotency.middleware;
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      throw new HttpError(403, 'Forbidden');
+    }
+    next();
+  };
+}
+
+// An admin viewing the app as someone else may do what that user can, except
+// change how anyone signs in or what a role allows. `what` is the plural
+// subject of the message, e.g. 'Passwords'.
+function assertNotImpersonating(req, what) {
+  if (req.impersonator) {
+    throw new HttpError(403, `${what} cannot be changed while viewing as another user`, { code: 'impersonating' });
+  }
+}
+
+function forbidWhileImpersonating(what) {
+  return (req, res, next) => {
+    assertNotImpersonating(req, what);
     next();
+  };
+}
+
+// the `fields` object is validated against the admin-defined custom fields,
+// which can change at any time, so the schema is built per request
+function withCustomFields(schema, { partial = false } = {}) {
+  return schema.extend({ fields: customFields.schema({ partial }) });
+}
+
+const sortableUserFields = ['name', 'email', 'role', 'createdAt'];
+
+// ?role=admin&role=user and ?role=admin,user are both accepted
+const listParam = z.preprocess(
+  (v) => (v === undefined ? [] : [].concat(v).flatMap((s) => String(s).split(',')).filter(Boolean)),
+  z.array(z.string()),
+);
+
+const listUsersQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  sort: z.enum(sortableUserFields).default('createdAt'),
+  order: z.enum(['asc', 'desc']).optional(),
+  role: listParam.pipe(z.array(roleSchema)),
+  q: z.string().trim().max(100).optional(),
+  // members of one group
+  group: z.string().trim().min(1).optional(),
+  // the trash: only soft-deleted users
+  deleted: z.enum(['true', 'false']).default('false').transform((v) => v === 'true'),
+});
+
+app.get('/', (req, res) => {
+  res.json({ status: 'ok', message: 'CRUD API demo server running' });
+});
+
+// Health checks, outside the versioned API for load balancers and orchestrators.
+// /healthz: the process answers and the storage backend responds.
+// /readyz: additionally, startup (roles, custom fields, seeding) has finished.
+let ready = false;
+const STORAGE_PING_TIMEOUT_MS = 2000;
+
+async function checkStorage() {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out')), STORAGE_PING_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([storage.ping(), timeout]);
+    return { status: 'ok', driver: storage.driver };
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    logger.error('Storage health check failed', { err });
+    return { status: 'failing', driver: storage.driver, error: err.message };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
-const allowedRoles = ['user', 'manager', 'viewer', 'admin'];
+app.get('/healthz', async (req, res) => {
+  const checks = { storage: await checkStorage() };
+  const ok = checks.storage.status === 'ok';
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'failing', checks });
+});
 
-const loginSchema = z.object({
-  email: z.string().email('Valid email is required'),
-  password: z.string().min(1, 'Password is required'),
+app.get('/readyz', async (req, res) => {
+  const checks = { startup: { status: ready ? 'ok' : 'pending' }, storage: await checkStorage() };
+  const ok = ready && checks.storage.status === 'ok';
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'not ready', checks });
 });
 
-const createUserSchema = z.object({
-  name: z.string().trim().min(2, 'Name must be at least 2 characters'),
-  email: z.string().trim().toLowerCase().email('Valid email is required'),
-  role: z.enum(allowedRoles).default('user'),
-  password: z.string().min(6, 'Password must be at least 6 characters'),
+// Prometheus scrape endpoint. Request and sign-in counters are updated as
+// requests happen; user counts and process figures are read on each scrape.
+metrics.gauge('users_total', 'Users not in the trash, by role', async () => {
+  const list = await roles.list();
+  return Promise.all(list.map(async (role) => {
+    const { total } = await storage.query('users', { where: { role: role.name, deletedAt: null }, limit: 0 });
+    return { labels: { role: role.name }, value: total };
+  }));
 });
+metrics.gauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
 
-const updateUserSchema = z.object({
-  name: z.string().trim().min(2, 'Name must be at least 2 characters').optional(),
-  email: z.string().trim().toLowerCase().email('Valid email is required').optional(),
-  role: z.enum(allowedRoles).optional(),
-  password: z.string().min(6, 'Password must be at least 6 characters').optional(),
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    throw new HttpError(401, 'A valid metrics token is required');
+  }
+  res.type('text/plain; version=0.0.4').send(await metrics.render());
 });
 
-function zodErrorToFieldMap(err) {
-  const details = {};
-  if (err?.issues) {
-    for (const issue of err.issues) {
-      const key = issue.path.join('.') || 'root';
-      details[key] = issue.message;
+// Auth
+// sign-ins by result: success, failure (wrong password or code) or throttled
+const loginAttempts = metrics.counter('auth_logins_total', 'Sign-in attempts by result', ['result']);
+
+function tooManyAttempts(res, { retryAfterMs, locked }) {
+  loginAttempts.inc({ result: 'throttled' });
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  const message = locked
+    ? 'This account is temporarily locked after too many failed sign-ins'
+    : 'Too many sign-in attempts, please wait before trying again';
+  return new HttpError(429, message, { retryAfter, locked });
+}
+
+api.post('/login', async (req, res) => {
+  const parse = loginSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const email = parse.data.email.trim().toLowerCase();
+  const { password } = parse.data;
+  const throttled = await loginThrottle.check({ ip: req.ip, email });
+  if (throttled.retryAfterMs > 0) throw tooManyAttempts(res, throttled);
+
+  const user = await storage.findBy('users', 'email', email);
+  // deleted accounts get the same answer as a wrong password
+  if (!user || user.deletedAt || !(await verifyPassword(password, user.password))) {
+    await audit.record({
+      action: 'auth.login_failed',
+      target: user,
+      req,
+      meta: {
+        email,
+        ...(user?.deletedAt ? { reason: 'deleted' } : {}),
+        ...(user?.status === 'invited' ? { reason: 'invited' } : {}),
+      },
+    });
+    const failure = await loginThrottle.recordFailure({ ip: req.ip, email });
+    if (failure.lockedNow && user) {
+      await audit.record({ action: 'auth.lockout', target: user, req, meta: { email } });
     }
+    loginAttempts.inc({ result: 'failure' });
+    if (failure.retryAfterMs > 0) throw tooManyAttempts(res, failure);
+    throw new HttpError(401, 'Invalid email or password');
   }
-  return details;
+  if (user.passwordResetRequired) {
+    throw new HttpError(403, 'Your password must be reset, use the link from your administrator');
+  }
+  // upgrade plaintext or outdated hashes now that we know the password
+  if (needsRehash(user.password)) {
+    await storage.update('users', user.id, { password: await hashPassword(password) });
+  }
+  if (user.twoFactor) {
+    // the failure counters are only cleared once the second step succeeds
+    return res.json({ twoFactorRequired: true, challengeToken: sessions.createChallengeToken(user) });
+  }
+  return completeLogin(req, res, user);
+});
+
+async function completeLogin(req, res, user, meta = {}) {
+  loginAttempts.inc({ result: 'success' });
+  await loginThrottle.recordSuccess({ email: user.email });
+  await sessions.pruneUserSessions(user.id);
+  const { accessToken, refreshToken, session } = await sessions.createSession(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+  });
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  await audit.record({ action: 'auth.login', actor: user, target: user, req, meta });
+  return res.json({ token: accessToken, user: sanitizeUser(user) });
 }
 
-app.get('/', (req, res) => {
-  res.json({ status: 'ok', message: 'CRUD API demo server running' });
+const loginTwoFactorSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required'),
+  code: twoFactorCodeSchema,
 });
 
-// Auth
-app.post('/api/login', (req, res) => {
-  const parse = loginSchema.safeParse(req.body || {});
+// second step for accounts with 2FA: the challenge from /api/login plus a code
+api.post('/login/2fa', async (req, res) => {
+  const parse = loginTwoFactorSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const userId = sessions.verifyChallengeToken(parse.data.challengeToken);
+  const user = userId && (await findActiveUser(userId));
+  if (!user || !user.twoFactor) {
+    throw new HttpError(401, 'Sign-in expired, please enter your password again');
+  }
+  const throttled = await loginThrottle.check({ ip: req.ip, email: user.email });
+  if (throttled.retryAfterMs > 0) throw tooManyAttempts(res, throttled);
+
+  const consumed = consumeSecondFactor(user, parse.data.code);
+  if (!consumed) {
+    await audit.record({ action: 'auth.login_failed', target: user, req, meta: { email: user.email, reason: '2fa' } });
+    const failure = await loginThrottle.recordFailure({ ip: req.ip, email: user.email });
+    if (failure.lockedNow) {
+      await audit.record({ action: 'auth.lockout', target: user, req, meta: { email: user.email } });
+    }
+    loginAttempts.inc({ result: 'failure' });
+    if (failure.retryAfterMs > 0) throw tooManyAttempts(res, failure);
+    throw new HttpError(400, 'Validation failed', { details: { code: 'Invalid code' } });
+  }
+  const updated = await storage.update('users', user.id, { twoFactor: consumed.twoFactor });
+  return completeLogin(req, res, updated, { twoFactor: consumed.method });
+});
+
+// exchanges the refresh token cookie for a new access token, rotating the cookie
+api.post('/refresh', async (req, res) => {
+  const issued = await sessions.refresh(req.cookies?.[REFRESH_COOKIE]);
+  const user = issued && (await findActiveUser(issued.session.userId));
+  if (!user) {
+    clearRefreshCookie(res);
+    throw new HttpError(401, 'Session expired, please sign in again');
+  }
+  setRefreshCookie(res, issued.refreshToken, issued.session.expiresAt);
+  res.json({ token: issued.accessToken, user: sanitizeUser(user) });
+});
+
+// With an impersonation token only the impersonation ends: the session and
+// the refresh cookie are the admin's.
+api.post('/logout', requireAuth, async (req, res) => {
+  if (req.impersonator) {
+    await sessions.endImpersonation(req.impersonationId);
+    await audit.record({
+      action: 'user.impersonate_end',
+      actor: req.user,
+      target: req.user,
+      req,
+      meta: { impersonationId: req.impersonationId },
+    });
+    return res.json({ success: true });
+  }
+  await sessions.revokeSession(req.sessionId);
+  clearRefreshCookie(res);
+  await audit.record({ action: 'auth.logout', actor: req.user, target: req.user, req });
+  res.json({ success: true });
+});
+
+// Profile of the signed-in user. The role is not part of it: only someone
+// with users.write can change a role, through PUT /api/users/:id.
+const avatarSchema = z.string().transform((value, ctx) => {
+  const decoded = decodeAvatar(value, { maxBytes: AVATAR_MAX_KB * 1024 });
+  if (decoded.error) {
+    ctx.addIssue({ code: 'custom', message: decoded.error });
+    return z.NEVER;
+  }
+  return decoded;
+});
+
+// null clears a preference or the avatar
+const updateMeSchema = sharedUpdateMeSchema.extend({
+  avatar: avatarSchema.nullable().optional(),
+});
+
+api.get('/me', requireAuth, async (req, res) => {
+  res.set('ETag', userEtag(req.user)).json(sanitizeUser(req.user));
+});
+
+// A new email address is only stored as pending and a link is sent to it;
+// POST /api/email-verification swaps it in. If-Match is checked when sent.
+api.patch('/me', requireAuth, requirePermission('profile.write'), async (req, res) => {
+  const user = req.user;
+  if (req.body?.role !== undefined && req.body.role !== user.role) {
+    throw new HttpError(403, 'You cannot change your own role');
+  }
+  const parse = updateMeSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  if (req.get('If-Match')) assertUserVersion(req, user);
+  const { name, email, timezone, locale, avatar } = parse.data;
+
+  const changes = {};
+  if (name) changes.name = name;
+  if (timezone !== undefined) changes.timezone = timezone || undefined;
+  if (locale !== undefined) changes.locale = locale || undefined;
+
+  if (email && email !== user.email.toLowerCase()) {
+    const exists = await storage.findBy('users', 'email', email);
+    if (exists) {
+      throw new HttpError(409, exists.deletedAt ? 'Email belongs to a deleted user' : 'Email already exists');
+    }
+    const token = createToken();
+    const expiresAt = Date.now() + EMAIL_CHANGE_TTL_MS;
+    try {
+      await mailer.send({
+        to: email,
+        subject: `Confirm your new email address for ${APP_NAME}`,
+        text: [
+          `Hello ${user.name},`,
+          '',
+          `Open this link to use ${email} for your ${APP_NAME} account:`,
+          '',
+          `${APP_URL}/?verifyEmailToken=${encodeURIComponent(token)}`,
+          '',
+          `The link expires on ${new Date(expiresAt).toUTCString()}. Until then you keep signing in with ${user.email}.`,
+        ].join('\n'),
+      });
+    } catch (err) {
+      req.log.error('Failed to send email verification', { err });
+      throw new HttpError(502, 'The verification email could not be sent');
+    }
+    changes.emailChange = { email, tokenHash: hashToken(token), expiresAt };
+  } else if (email && user.emailChange) {
+    // back to the current address cancels the pending change
+    changes.emailChange = undefined;
+  }
+
+  if (avatar !== undefined) {
+    if (avatar) {
+      const stored = await storage.create('avatars', {
+        id: uuidv4(),
+        userId: user.id,
+        contentType: avatar.contentType,
+        data: avatar.bytes.toString('base64'),
+        createdAt: Date.now(),
+      });
+      changes.avatar = { id: stored.id, contentType: avatar.contentType, size: avatar.bytes.length };
+    } else {
+      changes.avatar = undefined;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.set('ETag', userEtag(user)).json(sanitizeUser(user));
+  }
+  const updated = await storage.update('users', user.id, { ...changes, ...nextVersion(user) });
+  if (user.avatar && 'avatar' in changes) await storage.delete('avatars', user.avatar.id);
+  await audit.record({ action: 'user.update', actor: user, target: updated, before: user, after: updated, req });
+  res.set('ETag', userEtag(updated)).json(sanitizeUser(updated));
+});
+
+// the link may be opened signed out or on another device, the token is enough
+const emailVerificationSchema = z.object({ token: z.string().trim().min(1, 'Verification token is required') });
+
+api.post('/email-verification', async (req, res) => {
+  const parse = emailVerificationSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const user = await storage.findBy('users', 'emailChange.tokenHash', hashToken(parse.data.token));
+  if (!user || user.deletedAt || user.emailChange.expiresAt < Date.now()) {
+    throw new HttpError(400, 'This link is invalid or has expired');
+  }
+  const { email } = user.emailChange;
+  const exists = await storage.findBy('users', 'email', email);
+  if (exists) {
+    throw new HttpError(409, 'This email address has been taken in the meantime');
+  }
+  const updated = await storage.update('users', user.id, {
+    email,
+    emailChange: undefined,
+    emailVerifiedAt: Date.now(),
+    ...nextVersion(user),
+  });
+  await audit.record({ action: 'user.email_verify', actor: updated, target: updated, before: user, after: updated, req });
+  res.json({ success: true, user: sanitizeUser(updated) });
+});
+
+// public so <img> can load them; the ids are random and change on upload
+api.get('/avatars/:id', async (req, res) => {
+  const avatar = await storage.find('avatars', req.params.id);
+  if (!avatar) throw new HttpError(404, 'Avatar not found');
+  res.set({
+    'Content-Type': avatar.contentType,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  res.send(Buffer.from(avatar.data, 'base64'));
+});
+
+api.post('/me/password', requireAuth, forbidWhileImpersonating('Passwords'), async (req, res) => {
+  const parse = changePasswordSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const { currentPassword, newPassword } = parse.data;
+  if (!(await verifyPassword(currentPassword, req.user.password))) {
+    throw new HttpError(400, 'Validation failed', { details: { currentPassword: 'Current password is incorrect' } });
+  }
+  const updated = await storage.update('users', req.user.id, {
+    password: await hashPassword(newPassword),
+    passwordReset: undefined,
+    passwordResetRequired: undefined,
+  });
+  await audit.record({
+    action: 'user.password_change',
+    actor: req.user,
+    target: req.user,
+    before: req.user,
+    after: updated,
+    req,
+  });
+  // sign out every other device, keep the one that made the change
+  await sessions.revokeUserSessions(req.user.id, { reason: 'password changed', exceptSessionId: req.sessionId });
+  res.json({ success: true });
+});
+
+// Two-factor enrolment for the signed-in user: setup creates a pending secret,
+// enable confirms it with a first code and hands out the recovery codes.
+const twoFactorConfirmSchema = z.object({ code: twoFactorCodeSchema });
+const disableTwoFactorSchema = twoFactorConfirmSchema.extend({
+  password: z.string().min(1, 'Password is required'),
+});
+
+api.get('/me/2fa', requireAuth, async (req, res) => {
+  const { twoFactor } = req.user;
+  res.json({
+    enabled: Boolean(twoFactor),
+    enabledAt: twoFactor?.enabledAt || null,
+    recoveryCodesLeft: twoFactor ? twoFactor.recoveryCodes.length : 0,
+    required: await isTwoFactorRequired(req.user),
+  });
+});
+
+api.post('/me/2fa/setup', requireAuth, forbidWhileImpersonating('Two-factor settings'), async (req, res) => {
+  if (req.user.twoFactor) {
+    throw new HttpError(409, 'Two-factor authentication is already enabled');
+  }
+  const secret = generateSecret();
+  await storage.update('users', req.user.id, { twoFactorPending: { secret, createdAt: Date.now() } });
+  res.json({ secret, otpauthUri: otpauthUri(secret, { account: req.user.email, issuer: TOTP_ISSUER }) });
+});
+
+api.post('/me/2fa/enable', requireAuth, forbidWhileImpersonating('Two-factor settings'), async (req, res) => {
+  const parse = twoFactorConfirmSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const pending = req.user.twoFactorPending;
+  if (req.user.twoFactor || !pending) {
+    throw new HttpError(409, 'Start the two-factor setup first');
+  }
+  const step = verifyTotp(pending.secret, parse.data.code);
+  if (step === null) {
+    throw new HttpError(400, 'Validation failed', { details: { code: 'Invalid code' } });
+  }
+  const { codes, hashes } = generateRecoveryCodes();
+  const updated = await storage.update('users', req.user.id, {
+    twoFactor: { secret: pending.secret, enabledAt: Date.now(), lastUsedStep: step, recoveryCodes: hashes },
+    twoFactorPending: undefined,
+  });
+  await audit.record({ action: 'user.2fa_enable', actor: req.user, target: updated, before: req.user, after: updated, req });
+  res.json({ recoveryCodes: codes, user: sanitizeUser(updated) });
+});
+
+api.post('/me/2fa/disable', requireAuth, forbidWhileImpersonating('Two-factor settings'), async (req, res) => {
+  const parse = disableTwoFactorSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  if (!req.user.twoFactor) throw new HttpError(409, 'Two-factor authentication is not enabled');
+  if (await isTwoFactorRequired(req.user)) {
+    throw new HttpError(409, 'Your role requires two-factor authentication');
+  }
+  if (!(await verifyPassword(parse.data.password, req.user.password))) {
+    throw new HttpError(400, 'Validation failed', { details: { password: 'Password is incorrect' } });
+  }
+  if (!consumeSecondFactor(req.user, parse.data.code)) {
+    throw new HttpError(400, 'Validation failed', { details: { code: 'Invalid code' } });
+  }
+  const updated = await storage.update('users', req.user.id, { twoFactor: undefined });
+  await audit.record({ action: 'user.2fa_disable', actor: req.user, target: updated, before: req.user, after: updated, req });
+  res.json({ user: sanitizeUser(updated) });
+});
+
+// replaces all recovery codes, the old ones stop working
+api.post('/me/2fa/recovery-codes', requireAuth, forbidWhileImpersonating('Two-factor settings'), async (req, res) => {
+  const parse = twoFactorConfirmSchema.safeParse(req.body || {});
   if (!parse.success) {
-    return res.status(400).json({ error: 'Validation failed', details: zodErrorToFieldMap(parse.error) });
+    throw validationError(parse.error);
   }
-  const { email, password } = parse.data;
-  const user = database.users.find((u) => u.email.toLowerCase() === String(email).toLowerCase());
-  if (!user || user.password !== password) {
-    return res.status(401).json({ error: 'Invalid email or password' });
+  const { twoFactor } = req.user;
+  if (!twoFactor) throw new HttpError(409, 'Two-factor authentication is not enabled');
+  const step = verifyTotp(twoFactor.secret, parse.data.code, { lastUsedStep: twoFactor.lastUsedStep });
+  if (step === null) {
+    throw new HttpError(400, 'Validation failed', { details: { code: 'Invalid code' } });
   }
-  const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '1h' });
-  return res.json({ token, user: sanitizeUser(user) });
+  const { codes, hashes } = generateRecoveryCodes();
+  await storage.update('users', req.user.id, { twoFactor: { ...twoFactor, lastUsedStep: step, recoveryCodes: hashes } });
+  await audit.record({ action: 'user.2fa_recovery_codes', actor: req.user, target: req.user, req });
+  res.json({ recoveryCodes: codes });
 });
 
-app.post('/api/logout', requireAuth, (req, res) => {
-  // frontend side discards token
+api.post('/password-reset', async (req, res) => {
+  const parse = resetPasswordSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const { token, newPassword } = parse.data;
+  const tokenHash = hashToken(token);
+  const user = await storage.findBy('users', 'passwordReset.tokenHash', tokenHash);
+  if (!user || user.deletedAt || user.passwordReset.expiresAt < Date.now()) {
+    throw new HttpError(400, 'Reset token is invalid or expired');
+  }
+  // tokens are single use; a pending invite is settled by the new password too
+  const updated = await storage.update('users', user.id, {
+    password: await hashPassword(newPassword),
+    passwordReset: undefined,
+    passwordResetRequired: undefined,
+    status: undefined,
+    invite: undefined,
+  });
+  await audit.record({ action: 'user.password_reset', actor: user, target: user, before: user, after: updated, req });
+  await sessions.revokeUserSessions(user.id, { reason: 'password reset' });
   res.json({ success: true });
 });
 
 // Users APIs
-app.get('/api/users', requireAuth, (req, res) => {
-  const sorted = [...database.users].sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
-  res.json(sorted.map(sanitizeUser));
+function pageLink(req, query, page) {
+  const params = new URLSearchParams();
+  params.set('page', String(page));
+  params.set('limit', String(query.limit));
+  params.set('sort', query.sort);
+  params.set('order', query.order);
+  if (query.role.length > 0) params.set('role', query.role.join(','));
+  if (query.q) params.set('q', query.q);
+  if (query.group) params.set('group', query.group);
+  if (query.deleted) params.set('deleted', 'true');
+  return `${req.baseUrl}${req.path}?${params}`;
+}
+
+// storage query for the list filters shared by listing and export
+async function userListOptions(query) {
+  const where = { deletedAt: query.deleted ? { ne: null } : null };
+  if (query.role.length > 0) where.role = query.role;
+  if (query.group) where.id = await groups.memberIds(query.group);
+  return {
+    where,
+    search: query.q ? { text: query.q, fields: ['name', 'email', ...customFields.searchPaths()] } : undefined,
+    // newest first by default, alphabetical for everything else
+    sort: { field: query.sort, direction: query.order || (query.sort === 'createdAt' ? 'desc' : 'asc') },
+  };
+}
+
+api.get('/users', requireAuth, requirePermission('users.read'), async (req, res) => {
+  const parse = listUsersQuerySchema.safeParse(req.query);
+  if (!parse.success) {
+    throw validationError(parse.error, 'Invalid query');
+  }
+  const query = parse.data;
+  if (query.deleted && !hasPermission(req.user, 'users.delete')) {
+    throw new HttpError(403, 'Forbidden');
+  }
+
+  const options = await userListOptions(query);
+  query.order = options.sort.direction;
+  const { items, total } = await storage.query('users', {
+    ...options,
+    offset: (query.page - 1) * query.limit,
+    limit: query.limit,
+  });
+  const totalPages = Math.max(1, Math.ceil(total / query.limit));
+
+  res.json({
+    data: await withGroups(await withLockout(req, items.map(sanitizeUser))),
+    total,
+    page: query.page,
+    limit: query.limit,
+    totalPages,
+    links: {
+      self: pageLink(req, query, query.page),
+      next: query.page < totalPages ? pageLink(req, query, query.page + 1) : null,
+      prev: query.page > 1 ? pageLink(req, query, Math.min(query.page - 1, totalPages)) : null,
+    },
+  });
+});
+
+const exportColumns = ['id', 'name', 'email', 'role', 'createdAt'];
+
+const exportQuerySchema = listUsersQuerySchema.extend({ format: z.enum(['csv', 'json']).default('csv') });
+
+api.get('/users/export', requireAuth, requirePermission('users.read'), async (req, res) => {
+  const parse = exportQuerySchema.safeParse(req.query);
+  if (!parse.success) {
+    throw validationError(parse.error, 'Invalid query');
+  }
+  const query = parse.data;
+  if (query.deleted && !hasPermission(req.user, 'users.delete')) {
+    throw new HttpError(403, 'Forbidden');
+  }
+
+  const { items } = await storage.query('users', await userListOptions(query));
+  // an explicit column list, so nothing secret is exported by accident;
+  // custom fields follow as one column per key
+  const columns = [...exportColumns, ...customFields.list().map((d) => d.key)];
+  const rows = items.map((u) => ({
+    ...Object.fromEntries(exportColumns.map((column) => [column, u[column]])),
+    ...customFields.valuesOf(u),
+    createdAt: u.createdAt ? new Date(u.createdAt).toISOString() : '',
+  }));
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`users-${stamp}.${query.format}`);
+  if (query.format === 'json') return res.json(rows);
+  res.type('text/csv').send(toCsv(columns, rows));
 });
 
-app.get('/api/users/:id', requireAuth, (req, res) => {
-  const user = database.users.find((u) => u.id === req.params.id);
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  res.json(sanitizeUser(user));
+const importColumns = ['name', 'email', 'role', 'password'];
+
+// Accepts CSV (text/csv) or JSON (an array, or { users: [...] }) and turns it
+// into plain row objects, or throws with a message for the client.
+function readImportRows(req) {
+  if (req.is('text/csv') || req.is('text/plain')) {
+    return parseCsvObjects(req.body || '');
+  }
+  const body = req.body;
+  const rows = Array.isArray(body) ? body : body?.users;
+  if (!Array.isArray(rows)) throw new Error('Expected a CSV file or a JSON array of users');
+  return rows;
+}
+
+api.post(
+  '/users/import',
+  requireAuth,
+  requirePermission('users.write'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  idempotent,
+  async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    let rows;
+    try {
+      rows = readImportRows(req);
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+    if (rows.length === 0) throw new HttpError(400, 'The import contains no rows');
+    if (rows.length > 1000) throw new HttpError(400, 'Import at most 1000 users at a time');
+
+    // validate every row before writing anything
+    const rowSchema = withCustomFields(createUserSchema);
+    const uniqueDefinitions = customFields.list().filter((d) => d.unique);
+    const seenEmails = new Map();
+    const seenValues = new Map();
+    const results = [];
+    for (const [index, raw] of rows.entries()) {
+      // headers are matched case-insensitively, unknown columns are ignored
+      const fields = Object.fromEntries(Object.entries(raw || {}).map(([k, v]) => [k.trim().toLowerCase(), v]));
+      const input = Object.fromEntries(
+        importColumns
+          .filter((column) => fields[column] !== undefined && fields[column] !== '')
+          .map((column) => [column, typeof fields[column] === 'string' ? fields[column].trim() : fields[column]]),
+      );
+      // custom fields come as one column per key
+      input.fields = Object.fromEntries(
+        customFields.list()
+          .filter((d) => fields[d.key] !== undefined)
+          .map((d) => [d.key, typeof fields[d.key] === 'string' ? fields[d.key].trim() : fields[d.key]]),
+      );
+      const errors = {};
+      const parse = rowSchema.safeParse(input);
+      if (!parse.success) Object.assign(errors, zodErrorToFieldMap(parse.error));
+      const data = parse.success ? parse.data : null;
+
+      // role and email are checked on their own so every problem shows at once
+      const role = createUserSchema.shape.role.safeParse(input.role);
+      if (role.success && !canCreateUser(req.user, role.data)) {
+        errors.role = 'You are not allowed to create users with this role';
+      }
+      const emailParse = createUserSchema.shape.email.safeParse(input.email);
+      const email = emailParse.success ? emailParse.data : null;
+      if (email) {
+        if (seenEmails.has(email)) {
+          errors.email = `Duplicate of row ${seenEmails.get(email) + 1}`;
+        } else {
+          seenEmails.set(email, index);
+          const existing = await storage.findBy('users', 'email', email);
+          if (existing) errors.email = existing.deletedAt ? 'Email belongs to a deleted user' : 'Email already exists';
+        }
+      }
+      if (data) {
+        for (const definition of uniqueDefinitions) {
+          const value = data.fields[definition.key];
+          if (value === null) continue;
+          const seenKey = `${definition.key}:${value}`;
+          if (seenValues.has(seenKey)) {
+            errors[`fields.${definition.key}`] = `Duplicate of row ${seenValues.get(seenKey) + 1}`;
+          } else {
+            seenValues.set(seenKey, index);
+          }
+        }
+        try {
+          await assertUniqueFields(data.fields);
+        } catch (err) {
+          if (!(err instanceof HttpError)) throw err;
+          Object.assign(errors, err.body.details);
+        }
+      }
+      results.push({
+        row: index + 1,
+        data,
+        // echo the input back without the password for the preview
+        values: {
+          name: input.name ?? '',
+          email: input.email ?? '',
+          role: input.role ?? '',
+          ...Object.fromEntries(Object.entries(input.fields).map(([key, value]) => [`fields.${key}`, value])),
+        },
+        errors,
+      });
+    }
+
+    const invalid = results.filter((r) => Object.keys(r.errors).length > 0);
+    const summary = {
+      total: results.length,
+      valid: results.length - invalid.length,
+      invalid: invalid.length,
+      rows: results.map(({ row, values, errors }) => ({ row, values, errors })),
+    };
+    if (dryRun) return res.json({ dryRun: true, ...summary });
+    if (invalid.length > 0) {
+      throw new HttpError(422, 'Import failed validation, nothing was imported', summary);
+    }
+
+    // all or nothing: undo the rows already written if one of them fails
+    const created = [];
+    const now = Date.now();
+    try {
+      for (const { data } of results) {
+        created.push(
+          await storage.create('users', {
+            id: uuidv4(),
+            name: data.name,
+            email: data.email,
+            role: data.role,
+            password: await hashPassword(data.password),
+            fields: mergeFields({}, data.fields),
+            createdAt: now,
+            version: 1,
+          }),
+        );
+      }
+    } catch (err) {
+      await Promise.all(created.map((u) => storage.delete('users', u.id)));
+      throw err;
+    }
+
+    const importId = uuidv4();
+    for (const user of created) {
+      await audit.record({ action: 'user.create', actor: req.user, target: user, after: user, req, meta: { importId } });
+    }
+    res.status(201).json({ imported: created.length, users: created.map(sanitizeUser) });
+  },
+);
+
+api.get('/users/:id', requireAuth, requirePermission('users.read'), async (req, res) => {
+  const user = await storage.find('users', req.params.id);
+  // deleted users are only visible to those who can restore them
+  if (!user || (user.deletedAt && !hasPermission(req.user, 'users.delete'))) {
+    throw new HttpError(404, 'User not found');
+  }
+  const [withStatus] = await withGroups(await withLockout(req, [sanitizeUser(user)]));
+  res.set('ETag', userEtag(user)).json(withStatus);
 });
 
-app.post('/api/users', requireAuth, (req, res) => {
-  const parse = createUserSchema.safeParse(req.body || {});
+api.post('/users', requireAuth, requirePermission('users.write'), idempotent, async (req, res) => {
+  const parse = withCustomFields(createUserSchema).safeParse(req.body || {});
   if (!parse.success) {
-    return res.status(400).json({ error: 'Validation failed', details: zodErrorToFieldMap(parse.error) });
+    throw validationError(parse.error);
   }
-  const { name, email, role, password } = parse.data;
+  const { name, email, role, password, fields } = parse.data;
 
-  const existing = database.users.find((u) => u.email.toLowerCase() === email.toLowerCase());
+  if (!canCreateUser(req.user, role)) {
+    throw new HttpError(403, 'You are not allowed to create users with this role');
+  }
+
+  const existing = await storage.findBy('users', 'email', email);
   if (existing) {
-    return res.status(409).json({ error: 'Email already exists' });
+    throw new HttpError(409, existing.deletedAt ? 'Email belongs to a deleted user' : 'Email already exists');
   }
-  const user = {
+  await assertUniqueFields(fields);
+  const user = await storage.create('users', {
     id: uuidv4(),
     name,
     email,
     role: role || 'user',
-    password,
+    password: await hashPassword(password),
+    fields: mergeFields({}, fields),
     createdAt: Date.now(),
-  };
-  database.users.push(user);
-  res.status(201).json(sanitizeUser(user));
+    version: 1,
+  });
+  await audit.record({ action: 'user.create', actor: req.user, target: user, after: user, req });
+  res.status(201).set('ETag', userEtag(user)).json(sanitizeUser(user));
 });
 
-app.put('/api/users/:id', requireAuth, (req, res) => {
-  const { id } = req.params;
-  const user = database.users.find((u) => u.id === id);
-  if (!user) return res.status(404).json({ error: 'User not found' });
+// Invitations: the account is created without a password and the invitee
+// sets one through the emailed link, which also proves the address is theirs.
 
-  const parse = updateUserSchema.safeParse(req.body || {});
+// Stores a fresh token (any earlier link stops working) and emails it.
+async function sendInvite(req, user) {
+  const token = createToken();
+  const expiresAt = Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000;
+  const updated = await storage.update('users', user.id, {
+    invite: { tokenHash: hashToken(token), expiresAt, sentAt: Date.now(), invitedBy: req.userId },
+  });
+  const link = `${APP_URL}/?inviteToken=${encodeURIComponent(token)}`;
+  await mailer.send({
+    to: user.email,
+    subject: `You have been invited to ${APP_NAME}`,
+    text: [
+      `Hello ${user.name},`,
+      '',
+      `${req.user.name} invited you to ${APP_NAME}. Choose a password to activate your account:`,
+      '',
+      link,
+      '',
+      `The link expires on ${new Date(expiresAt).toUTCString()}.`,
+    ].join('\n'),
+  });
+  return updated;
+}
+
+api.post('/users/invite', requireAuth, requirePermission('users.write'), idempotent, async (req, res) => {
+  const parse = withCustomFields(inviteUserSchema).safeParse(req.body || {});
   if (!parse.success) {
-    return res.status(400).json({ error: 'Validation failed', details: zodErrorToFieldMap(parse.error) });
+    throw validationError(parse.error);
   }
-  const { name, email, role, password } = parse.data;
-
-  if (email && email.toLowerCase() !== user.email.toLowerCase()) {
-    const exists = database.users.find((u) => u.email.toLowerCase() === email.toLowerCase());
-    if (exists) {
-      return res.status(409).json({ error: 'Email already exists' });
-    }
-    user.email = email;
+  const { name, email, role, fields } = parse.data;
+  if (!canCreateUser(req.user, role)) {
+    throw new HttpError(403, 'You are not allowed to create users with this role');
+  }
+  const existing = await storage.findBy('users', 'email', email);
+  if (existing) {
+    throw new HttpError(409, existing.deletedAt ? 'Email belongs to a deleted user' : 'Email already exists');
+  }
+  await assertUniqueFields(fields);
+  const user = await storage.create('users', {
+    id: uuidv4(),
+    name,
+    email,
+    role,
+    password: null,
+    fields: mergeFields({}, fields),
+    status: 'invited',
+    createdAt: Date.now(),
+    version: 1,
+  });
+  let invited;
+  try {
+    invited = await sendInvite(req, user);
+  } catch (err) {
+    req.log.error('Failed to send invitation', { err });
+    await storage.delete('users', user.id);
+    throw new HttpError(502, 'The invitation email could not be sent');
   }
+  await audit.record({ action: 'user.invite', actor: req.user, target: invited, after: invited, req });
+  res.status(201).set('ETag', userEtag(invited)).json(sanitizeUser(invited));
+});
 
-  if (name) user.name = name;
-  if (role) user.role = role;
-  if (password) user.password = password;
+async function findPendingInvite(req) {
+  const user = await findActiveUser(req.params.id);
+  if (!user || user.status !== 'invited') throw new HttpError(404, 'Pending invitation not found');
+  if (!canUpdateUser(req.user, user, {})) throw new HttpError(403, 'You are not allowed to manage this invitation');
+  return user;
+}
 
-  res.json(sanitizeUser(user));
+api.post('/users/:id/invite', requireAuth, requirePermission('users.write'), idempotent, async (req, res) => {
+  const user = await findPendingInvite(req);
+  let updated;
+  try {
+    updated = await sendInvite(req, user);
+  } catch (err) {
+    req.log.error('Failed to send invitation', { err });
+    throw new HttpError(502, 'The invitation email could not be sent');
+  }
+  await audit.record({ action: 'user.invite_resend', actor: req.user, target: updated, req });
+  res.json(sanitizeUser(updated));
 });
 
-app.delete('/api/users/:id', requireAuth, (req, res) => {
-  const { id } = req.params;
-  const index = database.users.findIndex((u) => u.id === id);
-  if (index === -1) return res.status(404).json({ error: 'User not found' });
-  const [deleted] = database.users.splice(index, 1);
-  res.json({ success: true, user: sanitizeUser(deleted) });
+// the pending account never had any data, so revoking removes it
+api.delete('/users/:id/invite', requireAuth, requirePermission('users.write'), idempotent, async (req, res) => {
+  const user = await findPendingInvite(req);
+  await storage.delete('users', user.id);
+  await audit.record({ action: 'user.invite_revoke', actor: req.user, target: user, before: user, req });
+  res.json({ success: true, user: sanitizeUser(user) });
+});
+
+async function findInviteByToken(token) {
+  const user = await storage.findBy('users', 'invite.tokenHash', hashToken(token));
+  if (!user || user.deletedAt || user.status !== 'invited' || user.invite.expiresAt < Date.now()) return null;
+  return user;
+}
+
+const inviteTokenSchema = z.object({ token: z.string().trim().min(1, 'Invitation token is required') });
+
+// who the invitation is for, so the accept page can greet them
+api.post('/invitations/lookup', async (req, res) => {
+  const parse = inviteTokenSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const user = await findInviteByToken(parse.data.token);
+  if (!user) throw new HttpError(400, 'This invitation is invalid or has expired');
+  res.json({ name: user.name, email: user.email, expiresAt: user.invite.expiresAt });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
-}); 
\ No newline at end of file
+// sets the password, activates the account and signs the user in
+api.post('/invitations/accept', async (req, res) => {
+  const parse = acceptInviteSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const user = await findInviteByToken(parse.data.token);
+  if (!user) throw new HttpError(400, 'This invitation is invalid or has expired');
+  const updated = await storage.update('users', user.id, {
+    ...(parse.data.name ? { name: parse.data.name } : {}),
+    password: await hashPassword(parse.data.password),
+    status: undefined,
+    invite: undefined,
+    emailVerifiedAt: Date.now(),
+    ...nextVersion(user),
+  });
+  await audit.record({ action: 'user.invite_accept', actor: updated, target: updated, before: user, after: updated, req });
+  return completeLogin(req, res, updated);
+});
+
+// The single-user routes and /api/users/bulk share these operations, so a rule
+// broken for one user either ends the request or is reported for that user.
+async function updateUser(req, user, fields) {
+  const { name, email, role, password, fields: fieldValues } = fields;
+  if (password !== undefined && user.id === req.userId) {
+    throw new HttpError(403, 'Change your own password with POST /api/v1/me/password, it needs the current one');
+  }
+  const managesTarget = await groups.manages(req.userId, user.id);
+  if (!canUpdateUser(req.user, user, fields, { managesTarget })) {
+    throw new HttpError(403, 'You are not allowed to make this change');
+  }
+  if (role && !permissionsOf(role).includes('users.admin') && isLastAdmin(user, await countActiveAdmins())) {
+    throw new HttpError(409, 'Cannot demote the last admin');
+  }
+  if (password) assertNotImpersonating(req, 'Passwords');
+  if (role && role !== user.role) assertNotImpersonating(req, 'Roles');
+
+  const changes = {};
+  if (email && email !== user.email.toLowerCase()) {
+    // your own address only changes once the new one is verified
+    if (user.id === req.userId) {
+      throw new HttpError(409, 'Change your own email from My account, the new address has to be verified');
+    }
+    const exists = await storage.findBy('users', 'email', email);
+    if (exists) {
+      throw new HttpError(409, exists.deletedAt ? 'Email belongs to a deleted user' : 'Email already exists');
+    }
+    changes.email = email;
+    changes.emailChange = undefined;
+  }
+
+  if (fieldValues) {
+    await assertUniqueFields(fieldValues, user.id);
+    changes.fields = mergeFields(user.fields, fieldValues);
+  }
+
+  if (name) changes.name = name;
+  if (role) changes.role = role;
+  if (password) {
+    changes.password = await hashPassword(password);
+    changes.passwordReset = undefined;
+    changes.passwordResetRequired = undefined;
+    changes.status = undefined;
+    changes.invite = undefined;
+  }
+
+  const updated = await storage.update('users', user.id, { ...changes, ...nextVersion(user) });
+  await audit.record({ action: 'user.update', actor: req.user, target: updated, before: user, after: updated, req });
+  if (changes.password || (changes.role && changes.role !== user.role)) {
+    // the acting user keeps their current session when editing themselves
+    await sessions.revokeUserSessions(user.id, {
+      reason: changes.password ? 'password changed' : 'role changed',
+      exceptSessionId: user.id === req.userId ? req.sessionId : undefined,
+    });
+  }
+  return updated;
+}
+
+// With `force` the user can no longer sign in with their old password and is
+// signed out everywhere until they redeem the token.
+async function issuePasswordReset(req, user, { force = false } = {}) {
+  assertNotImpersonating(req, 'Passwords');
+  if (force && user.id === req.userId) {
+    throw new HttpError(409, 'You cannot force a password reset on your own account');
+  }
+  const token = createToken();
+  const expiresAt = Date.now() + RESET_TOKEN_TTL_MS;
+  const updated = await storage.update('users', user.id, {
+    passwordReset: { tokenHash: hashToken(token), expiresAt },
+    ...(force ? { passwordResetRequired: true, ...nextVersion(user) } : {}),
+  });
+  if (force) await sessions.revokeUserSessions(user.id, { reason: 'password reset required' });
+  await audit.record({
+    action: 'user.password_reset_issue',
+    actor: req.user,
+    target: user,
+    before: user,
+    after: updated,
+    req,
+    meta: force ? { forced: true } : undefined,
+  });
+  return { user: updated, token, expiresAt };
+}
+
+async function deleteUser(req, user) {
+  if (!canDeleteUser(req.user, user)) {
+    throw new HttpError(403, 'You are not allowed to delete this user');
+  }
+  if (isLastAdmin(user, await countActiveAdmins())) {
+    throw new HttpError(409, 'Cannot delete the last admin');
+  }
+  // soft delete, the record stays in the trash until restored or purged
+  const deleted = await storage.update('users', user.id, {
+    deletedAt: Date.now(),
+    deletedBy: req.userId,
+    ...nextVersion(user),
+  });
+  await sessions.revokeUserSessions(user.id, { reason: 'user deleted' });
+  await audit.record({ action: 'user.delete', actor: req.user, target: deleted, before: user, after: deleted, req });
+  return deleted;
+}
+
+api.put('/users/:id', requireAuth, idempotent, async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+
+  const parse = withCustomFields(updateUserSchema, { partial: true }).safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  assertUserVersion(req, user);
+  const updated = await updateUser(req, user, parse.data);
+  res.set('ETag', userEtag(updated)).json(sanitizeUser(updated));
+});
+
+api.post('/users/:id/password-reset', requireAuth, requirePermission('users.admin'), idempotent, async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+  const { token, expiresAt } = await issuePasswordReset(req, user);
+  // the token is only ever shown once, to the admin who requested it
+  res.locals.withholdReplay = true;
+  res.status(201).json({ token, expiresAt });
+});
+
+// Lets an admin see the app as a user who reports a problem. The token is for
+// the user but names the admin, expires after IMPERSONATION_TTL_MINUTES and
+// cannot be refreshed; the admin's own session stays as it was. Other admins
+// cannot be impersonated.
+api.post('/users/:id/impersonate', requireAuth, requirePermission('users.admin'), async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+  if (hasPermission(user, 'users.admin')) {
+    throw new HttpError(403, 'Administrators cannot be impersonated');
+  }
+  if (user.status === 'invited') {
+    throw new HttpError(409, 'This user has not accepted their invitation yet');
+  }
+  const { id, token, expiresAt } = await sessions.createImpersonation(user, req.user, req.sessionId);
+  await audit.record({ action: 'user.impersonate', actor: req.user, target: user, req, meta: { impersonationId: id, expiresAt } });
+  res.status(201).json({
+    token,
+    expiresAt,
+    user: sanitizeUser(user),
+    impersonator: { id: req.user.id, name: req.user.name, email: req.user.email },
+  });
+});
+
+// lifts a lockout after too many failed sign-ins
+api.delete('/users/:id/lockout', requireAuth, requirePermission('users.admin'), idempotent, async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+  const lockedUntil = await loginThrottle.lockedUntil(user.email);
+  await loginThrottle.clearAccount(user.email);
+  if (lockedUntil) {
+    await audit.record({ action: 'user.unlock', actor: req.user, target: user, req, meta: { lockedUntil } });
+  }
+  res.json({ ...sanitizeUser(user), lockedUntil: null });
+});
+
+// for users who lost their authenticator and recovery codes
+api.delete('/users/:id/2fa', requireAuth, requirePermission('users.admin'), idempotent, async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+  const updated = await storage.update('users', user.id, { twoFactor: undefined, twoFactorPending: undefined });
+  if (user.twoFactor) {
+    await audit.record({ action: 'user.2fa_reset', actor: req.user, target: updated, before: user, after: updated, req });
+  }
+  res.json(sanitizeUser(updated));
+});
+
+api.delete('/users/:id', requireAuth, requirePermission('users.delete'), idempotent, async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+  assertUserVersion(req, user);
+  const deleted = await deleteUser(req, user);
+  res.json({ success: true, user: sanitizeUser(deleted) });
+});
+
+const bulkActionSchema = z.discriminatedUnion('action', [
+  z.object({ action: z.literal('role'), role: roleSchema }),
+  z.object({ action: z.literal('delete') }),
+  z.object({ action: z.literal('force_password_reset') }),
+]);
+
+const bulkIdsSchema = z.object({
+  ids: z.array(z.string().min(1)).min(1, 'Select at least one user').max(500, 'At most 500 users per request'),
+});
+
+const bulkPermissions = {
+  role: 'users.write',
+  delete: 'users.delete',
+  force_password_reset: 'users.admin',
+};
+
+// Applies one action to many users. Every id is checked with the same rules
+// as the single-user route, one after another so counts such as the number of
+// remaining admins stay accurate, and the outcome is reported per id.
+api.post('/users/bulk', requireAuth, idempotent, async (req, res) => {
+  const parse = bulkActionSchema.and(bulkIdsSchema).safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const { action, ids } = parse.data;
+  if (!hasPermission(req.user, bulkPermissions[action])) {
+    throw new HttpError(403, 'Forbidden');
+  }
+
+  const results = [];
+  for (const id of new Set(ids)) {
+    const user = await findActiveUser(id);
+    try {
+      if (!user) throw new HttpError(404, 'User not found');
+      if (action === 'role') {
+        const updated = await updateUser(req, user, { role: parse.data.role });
+        results.push({ id, ok: true, user: sanitizeUser(updated) });
+      } else if (action === 'delete') {
+        const deleted = await deleteUser(req, user);
+        results.push({ id, ok: true, user: sanitizeUser(deleted) });
+      } else {
+        const issued = await issuePasswordReset(req, user, { force: true });
+        results.push({
+          id,
+          ok: true,
+          user: sanitizeUser(issued.user),
+          token: issued.token,
+          expiresAt: issued.expiresAt,
+        });
+      }
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      results.push({ id, ok: false, status: err.status, error: err.message });
+    }
+  }
+
+  const succeeded = results.filter((r) => r.ok).length;
+  // reset tokens are not kept for a repeat, see idempotency.js
+  if (action === 'force_password_reset') res.locals.withholdReplay = true;
+  res.json({ action, succeeded, failed: results.length - succeeded, results });
+});
+
+api.post('/users/:id/restore', requireAuth, requirePermission('users.delete'), idempotent, async (req, res) => {
+  const user = await storage.find('users', req.params.id);
+  if (!user || !user.deletedAt) throw new HttpError(404, 'Deleted user not found');
+  if (!canDeleteUser(req.user, user)) {
+    throw new HttpError(403, 'You are not allowed to restore this user');
+  }
+  const restored = await storage.update('users', user.id, {
+    deletedAt: undefined,
+    deletedBy: undefined,
+    ...nextVersion(user),
+  });
+  await audit.record({ action: 'user.restore', actor: req.user, target: restored, before: user, after: restored, req });
+  res.json(sanitizeUser(restored));
+});
+
+// permanent, only for users already in the trash
+api.delete('/users/:id/purge', requireAuth, requirePermission('users.admin'), idempotent, async (req, res) => {
+  const user = await storage.find('users', req.params.id);
+  if (!user || !user.deletedAt) throw new HttpError(404, 'Deleted user not found');
+  const purged = await storage.delete('users', user.id);
+  if (user.avatar) await storage.delete('avatars', user.avatar.id);
+  await groups.removeUser(user.id);
+  const { items: userSessions } = await storage.query('sessions', { where: { userId: user.id } });
+  await Promise.all(userSessions.map((session) => storage.delete('sessions', session.id)));
+  await audit.record({ action: 'user.purge', actor: req.user, target: purged, before: purged, req });
+  res.json({ success: true, user: sanitizeUser(purged) });
+});
+
+// Live updates
+// Every audit entry about one user (lockouts and group membership included)
+// becomes an event with the user as the table shows it:
+//   user.created, user.updated, user.deleted  { id, user }
+// with `user` left out once it is purged. What each recipient may see of
+// it is decided when it is sent, see userEventFor.
+const CREATED_ACTIONS = ['user.create', 'user.invite'];
+const EVENTS_KEEPALIVE_MS = 25 * 1000;
+
+function publishUserChange(entry) {
+  const aboutUser = entry.action.startsWith('user.') || entry.action.startsWith('group.member_') || entry.action === 'auth.lockout';
+  if (!entry.targetId || !aboutUser) return;
+  userEvent(entry)
+    .then(({ type, data }) => events.publish(type, data))
+    .catch((err) => logger.error('Failed to publish a user change', { err, auditId: entry.id }));
+}
+
+async function userEvent({ action, targetId }) {
+  const user = await storage.find('users', targetId);
+  if (!user) return { type: 'user.deleted', data: { id: targetId } };
+  const [row] = await withGroups([sanitizeUser(user)]);
+  row.lockedUntil = await loginThrottle.lockedUntil(user.email);
+  let type = 'user.updated';
+  if (CREATED_ACTIONS.includes(action)) type = 'user.created';
+  else if (action === 'user.delete') type = 'user.deleted';
+  return { type, data: { id: user.id, user: row } };
+}
+
+// the same rules as the list: deleted users only for those who can restore
+// them, who else just learn that the user is gone, and lockouts only for admins
+function userEventFor(viewer, event) {
+  const user = event.data.user;
+  if (!user) return event;
+  if (user.deletedAt && !hasPermission(viewer, 'users.delete')) {
+    return { ...event, type: 'user.deleted', data: { id: user.id } };
+  }
+  if (hasPermission(viewer, 'users.admin')) return event;
+  const { lockedUntil, ...rest } = user;
+  return { ...event, data: { ...event.data, user: rest } };
+}
+
+// Server-Sent Events. Reconnecting with Last-Event-ID replays what was missed,
+// or sends `reset` when that is no longer possible and the list must be
+// reloaded. `ready` follows with who is editing which user right now.
+// The stream ends when the access token expires; reconnect with a fresh one.
+api.get('/events', requireAuth, requirePermission('users.read'), async (req, res) => {
+  const lastId = req.get('Last-Event-ID');
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    // keeps nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // permissions are checked per event, a role change applies right away
+  let queue = Promise.resolve();
+  function send(event) {
+    queue = queue
+      .then(async () => {
+        if (res.writableEnded) return;
+        const viewer = await findActiveUser(req.userId);
+        if (!viewer || !hasPermission(viewer, 'users.read')) return res.end();
+        res.write(formatEvent(userEventFor(viewer, event)));
+      })
+      .catch((err) => req.log.error('Failed to send an event', { err, eventId: event.id }));
+  }
+
+  // replay and subscribe in one go, so nothing falls in between
+  const missed = lastId ? events.since(lastId) : [];
+  if (missed === null) send({ id: events.lastId(), type: 'reset', data: {} });
+  else missed.forEach(send);
+  send({ id: lastId ? undefined : events.lastId(), type: 'ready', data: { editing: editing.list() } });
+  const unsubscribe = events.subscribe(send);
+
+  const keepalive = setInterval(() => {
+    if (!res.writableEnded) res.write(': keepalive\n\n');
+  }, EVENTS_KEEPALIVE_MS);
+  const expiry = setTimeout(() => res.end(), Math.max(0, req.tokenExpiresAt - Date.now()));
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(keepalive);
+    clearTimeout(expiry);
+  });
+});
+
+// The signed-in user has the edit form for this user open. The client renews
+// this while the form stays open and deletes it when the form closes.
+api.put('/users/:id/editing', requireAuth, requirePermission('users.read'), async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+  const claim = editing.start(user.id, req.user);
+  events.publish('user.editing', claim);
+  res.json(claim);
+});
+
+api.delete('/users/:id/editing', requireAuth, requirePermission('users.read'), async (req, res) => {
+  events.publish('user.editing', editing.stop(req.params.id, req.user));
+  res.json({ success: true });
+});
+
+// Groups
+const createGroupSchema = groupSchema.extend({
+  description: groupSchema.shape.description.default(''),
+});
+
+const updateGroupSchema = groupSchema.partial().extend({
+  // managers have to be members of the group
+  managerIds: z.array(z.string().min(1)).max(100).optional(),
+});
+
+const userGroupsSchema = z.object({
+  groupIds: z.array(z.string().min(1)).max(100),
+});
+
+// nameKey only backs the unique name lookup
+function publicGroup(group) {
+  const { nameKey, ...rest } = group;
+  return rest;
+}
+
+// member counts leave out deleted users, they only show in the trash
+async function describeGroup(group) {
+  const ids = await groups.memberIds(group.id);
+  const { total } = await storage.query('users', { where: { id: ids, deletedAt: null }, limit: 0 });
+  return { ...publicGroup(group), memberCount: total };
+}
+
+async function findGroup(req) {
+  const group = await groups.find(req.params.id);
+  if (!group) throw new HttpError(404, 'Group not found');
+  return group;
+}
+
+api.get('/groups', requireAuth, requirePermission('users.read'), async (req, res) => {
+  const list = await groups.list();
+  res.json({ data: await Promise.all(list.map(describeGroup)) });
+});
+
+api.get('/groups/:id', requireAuth, requirePermission('users.read'), async (req, res) => {
+  const group = await findGroup(req);
+  res.json(await describeGroup(group));
+});
+
+api.post('/groups', requireAuth, requirePermission('groups.manage'), async (req, res) => {
+  const parse = createGroupSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  if (await groups.findByName(parse.data.name)) {
+    throw new HttpError(409, 'A group with this name already exists', { details: { name: 'Already exists' } });
+  }
+  const group = await groups.create({ id: uuidv4(), ...parse.data, createdBy: req.userId });
+  await audit.record({ action: 'group.create', actor: req.user, after: publicGroup(group), req, meta: { groupId: group.id, group: group.name } });
+  res.status(201).json(await describeGroup(group));
+});
+
+api.put('/groups/:id', requireAuth, requirePermission('groups.manage'), async (req, res) => {
+  const group = await findGroup(req);
+  const parse = updateGroupSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const { name, description, managerIds } = parse.data;
+  if (name) {
+    const existing = await groups.findByName(name);
+    if (existing && existing.id !== group.id) {
+      throw new HttpError(409, 'A group with this name already exists', { details: { name: 'Already exists' } });
+    }
+  }
+  if (managerIds) {
+    const members = await groups.memberIds(group.id);
+    if (managerIds.some((id) => !members.includes(id))) {
+      throw new HttpError(400, 'Validation failed', { details: { managerIds: 'Managers must be members of the group' } });
+    }
+  }
+  const updated = await groups.update(group.id, {
+    ...(name ? { name } : {}),
+    ...(description !== undefined ? { description } : {}),
+    ...(managerIds ? { managerIds: [...new Set(managerIds)] } : {}),
+  });
+  await audit.record({
+    action: 'group.update',
+    actor: req.user,
+    before: publicGroup(group),
+    after: publicGroup(updated),
+    req,
+    meta: { groupId: group.id, group: updated.name },
+  });
+  res.json(await describeGroup(updated));
+});
+
+// the users stay, only their membership goes
+api.delete('/groups/:id', requireAuth, requirePermission('groups.manage'), async (req, res) => {
+  const group = await findGroup(req);
+  await groups.remove(group.id);
+  await audit.record({ action: 'group.delete', actor: req.user, before: publicGroup(group), req, meta: { groupId: group.id, group: group.name } });
+  res.json({ success: true, group: publicGroup(group) });
+});
+
+// Adding members needs groups.manage: a group manager could otherwise pull
+// anyone into their group and edit them. Managers may remove members.
+api.put('/groups/:id/members/:userId', requireAuth, requirePermission('groups.manage'), async (req, res) => {
+  const group = await findGroup(req);
+  const user = await findActiveUser(req.params.userId);
+  if (!user) throw new HttpError(404, 'User not found');
+  if (await groups.addMember(group.id, user.id, req.userId)) {
+    await audit.record({
+      action: 'group.member_add',
+      actor: req.user,
+      target: user,
+      req,
+      meta: { groupId: group.id, group: group.name },
+    });
+  }
+  res.json(await describeGroup(group));
+});
+
+api.delete('/groups/:id/members/:userId', requireAuth, async (req, res) => {
+  const group = await findGroup(req);
+  if (!hasPermission(req.user, 'groups.manage') && !group.managerIds.includes(req.userId)) {
+    throw new HttpError(403, 'Forbidden');
+  }
+  const user = await storage.find('users', req.params.userId);
+  if (!user || !(await groups.removeMember(group.id, user.id))) {
+    throw new HttpError(404, 'Not a member of this group');
+  }
+  await audit.record({
+    action: 'group.member_remove',
+    actor: req.user,
+    target: user,
+    req,
+    meta: { groupId: group.id, group: group.name },
+  });
+  res.json(await describeGroup(await groups.find(group.id)));
+});
+
+// sets all of a user's groups at once, for the user edit form
+api.put('/users/:id/groups', requireAuth, requirePermission('groups.manage'), idempotent, async (req, res) => {
+  const user = await findActiveUser(req.params.id);
+  if (!user) throw new HttpError(404, 'User not found');
+  const parse = userGroupsSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const wanted = [...new Set(parse.data.groupIds)];
+  const known = new Map((await groups.list()).map((group) => [group.id, group]));
+  const unknown = wanted.filter((id) => !known.has(id));
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Validation failed', { details: { groupIds: 'Unknown group' } });
+  }
+  const current = (await groups.groupIdsOf([user.id]))[user.id];
+  for (const groupId of wanted.filter((id) => !current.includes(id))) {
+    await groups.addMember(groupId, user.id, req.userId);
+    const meta = { groupId, group: known.get(groupId).name };
+    await audit.record({ action: 'group.member_add', actor: req.user, target: user, req, meta });
+  }
+  for (const groupId of current.filter((id) => !wanted.includes(id))) {
+    await groups.removeMember(groupId, user.id);
+    const meta = { groupId, group: known.get(groupId)?.name };
+    await audit.record({ action: 'group.member_remove', actor: req.user, target: user, req, meta });
+  }
+  res.json({ groupIds: wanted });
+});
+
+// Custom fields
+// the choices of a select field
+const customFieldOptionsSchema = z
+  .array(z.string().trim().min(1, 'Options cannot be empty').max(60, 'Option is too long'))
+  .max(100, 'At most 100 options')
+  .transform((options) => [...new Set(options)]);
+const createCustomFieldSchema = z.object({
+  key: customFieldKeySchema,
+  label: customFieldLabelSchema,
+  type: z.enum(CUSTOM_FIELD_TYPES),
+  required: z.boolean().default(false),
+  unique: z.boolean().default(false),
+  options: customFieldOptionsSchema.default([]),
+  pattern: customFieldPatternSchema.default(''),
+  order: z.number().int().default(0),
+});
+
+// the key and type stay, stored values depend on them
+const updateCustomFieldSchema = z.object({
+  label: customFieldLabelSchema.optional(),
+  required: z.boolean().optional(),
+  unique: z.boolean().optional(),
+  options: customFieldOptionsSchema.optional(),
+  pattern: customFieldPatternSchema.optional(),
+  order: z.number().int().optional(),
+});
+
+function publicCustomField(definition) {
+  const { id, ...rest } = definition;
+  return rest;
+}
+
+// settings that only make sense together with the type
+function customFieldProblems(definition) {
+  if (definition.type === 'select' && definition.options.length === 0) {
+    return { options: 'A select field needs at least one option' };
+  }
+  if (definition.type !== 'select' && definition.options.length > 0) {
+    return { options: 'Only select fields have options' };
+  }
+  if (definition.type !== 'text' && definition.pattern) {
+    return { pattern: 'Only text fields can have a pattern' };
+  }
+  if (definition.unique && definition.type === 'boolean') {
+    return { unique: 'A yes/no field cannot be unique' };
+  }
+  return null;
+}
+
+// the users holding a value for the field, deleted ones included
+async function usersWithField(key) {
+  const { items } = await storage.query('users', { where: { [`fields.${key}`]: { ne: null } } });
+  return items;
+}
+
+// everyone may read the definitions, the user form is built from them
+api.get('/custom-fields', requireAuth, (req, res) => {
+  res.json({ data: customFields.list().map(publicCustomField), types: CUSTOM_FIELD_TYPES });
+});
+
+api.post('/custom-fields', requireAuth, requirePermission('fields.manage'), async (req, res) => {
+  const parse = createCustomFieldSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const problems = customFieldProblems(parse.data);
+  if (problems) throw new HttpError(400, 'Validation failed', { details: problems });
+  if (customFields.find(parse.data.key)) {
+    throw new HttpError(409, 'A field with this key already exists', { details: { key: 'Already exists' } });
+  }
+  // a key used before may still have values on users, they would come back
+  if ((await usersWithField(parse.data.key)).length > 0) {
+    throw new HttpError(409, 'Users still have values for this key', { details: { key: 'Already in use' } });
+  }
+  const definition = await customFields.create(parse.data);
+  await audit.record({
+    action: 'field.create',
+    actor: req.user,
+    after: publicCustomField(definition),
+    req,
+    meta: { key: definition.key, label: definition.label },
+  });
+  res.status(201).json(publicCustomField(definition));
+});
+
+api.put('/custom-fields/:key', requireAuth, requirePermission('fields.manage'), async (req, res) => {
+  const definition = customFields.find(req.params.key);
+  if (!definition) throw new HttpError(404, 'Field not found');
+  const parse = updateCustomFieldSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const problems = customFieldProblems({ ...definition, ...parse.data });
+  if (problems) throw new HttpError(400, 'Validation failed', { details: problems });
+
+  // values that already clash would make every later save of those users fail
+  if (parse.data.unique && !definition.unique) {
+    const values = (await usersWithField(definition.key)).map((u) => u.fields[definition.key]);
+    if (new Set(values).size < values.length) {
+      throw new HttpError(409, 'Some users share a value for this field, make them unique first', {
+        details: { unique: 'Values are not unique yet' },
+      });
+    }
+  }
+  const updated = await customFields.update(definition.key, parse.data);
+  await audit.record({
+    action: 'field.update',
+    actor: req.user,
+    before: publicCustomField(definition),
+    after: publicCustomField(updated),
+    req,
+    meta: { key: updated.key, label: updated.label },
+  });
+  res.json(publicCustomField(updated));
+});
+
+// removes the values from every user as well
+api.delete('/custom-fields/:key', requireAuth, requirePermission('fields.manage'), async (req, res) => {
+  const definition = customFields.find(req.params.key);
+  if (!definition) throw new HttpError(404, 'Field not found');
+  await customFields.remove(definition.key);
+  const holders = await usersWithField(definition.key);
+  for (const user of holders) {
+    const fields = { ...user.fields };
+    delete fields[definition.key];
+    await storage.update('users', user.id, { fields, ...nextVersion(user) });
+  }
+  await audit.record({
+    action: 'field.delete',
+    actor: req.user,
+    before: publicCustomField(definition),
+    req,
+    meta: { key: definition.key, label: definition.label, userCount: holders.length },
+  });
+  res.json({ success: true, field: publicCustomField(definition), userCount: holders.length });
+});
+
+// Roles
+const rolePermissionListSchema = z
+  .array(z.enum(permissionCatalog))
+  .transform((permissions) => [...new Set(permissions)]);
+
+const createRoleSchema = z.object({
+  name: roleNameSchema,
+  description: descriptionSchema.default(''),
+  permissions: rolePermissionListSchema,
+});
+
+const updateRoleSchema = z.object({
+  description: descriptionSchema.optional(),
+  permissions: rolePermissionListSchema.optional(),
+});
+
+// soft-deleted users count too, they get their role back on restore
+async function countRoleUsers(name) {
+  const { total } = await storage.query('users', { where: { role: name }, limit: 0 });
+  return total;
+}
+
+// active admins with another role, so a role change never leaves none
+async function countAdminsOutside(name) {
+  const where = { role: adminRoles().filter((role) => role !== name), deletedAt: null };
+  const { total } = await storage.query('users', { where, limit: 0 });
+  return total;
+}
+
+// nobody hands out permissions they do not hold themselves
+function assertGrantable(req, permissions) {
+  const own = permissionsOf(req.user.role);
+  const missing = permissions.filter((permission) => !own.includes(permission));
+  if (missing.length > 0) {
+    throw new HttpError(403, `You cannot grant permissions you do not have: ${missing.join(', ')}`);
+  }
+}
+
+api.get('/roles', requireAuth, async (req, res) => {
+  const list = await roles.list();
+  const data = await Promise.all(list.map(async (role) => ({ ...role, userCount: await countRoleUsers(role.name) })));
+  res.json({ data, permissions: permissionCatalog });
+});
+
+api.post('/roles', requireAuth, requirePermission('roles.manage'), forbidWhileImpersonating('Roles'), async (req, res) => {
+  const parse = createRoleSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  if (await roles.find(parse.data.name)) {
+    throw new HttpError(409, 'A role with this name already exists', { details: { name: 'Already exists' } });
+  }
+  assertGrantable(req, parse.data.permissions);
+  const role = await roles.create(parse.data);
+  await audit.record({ action: 'role.create', actor: req.user, after: role, req, meta: { role: role.name } });
+  res.status(201).json({ ...role, userCount: 0 });
+});
+
+// the name is the key users refer to, only description and permissions change
+api.put('/roles/:name', requireAuth, requirePermission('roles.manage'), forbidWhileImpersonating('Roles'), async (req, res) => {
+  const before = await roles.find(req.params.name);
+  if (!before) throw new HttpError(404, 'Role not found');
+  const parse = updateRoleSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const { description, permissions } = parse.data;
+  if (permissions && before.name === ADMIN_ROLE) {
+    throw new HttpError(409, 'The admin role always has every permission');
+  }
+  const losesAdmin = permissions && before.permissions.includes('users.admin') && !permissions.includes('users.admin');
+  if (losesAdmin && (await countAdminsOutside(before.name)) === 0) {
+    throw new HttpError(409, 'This would leave no admin, users.admin must stay on this role');
+  }
+  // only the permissions being added have to be the actor's own
+  if (permissions) assertGrantable(req, permissions.filter((p) => !before.permissions.includes(p)));
+  const role = await roles.update(before.name, {
+    ...(description !== undefined ? { description } : {}),
+    ...(permissions ? { permissions } : {}),
+  });
+  await audit.record({ action: 'role.update', actor: req.user, before, after: role, req, meta: { role: role.name } });
+  res.json({ ...role, userCount: await countRoleUsers(role.name) });
+});
+
+// A role still assigned to users can only go when ?reassignTo=<role> names
+// the role they move to.
+api.delete('/roles/:name', requireAuth, requirePermission('roles.manage'), forbidWhileImpersonating('Roles'), async (req, res) => {
+  const role = await roles.find(req.params.name);
+  if (!role) throw new HttpError(404, 'Role not found');
+  if (role.name === ADMIN_ROLE) throw new HttpError(409, 'The admin role cannot be deleted');
+
+  const { items: members } = await storage.query('users', { where: { role: role.name } });
+  const reassignTo = req.query.reassignTo ? String(req.query.reassignTo) : null;
+  if (members.length > 0 && !reassignTo) {
+    throw new HttpError(409, `${members.length} user(s) still have this role, choose a role to move them to`, {
+      userCount: members.length,
+    });
+  }
+  if (members.length > 0) {
+    if (reassignTo === role.name || !(await roles.find(reassignTo))) {
+      throw new HttpError(400, 'Validation failed', { details: { reassignTo: 'Choose another existing role' } });
+    }
+    if (!assignableRoles(req.user).includes(reassignTo)) {
+      throw new HttpError(403, 'You are not allowed to assign this role');
+    }
+    const losesAdmin = role.permissions.includes('users.admin') && !permissionsOf(reassignTo).includes('users.admin');
+    if (losesAdmin && (await countAdminsOutside(role.name)) === 0) {
+      throw new HttpError(409, 'This would leave no admin, move the users to a role with users.admin');
+    }
+    for (const member of members) {
+      const updated = await storage.update('users', member.id, { role: reassignTo, ...nextVersion(member) });
+      await sessions.revokeUserSessions(member.id, { reason: 'role changed' });
+      await audit.record({
+        action: 'user.update',
+        actor: req.user,
+        target: updated,
+        before: member,
+        after: updated,
+        req,
+        meta: { roleDeleted: role.name },
+      });
+    }
+  }
+
+  const security = await getSecuritySettings();
+  if (security.twoFactorRoles.includes(role.name)) {
+    await saveSecuritySettings({
+      ...security,
+      twoFactorRoles: security.twoFactorRoles.filter((name) => name !== role.name),
+    });
+  }
+  await roles.remove(role.name);
+  await audit.record({
+    action: 'role.delete',
+    actor: req.user,
+    before: role,
+    req,
+    meta: { role: role.name, ...(members.length > 0 ? { reassignTo, reassigned: members.length } : {}) },
+  });
+  res.json({ success: true, role, reassigned: members.length });
+});
+
+// Security settings
+const securitySettingsSchema = z.object({
+  twoFactorRoles: z.array(roleSchema),
+});
+
+api.get('/settings/security', requireAuth, async (req, res) => {
+  res.json(await getSecuritySettings());
+});
+
+api.put('/settings/security', requireAuth, requirePermission('users.admin'), async (req, res) => {
+  const parse = securitySettingsSchema.safeParse(req.body || {});
+  if (!parse.success) {
+    throw validationError(parse.error);
+  }
+  const before = await getSecuritySettings();
+  const after = { ...before, twoFactorRoles: [...new Set(parse.data.twoFactorRoles)] };
+  await saveSecuritySettings(after);
+  await audit.record({ action: 'settings.update', actor: req.user, before, after, req, meta: { settings: 'security' } });
+  res.json(after);
+});
+
+// Audit log
+const auditQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  actor: z.string().optional(),
+  target: z.string().optional(),
+  action: listParam.pipe(z.array(z.enum(auditActions))),
+  // epoch milliseconds or anything Date.parse understands
+  from: z.union([z.coerce.number(), z.iso.datetime({ offset: true }), z.iso.date()]).optional(),
+  to: z.union([z.coerce.number(), z.iso.datetime({ offset: true }), z.iso.date()]).optional(),
+});
+
+function toTimestamp(value) {
+  if (value === undefined) return undefined;
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+api.get('/audit', requireAuth, requirePermission('audit.read'), async (req, res) => {
+  const parse = auditQuerySchema.safeParse(req.query);
+  if (!parse.success) {
+    throw validationError(parse.error, 'Invalid query');
+  }
+  const query = parse.data;
+  const { items, total } = await audit.list({
+    actorId: query.actor,
+    targetId: query.target,
+    actions: query.action,
+    from: toTimestamp(query.from),
+    to: toTimestamp(query.to),
+    offset: (query.page - 1) * query.limit,
+    limit: query.limit,
+  });
+  res.json({
+    data: items,
+    total,
+    page: query.page,
+    limit: query.limit,
+    totalPages: Math.max(1, Math.ceil(total / query.limit)),
+  });
+});
+
+// API documentation
+// Every route is described here with the schemas it validates with, see
+// openapi.js. Add new routes to the list when they are added above.
+const apiDocs = createApiDocs({
+  info: {
+    title: `${APP_NAME} API`,
+    version: require('./package.json').version,
+    description: 'Sign in with POST /api/login and send the token as `Authorization: Bearer <token>`.',
+  },
+});
+const doc = apiDocs.route;
+
+doc('post', '/login', {
+  tag: 'Auth',
+  summary: 'Sign in',
+  public: true,
+  body: loginSchema,
+  returns: 'Session',
+  errors: [429],
+});
+doc('post', '/login/2fa', {
+  tag: 'Auth',
+  summary: 'Finish signing in with a two-factor code',
+  public: true,
+  body: loginTwoFactorSchema,
+  returns: 'Session',
+  errors: [429],
+});
+doc('post', '/refresh', {
+  tag: 'Auth',
+  summary: 'Get a new access token',
+  description: 'Uses the refresh token cookie set at sign-in and rotates it.',
+  public: true,
+  returns: 'Session',
+  errors: [401],
+});
+doc('post', '/logout', {
+  tag: 'Auth',
+  summary: 'Sign out',
+  description: 'With a token from POST /users/{id}/impersonate only that impersonation ends, the admin stays signed in.',
+  returns: 'Success',
+});
+doc('post', '/password-reset', {
+  tag: 'Auth',
+  summary: 'Set a new password with a reset token',
+  public: true,
+  body: resetPasswordSchema,
+  returns: 'Success',
+});
+doc('post', '/email-verification', {
+  tag: 'Auth',
+  summary: 'Confirm a new email address',
+  public: true,
+  body: emailVerificationSchema,
+  returns: 'UserResult',
+});
+doc('post', '/invitations/lookup', {
+  tag: 'Auth',
+  summary: 'Who an invitation is for',
+  public: true,
+  body: inviteTokenSchema,
+  returns: 'Invitation',
+});
+doc('post', '/invitations/accept', {
+  tag: 'Auth',
+  summary: 'Accept an invitation and sign in',
+  public: true,
+  body: acceptInviteSchema,
+  returns: 'Session',
+});
+
+doc('get', '/me', { tag: 'Profile', summary: 'The signed-in user', returns: 'User' });
+doc('patch', '/me', {
+  tag: 'Profile',
+  summary: 'Update the own profile',
+  description: 'A new email address is only used once it is verified.',
+  permission: 'profile.write',
+  body: updateMeSchema,
+  returns: 'User',
+  errors: [409],
+});
+doc('get', '/avatars/:id', {
+  tag: 'Profile',
+  summary: 'An avatar image',
+  public: true,
+  returns: { type: 'string', format: 'binary' },
+  returnsType: 'image/*',
+});
+doc('post', '/me/password', {
+  tag: 'Profile',
+  summary: 'Change the own password',
+  body: changePasswordSchema,
+  returns: 'Success',
+});
+doc('get', '/me/2fa', { tag: 'Two-factor', summary: 'Two-factor status' });
+doc('post', '/me/2fa/setup', { tag: 'Two-factor', summary: 'Start enrolment, returns the secret' });
+doc('post', '/me/2fa/enable', {
+  tag: 'Two-factor',
+  summary: 'Confirm enrolment with a first code',
+  body: twoFactorConfirmSchema,
+});
+doc('post', '/me/2fa/disable', {
+  tag: 'Two-factor',
+  summary: 'Turn two-factor off',
+  body: disableTwoFactorSchema,
+  errors: [409],
+});
+doc('post', '/me/2fa/recovery-codes', {
+  tag: 'Two-factor',
+  summary: 'Replace the recovery codes',
+  body: twoFactorConfirmSchema,
+});
+
+doc('get', '/users', {
+  tag: 'Users',
+  summary: 'List users',
+  description: 'Custom fields are searched too. `deleted=true` lists the trash and needs `users.delete`.',
+  permission: 'users.read',
+  query: listUsersQuerySchema,
+  returns: 'UserPage',
+});
+doc('get', '/users/export', {
+  tag: 'Users',
+  summary: 'Export users as CSV or JSON',
+  permission: 'users.read',
+  query: exportQuerySchema,
+  returns: { type: 'string' },
+  returnsType: 'text/csv',
+});
+doc('post', '/users/import', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Import users from CSV or JSON',
+  description: 'Columns are the user fields plus `fields.<key>` per custom field. `dryRun=true` only validates.',
+  permission: 'users.write',
+  query: z.object({ dryRun: z.enum(['true', 'false']).optional() }),
+  body: { type: 'string' },
+  bodyType: 'text/csv',
+  status: 201,
+});
+doc('get', '/users/:id', { tag: 'Users', summary: 'Get a user', permission: 'users.read', returns: 'User' });
+doc('post', '/users', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Create a user',
+  permission: 'users.write',
+  body: () => withCustomFields(createUserSchema),
+  status: 201,
+  returns: 'User',
+  errors: [409],
+});
+doc('post', '/users/invite', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Invite a user by email',
+  permission: 'users.write',
+  body: () => withCustomFields(inviteUserSchema),
+  status: 201,
+  returns: 'User',
+  errors: [409],
+});
+doc('post', '/users/:id/invite', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Send an invitation again',
+  permission: 'users.write',
+  returns: 'User',
+  errors: [409],
+});
+doc('delete', '/users/:id/invite', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Revoke an invitation',
+  permission: 'users.write',
+  returns: 'UserResult',
+  errors: [409],
+});
+doc('put', '/users/:id', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Update a user',
+  description: 'Needs `users.write`, or `profile.write` for the own account. Group managers may edit their members.',
+  body: () => withCustomFields(updateUserSchema, { partial: true }),
+  ifMatch: true,
+  returns: 'User',
+  errors: [403, 409],
+});
+doc('delete', '/users/:id', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Move a user to the trash',
+  permission: 'users.delete',
+  ifMatch: true,
+  returns: 'UserResult',
+  errors: [409],
+});
+doc('post', '/users/:id/restore', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Restore a user from the trash',
+  permission: 'users.delete',
+  returns: 'User',
+  errors: [409],
+});
+doc('delete', '/users/:id/purge', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Delete a user from the trash for good',
+  permission: 'users.admin',
+  returns: 'UserResult',
+});
+doc('post', '/users/bulk', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Apply an action to many users',
+  description: 'The permission depends on the action, the outcome is reported per id.',
+  body: bulkActionSchema.and(bulkIdsSchema),
+  errors: [403],
+});
+doc('post', '/users/:id/password-reset', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Create a password reset link',
+  permission: 'users.admin',
+  status: 201,
+});
+doc('post', '/users/:id/impersonate', {
+  tag: 'Users',
+  summary: 'View the app as a user',
+  description: 'Returns `{ token, expiresAt, user, impersonator }`. The token acts as the user but every change '
+    + 'is logged with the admin too, and changes to passwords, two-factor settings and roles are refused. '
+    + 'It cannot be refreshed; to stop, send POST /logout with it (which leaves the admin signed in) '
+    + 'and get the admin\'s own token back from POST /refresh. '
+    + 'Not allowed for other admins.',
+  permission: 'users.admin',
+  status: 201,
+});
+doc('delete', '/users/:id/lockout', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Clear a sign-in lockout',
+  permission: 'users.admin',
+  returns: 'User',
+});
+doc('delete', '/users/:id/2fa', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Turn off two-factor for a user',
+  permission: 'users.admin',
+  returns: 'User',
+});
+doc('get', '/events', {
+  tag: 'Users',
+  summary: 'Stream user changes',
+  description: 'Server-Sent Events: `user.created`, `user.updated` and `user.deleted` with `{ id, user }`, '
+    + '`user.editing` with `{ userId, editor, until }` (0 once the form is closed), and `ready`. '
+    + 'Send `Last-Event-ID` to resume; `reset` means the missed events are gone and the list must be reloaded.',
+  permission: 'users.read',
+  returns: { type: 'string' },
+  returnsType: 'text/event-stream',
+});
+doc('put', '/users/:id/editing', {
+  tag: 'Users',
+  summary: 'Mark a user as being edited',
+  description: 'Expires after 30 seconds unless renewed.',
+  permission: 'users.read',
+  returns: {
+    type: 'object',
+    properties: {
+      userId: { type: 'string' },
+      editor: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } },
+      until: { type: 'integer' },
+    },
+  },
+});
+doc('delete', '/users/:id/editing', {
+  tag: 'Users',
+  summary: 'Stop editing a user',
+  permission: 'users.read',
+  returns: 'Success',
+});
+doc('put', '/users/:id/groups', {
+  idempotent: true,
+  tag: 'Users',
+  summary: 'Set the groups of a user',
+  permission: 'groups.manage',
+  body: userGroupsSchema,
+});
+
+doc('get', '/groups', { tag: 'Groups', summary: 'List groups', permission: 'users.read', returns: ['Group'] });
+doc('get', '/groups/:id', { tag: 'Groups', summary: 'Get a group', permission: 'users.read', returns: 'Group' });
+doc('post', '/groups', {
+  tag: 'Groups',
+  summary: 'Create a group',
+  permission: 'groups.manage',
+  body: createGroupSchema,
+  status: 201,
+  returns: 'Group',
+  errors: [409],
+});
+doc('put', '/groups/:id', {
+  tag: 'Groups',
+  summary: 'Update a group',
+  permission: 'groups.manage',
+  body: updateGroupSchema,
+  returns: 'Group',
+  errors: [409],
+});
+doc('delete', '/groups/:id', { tag: 'Groups', summary: 'Delete a group', permission: 'groups.manage' });
+doc('put', '/groups/:id/members/:userId', {
+  tag: 'Groups',
+  summary: 'Add a member',
+  permission: 'groups.manage',
+  returns: 'Group',
+});
+doc('delete', '/groups/:id/members/:userId', {
+  tag: 'Groups',
+  summary: 'Remove a member',
+  description: 'Needs `groups.manage`, or being a manager of the group.',
+  returns: 'Group',
+  errors: [403],
+});
+
+doc('get', '/custom-fields', {
+  tag: 'Custom fields',
+  summary: 'List the custom field definitions',
+  returns: 'CustomFieldList',
+});
+doc('post', '/custom-fields', {
+  tag: 'Custom fields',
+  summary: 'Add a field',
+  permission: 'fields.manage',
+  body: createCustomFieldSchema,
+  status: 201,
+  returns: 'CustomField',
+  errors: [409],
+});
+doc('put', '/custom-fields/:key', {
+  tag: 'Custom fields',
+  summary: 'Update a field',
+  permission: 'fields.manage',
+  body: updateCustomFieldSchema,
+  returns: 'CustomField',
+  errors: [409],
+});
+doc('delete', '/custom-fields/:key', {
+  tag: 'Custom fields',
+  summary: 'Delete a field and its values',
+  permission: 'fields.manage',
+});
+
+doc('get', '/roles', { tag: 'Roles', summary: 'List roles and the permission catalog' });
+doc('post', '/roles', {
+  tag: 'Roles',
+  summary: 'Create a role',
+  permission: 'roles.manage',
+  body: createRoleSchema,
+  status: 201,
+  returns: 'Role',
+  errors: [409],
+});
+doc('put', '/roles/:name', {
+  tag: 'Roles',
+  summary: 'Update a role',
+  permission: 'roles.manage',
+  body: updateRoleSchema,
+  returns: 'Role',
+  errors: [409],
+});
+doc('delete', '/roles/:name', {
+  tag: 'Roles',
+  summary: 'Delete a role',
+  description: 'Users that still have the role move to `reassignTo`.',
+  permission: 'roles.manage',
+  query: z.object({ reassignTo: z.string().optional() }),
+  errors: [409],
+});
+
+doc('get', '/settings/security', { tag: 'Settings', summary: 'Security settings' });
+doc('put', '/settings/security', {
+  tag: 'Settings',
+  summary: 'Update security settings',
+  permission: 'users.admin',
+  body: securitySettingsSchema,
+});
+doc('get', '/audit', {
+  tag: 'Audit',
+  summary: 'Search the audit log',
+  permission: 'audit.read',
+  query: auditQuerySchema,
+});
+doc('get', '/openapi.json', { tag: 'Docs', summary: 'This document', public: true });
+
+api.get('/openapi.json', (req, res) => {
+  res.json(apiDocs.document({
+    serverUrl: `${req.protocol}://${req.get('host')}${API_PREFIX}`,
+    // the user `fields` object follows the current definitions
+    schemas: { CustomFields: toJsonSchema(customFields.schema()) },
+  }));
+});
+
+// The unversioned /api paths from before /api/v1 keep working for existing
+// clients, marked deprecated with a pointer to the new path.
+function deprecatedAlias(req, res, next) {
+  if (!req.path.startsWith('/v1/')) {
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${API_PREFIX}${req.url}>; rel="successor-version"`);
+  }
+  next();
+}
+
+app.use(API_PREFIX, api);
+app.use('/api', deprecatedAlias, api);
+app.use(notFoundHandler);
+app.use(createErrorHandler({ logger }));
+
+roles
+  .load()
+  .then(() => customFields.load())
+  .then(seedUsers)
+  .then(() => {
+    app.listen(PORT, () => {
+      ready = true;
+      logger.info(`Server listening on http://localhost:${PORT}`, { port: Number(PORT), storage: storage.driver, mail: mailer.driver });
+    });
+  })
+  .catch((err) => {
+    logger.error('Failed to start server', { err });
+    process.exit(1);
+  }); 
\ No newline at end of file
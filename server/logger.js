@@ -0,0 +1,92 @@
+// Structured logging. Every entry is one object:
+//   { time, level, msg, ...fields }
+// written as a JSON line (LOG_FORMAT=json, the default, for log collectors)
+// or as a readable line (LOG_FORMAT=pretty, for development). LOG_LEVEL picks
+// the lowest level written: debug, info (default), warn or error.
+//
+// Secrets never reach the output: any field named like a password, token,
+// secret, cookie or authorization header is replaced, however deep it sits,
+// and so are 2FA codes (`code`, `recoveryCodes`).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[redacted]';
+const SECRET_KEY = /password|passwd|token|secret|authorization|cookie|^code$|^recoveryCodes$/i;
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  if (Array.isArray(value)) return depth > 5 ? '[…]' : value.map((item) => redact(item, depth + 1));
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 5) return '[…]';
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1),
+  ]));
+}
+
+function formatPretty({ time, level, msg, ...fields }) {
+  const rest = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+function createLogger({ level = 'info', format = 'json', write = (line) => process.stdout.write(`${line}\n`), fields = {} } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function log(entryLevel, msg, extra = {}) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = redact({ time: new Date().toISOString(), level: entryLevel, msg, ...fields, ...extra });
+    write(format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    isEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold,
+    // a logger that adds `extra` to every entry, e.g. the request id
+    child: (extra) => createLogger({ level, format, write, fields: { ...fields, ...extra } }),
+  };
+}
+
+// One entry per request once the response is sent, with the timing, status,
+// user and request id. Routes log through `req.log`, which adds the request id.
+// At debug level the (redacted) headers and body are included.
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    req.log = logger.child({ requestId: req.id });
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      req.log[res.statusCode >= 500 ? 'error' : 'info']('request', {
+        method: req.method,
+        path: req.originalUrl,
+        // the route pattern, the same under /api and /api/v1
+        route: req.route?.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        userId: req.userId,
+        // the admin behind an impersonated request
+        impersonatorId: req.impersonator?.id,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        ...(logger.isEnabled('debug') ? { headers: req.headers, body: req.body } : {}),
+      });
+    });
+    next();
+  };
+}
+
+function createLoggerFromEnv(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  if (!(level in LEVELS)) throw new Error(`Unknown LOG_LEVEL "${level}" (expected debug, info, warn or error)`);
+  const format = (env.LOG_FORMAT || 'json').toLowerCase();
+  if (!['json', 'pretty'].includes(format)) throw new Error(`Unknown LOG_FORMAT "${format}" (expected json or pretty)`);
+  return createLogger({ level, format });
+}
+
+module.exports = { createLogger, createLoggerFromEnv, requestLogger, redact };
@@ -0,0 +1,115 @@
+// Slows down password guessing on /api/login. Failures are counted per client
+// IP and per account (the email that was tried, whether or not it exists).
+// After a few free attempts every further failure doubles the wait before the
+// next attempt; an account that keeps failing is locked outright until the
+// lockout expires or an admin clears it.
+//
+// Counters live in the `loginThrottle` collection of any storage backend, so
+// the limiter works the same on the in-memory store as on a persistent one.
+const COLLECTION = 'loginThrottle';
+
+const defaults = {
+  // failures before the next attempt is delayed
+  freeAttempts: { ip: 10, account: 3 },
+  // account failures that lock the account
+  maxAccountFailures: 5,
+  lockoutMs: 15 * 60 * 1000,
+  baseDelayMs: 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  // a counter starts over when its last failure is older than this
+  resetAfterMs: 60 * 60 * 1000,
+};
+
+function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+function accountKey(email) {
+  return `account:${String(email || '').trim().toLowerCase()}`;
+}
+
+function createLoginThrottle({ storage, now = Date.now, ...options }) {
+  const config = { ...defaults, ...options, freeAttempts: { ...defaults.freeAttempts, ...options.freeAttempts } };
+
+  // stale counters are forgotten, but a running lockout always counts
+  function current(entry) {
+    if (!entry) return null;
+    const expired = entry.lastFailureAt + config.resetAfterMs < now() && !(entry.lockedUntil > now());
+    return expired ? null : entry;
+  }
+
+  async function load(key) {
+    return current(await storage.find(COLLECTION, key));
+  }
+
+  function delayFor(kind, failures) {
+    const free = config.freeAttempts[kind];
+    if (failures <= free) return 0;
+    return Math.min(config.baseDelayMs * 2 ** (failures - free - 1), config.maxDelayMs);
+  }
+
+  function waitFor(entry) {
+    if (!entry) return 0;
+    const until = Math.max(entry.blockedUntil || 0, entry.lockedUntil || 0);
+    return Math.max(0, until - now());
+  }
+
+  // Resolves to { retryAfterMs, locked }; retryAfterMs is 0 when the attempt
+  // may go ahead.
+  async function check({ ip, email }) {
+    const [byIp, byAccount] = await Promise.all([load(ipKey(ip)), load(accountKey(email))]);
+    const locked = Boolean(byAccount?.lockedUntil > now());
+    return { retryAfterMs: Math.max(waitFor(byIp), waitFor(byAccount)), locked };
+  }
+
+  async function bump(kind, key) {
+    // a stale counter starts over, but its record is still there to update
+    const stored = await storage.find(COLLECTION, key);
+    const previous = current(stored);
+    const failures = (previous?.failures || 0) + 1;
+    const at = now();
+    const entry = {
+      failures,
+      lastFailureAt: at,
+      blockedUntil: at + delayFor(kind, failures),
+      lockedUntil: previous?.lockedUntil || null,
+    };
+    if (kind === 'account' && failures >= config.maxAccountFailures && !(entry.lockedUntil > at)) {
+      entry.lockedUntil = at + config.lockoutMs;
+    }
+    const saved = stored
+      ? await storage.update(COLLECTION, key, entry)
+      : await storage.create(COLLECTION, { id: key, kind, ...entry });
+    return { entry: saved, lockedNow: entry.lockedUntil !== (previous?.lockedUntil || null) };
+  }
+
+  // Resolves to { retryAfterMs, locked, lockedNow } after counting a failure;
+  // lockedNow is true for the failure that locked the account.
+  async function recordFailure({ ip, email }) {
+    const [byIp, byAccount] = await Promise.all([bump('ip', ipKey(ip)), bump('account', accountKey(email))]);
+    return {
+      retryAfterMs: Math.max(waitFor(byIp.entry), waitFor(byAccount.entry)),
+      locked: byAccount.entry.lockedUntil > now(),
+      lockedNow: byAccount.lockedNow,
+    };
+  }
+
+  // a successful login clears the account, the IP counter just runs out
+  async function recordSuccess({ email }) {
+    await storage.delete(COLLECTION, accountKey(email));
+  }
+
+  // when the account is locked, or null
+  async function lockedUntil(email) {
+    const entry = await load(accountKey(email));
+    return entry?.lockedUntil > now() ? entry.lockedUntil : null;
+  }
+
+  async function clearAccount(email) {
+    return Boolean(await storage.delete(COLLECTION, accountKey(email)));
+  }
+
+  return { check, recordFailure, recordSuccess, lockedUntil, clearAccount };
+}
+
+module.exports = { createLoginThrottle };
@@ -0,0 +1,14 @@
+const { formatMessage } = require('./message');
+
+// Prints messages to stdout, handy in development.
+function createConsoleMailer({ from }) {
+  async function send(message) {
+    const { id, raw } = formatMessage({ from, ...message });
+    console.log(`--- mail ${id} ---\n${raw}--- end of mail ---`);
+    return { id };
+  }
+
+  return { driver: 'console', send };
+}
+
+module.exports = { createConsoleMailer };
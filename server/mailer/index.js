@@ -0,0 +1,29 @@
+const path = require('path');
+const { createOutboxMailer } = require('./outbox');
+const { createConsoleMailer } = require('./console');
+const { createSmtpMailer } = require('./smtp');
+
+// Every mailer implements the same async interface:
+//   send({ to, subject, text }) resolves to { id } once the message is handed
+//   off, and rejects when it could not be delivered.
+// `driver` names the backend for logging.
+function createMailer(env = process.env) {
+  const driver = (env.MAIL_DRIVER || 'outbox').toLowerCase();
+  const from = env.MAIL_FROM || 'CRUD Demo <no-reply@localhost>';
+  switch (driver) {
+    case 'outbox':
+      return createOutboxMailer({
+        from,
+        dir: path.resolve(env.MAIL_OUTBOX || path.join(__dirname, '..', 'data', 'outbox')),
+      });
+    case 'console':
+      return createConsoleMailer({ from });
+    case 'smtp':
+      if (!env.SMTP_URL) throw new Error('MAIL_DRIVER=smtp needs SMTP_URL');
+      return createSmtpMailer({ from, url: env.SMTP_URL });
+    default:
+      throw new Error(`Unknown MAIL_DRIVER "${driver}" (expected outbox, console or smtp)`);
+  }
+}
+
+module.exports = { createMailer };
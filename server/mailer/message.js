@@ -0,0 +1,22 @@
+const { v4: uuidv4 } = require('uuid');
+
+// A plain text message in RFC 5322 form, readable by any mail client.
+function formatMessage({ from, to, subject, text }) {
+  const id = uuidv4();
+  const raw = [
+    `Message-ID: <${id}@localhost>`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text.replace(/\r?\n/g, '\r\n'),
+    '',
+  ].join('\r\n');
+  return { id, raw };
+}
+
+module.exports = { formatMessage };
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const { formatMessage } = require('./message');
+
+// Writes every message as an .eml file instead of sending it, so invites work
+// offline and can be opened from the outbox directory.
+function createOutboxMailer({ from, dir }) {
+  async function send(message) {
+    const { id, raw } = formatMessage({ from, ...message });
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+    await fs.promises.writeFile(file, raw);
+    return { id, file };
+  }
+
+  return { driver: 'outbox', send };
+}
+
+module.exports = { createOutboxMailer };
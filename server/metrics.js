@@ -0,0 +1,113 @@
+// Prometheus metrics without a client library. Counters and histograms are
+// updated as things happen; gauges are read by a callback on every scrape.
+// `render()` produces the text exposition format served at /metrics.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function pick(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  }
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    metrics.push({
+      render: () => [
+        ...header(name, help, 'counter'),
+        ...[...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+      ],
+    });
+    return {
+      inc(labels, by = 1) {
+        const picked = pick(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = values.get(key) || { labels: picked, value: 0 };
+        entry.value += by;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      render: () => [
+        ...header(name, help, 'histogram'),
+        ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+      ],
+    });
+    return {
+      observe(labels, value) {
+        const picked = pick(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        // buckets are cumulative: a value counts in every bucket it fits
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  // `collect` resolves to a number, or to [{ labels, value }] for several series
+  function gauge(name, help, collect) {
+    metrics.push({
+      render: async () => {
+        const result = await collect();
+        const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        return [
+          ...header(name, help, 'gauge'),
+          ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+        ];
+      },
+    });
+  }
+
+  async function render() {
+    const blocks = await Promise.all(metrics.map((metric) => metric.render()));
+    return `${blocks.flat().join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+// Counts every request and times it, labelled with the route pattern rather
+// than the path so ids do not make a new series each.
+function httpMetrics(metrics) {
+  const requests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+  const duration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route?.path || 'unmatched';
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
+
+module.exports = { createMetrics, httpMetrics };
@@ -0,0 +1,297 @@
+const { z } = require('zod');
+
+// Builds the OpenAPI 3.1 document served at GET /api/v1/openapi.json. Each route
+// is described once with the zod schemas it validates with; they are turned
+// into JSON Schema whenever the document is requested, so it follows the code
+// and the current custom field definitions.
+
+// the input side: fields with defaults are optional, coerced values strings
+function toJsonSchema(schema) {
+  const { $schema, ...json } = z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+  return json;
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const nullableString = { type: ['string', 'null'] };
+
+// what the routes send back; request bodies come from the zod schemas
+const responseSchemas = {
+  Problem: {
+    type: 'object',
+    description: 'RFC 7807 problem details, sent as application/problem+json',
+    properties: {
+      type: { type: 'string' },
+      title: { type: 'string', description: 'The HTTP status text' },
+      status: { type: 'integer' },
+      detail: { type: 'string', description: 'What went wrong, fit to show to the user' },
+      instance: { type: 'string' },
+      requestId: { type: 'string', description: 'Also sent as X-Request-Id and written to the server log' },
+      errors: {
+        type: 'array',
+        description: 'Problems with single fields, e.g. `email` or `fields.employee_id`',
+        items: {
+          type: 'object',
+          properties: { field: { type: 'string' }, message: { type: 'string' } },
+          required: ['field', 'message'],
+        },
+      },
+    },
+    required: ['type', 'title', 'status', 'detail', 'requestId'],
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string' },
+      status: { type: 'string', enum: ['active', 'invited'] },
+      version: { type: 'integer', description: 'Send it back as `If-Match` on updates' },
+      permissions: { type: 'array', items: { type: 'string' } },
+      twoFactorEnabled: { type: 'boolean' },
+      fields: ref('CustomFields'),
+      groupIds: { type: 'array', items: { type: 'string' } },
+      timezone: nullableString,
+      locale: nullableString,
+      avatarUrl: { type: 'string' },
+      pendingEmail: { type: 'string', format: 'email' },
+      inviteExpiresAt: { type: 'integer' },
+      lockedUntil: { type: ['integer', 'null'] },
+      createdAt: { type: 'integer', description: 'Epoch milliseconds' },
+      updatedAt: { type: 'integer' },
+      deletedAt: { type: ['integer', 'null'] },
+    },
+    required: ['id', 'name', 'email', 'role', 'version', 'permissions', 'twoFactorEnabled', 'fields'],
+  },
+  UserPage: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref('User') },
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      links: {
+        type: 'object',
+        properties: { self: { type: 'string' }, next: nullableString, prev: nullableString },
+      },
+    },
+  },
+  UserResult: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, user: ref('User') },
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', description: 'Access token for the Authorization header' },
+      user: ref('User'),
+      twoFactorRequired: { type: 'boolean', description: 'Continue with POST /api/login/2fa' },
+      challengeToken: { type: 'string' },
+    },
+  },
+  Group: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      managerIds: { type: 'array', items: { type: 'string' } },
+      memberCount: { type: 'integer' },
+      createdAt: { type: 'integer' },
+      updatedAt: { type: 'integer' },
+    },
+  },
+  Role: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      permissions: { type: 'array', items: { type: 'string' } },
+      builtIn: { type: 'boolean' },
+      userCount: { type: 'integer' },
+    },
+  },
+  CustomField: {
+    type: 'object',
+    properties: {
+      key: { type: 'string' },
+      label: { type: 'string' },
+      type: { type: 'string' },
+      required: { type: 'boolean' },
+      unique: { type: 'boolean' },
+      options: { type: 'array', items: { type: 'string' } },
+      pattern: { type: 'string' },
+      order: { type: 'integer' },
+    },
+  },
+  CustomFieldList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref('CustomField') },
+      types: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  Invitation: {
+    type: 'object',
+    properties: { name: { type: 'string' }, email: { type: 'string' }, expiresAt: { type: 'integer' } },
+  },
+  Success: {
+    type: 'object',
+    properties: { success: { type: 'boolean' } },
+  },
+};
+
+const errorDescriptions = {
+  400: 'Invalid request, `errors` lists the fields',
+  401: 'Missing or expired access token',
+  403: 'Not allowed for the signed-in user',
+  404: 'Not found',
+  409: 'Conflicts with existing data, or a request with the same Idempotency-Key is still running or held a secret',
+  412: 'The user changed since it was read, `current` holds the latest version',
+  422: 'The Idempotency-Key was already used for a different request',
+  428: 'The If-Match header is missing',
+  429: 'Too many attempts, see Retry-After',
+};
+
+// `returns` names a component, [name] for a list of them, or is JSON Schema
+function responseSchema(returns) {
+  if (typeof returns === 'string') return ref(returns);
+  if (Array.isArray(returns)) return { type: 'array', items: ref(returns[0]) };
+  return returns;
+}
+
+// /api/users/:id/invite → postUsersIdInvite
+function operationId(method, path) {
+  const words = path.replace(/^\/api\//, '').split(/[/:.-]+/).filter(Boolean);
+  return method + words.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function createApiDocs({ info }) {
+  const routes = [];
+
+  // Describes one route. The spec may hold:
+  //   tag, summary, description
+  //   public       no access token needed
+  //   permission   the permission the route requires
+  //   query, body  zod schemas, body may be a function for per-request schemas
+  //   bodyType     media type of the body, JSON by default
+  //   ifMatch      the If-Match header is required
+  //   idempotent   an Idempotency-Key header is accepted
+  //   status, returns, returnsType   the success response
+  //   errors       statuses on top of the ones the other options imply
+  function route(method, path, spec) {
+    routes.push({ method, path, spec });
+  }
+
+  function operation(method, path, spec) {
+    const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+    }));
+    if (spec.query) {
+      const query = toJsonSchema(spec.query);
+      for (const [name, schema] of Object.entries(query.properties || {})) {
+        parameters.push({ name, in: 'query', required: (query.required || []).includes(name), schema });
+      }
+    }
+    if (spec.ifMatch) {
+      parameters.push({
+        name: 'If-Match',
+        in: 'header',
+        required: true,
+        description: 'The ETag of the user, or its version',
+        schema: { type: 'string' },
+      });
+    }
+
+    if (spec.idempotent) {
+      parameters.push({
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'Any unique string; a repeat with the same key returns the first response instead of running again',
+        schema: { type: 'string', maxLength: 255 },
+      });
+    }
+
+    const statuses = new Set(spec.errors || []);
+    if (spec.body || spec.query) statuses.add(400);
+    if (!spec.public) statuses.add(401);
+    if (spec.permission) statuses.add(403);
+    if (parameters.some((parameter) => parameter.in === 'path')) statuses.add(404);
+    if (spec.ifMatch) [412, 428].forEach((status) => statuses.add(status));
+    if (spec.idempotent) [409, 422].forEach((status) => statuses.add(status));
+
+    const responses = {
+      [spec.status || 200]: {
+        description: 'Success',
+        ...(spec.returns
+          ? { content: { [spec.returnsType || 'application/json']: { schema: responseSchema(spec.returns) } } }
+          : {}),
+      },
+    };
+    for (const status of [...statuses].sort()) {
+      responses[status] = {
+        description: errorDescriptions[status] || 'Error',
+        content: { 'application/problem+json': { schema: ref('Problem') } },
+      };
+    }
+
+    const description = [
+      spec.description,
+      spec.permission && `Requires the \`${spec.permission}\` permission.`,
+    ].filter(Boolean).join('\n\n');
+
+    let requestBody;
+    if (spec.body) {
+      const body = typeof spec.body === 'function' ? spec.body() : spec.body;
+      const schema = body instanceof z.ZodType ? toJsonSchema(body) : body;
+      requestBody = { required: true, content: { [spec.bodyType || 'application/json']: { schema } } };
+    }
+
+    return {
+      operationId: operationId(method, path),
+      tags: [spec.tag],
+      summary: spec.summary,
+      ...(description ? { description } : {}),
+      ...(spec.permission ? { 'x-permission': spec.permission } : {}),
+      ...(spec.public ? { security: [] } : {}),
+      ...(parameters.length ? { parameters } : {}),
+      ...(requestBody ? { requestBody } : {}),
+      responses,
+    };
+  }
+
+  // `schemas` adds components that depend on runtime data, like CustomFields
+  function document({ serverUrl, schemas = {} } = {}) {
+    const paths = {};
+    for (const { method, path, spec } of routes) {
+      const key = path.replace(/:(\w+)/g, '{$1}');
+      paths[key] = { ...paths[key], [method]: operation(method, path, spec) };
+    }
+    return {
+      openapi: '3.1.0',
+      info,
+      ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+      tags: [...new Set(routes.map(({ spec }) => spec.tag))].map((name) => ({ name })),
+      security: [{ bearerAuth: [] }],
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        },
+        schemas: { ...responseSchemas, ...schemas },
+      },
+    };
+  }
+
+  return { route, document };
+}
+
+module.exports = { createApiDocs, toJsonSchema };
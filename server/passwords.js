@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with every hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const PREFIX = 'scrypt';
+
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return [PREFIX, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// compare two strings without leaking where they differ
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored) return false;
+  // legacy records saved before hashing was introduced
+  if (!isHashed(stored)) return safeEqual(password, stored);
+
+  const [, n, r, p, salt, key] = stored.split('$');
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function needsRehash(stored) {
+  if (!isHashed(stored)) return true;
+  const [, n, r, p] = stored.split('$');
+  return Number(n) !== SCRYPT_N || Number(r) !== SCRYPT_R || Number(p) !== SCRYPT_P;
+}
+
+// one-time tokens are handed out in clear and only their digest is stored
+function createToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  safeEqual,
+  createToken,
+  hashToken,
+};
@@ -0,0 +1,105 @@
+// Role based permissions for the users API. Roles are data, kept in the
+// `roles` collection and managed through /api/roles; roles.js loads them into
+// the table below (and reloads it after every change) so checks stay
+// synchronous.
+const permissionCatalog = [
+  'users.read',
+  'users.write',
+  'users.delete',
+  'users.admin',
+  'profile.write',
+  'audit.read',
+  'roles.manage',
+  'groups.manage',
+  'fields.manage',
+];
+
+// seeded into an empty store; `admin` always holds the whole catalog
+const defaultRoles = {
+  admin: [...permissionCatalog],
+  manager: ['users.read', 'users.write', 'profile.write'],
+  user: ['users.read', 'profile.write'],
+  viewer: ['users.read'],
+};
+
+// role name -> permissions
+let rolePermissions = { ...defaultRoles };
+
+function setRolePermissions(table) {
+  rolePermissions = table;
+}
+
+function roleNames() {
+  return Object.keys(rolePermissions);
+}
+
+function permissionsOf(role) {
+  return rolePermissions[role] || [];
+}
+
+function hasPermission(actor, permission) {
+  if (!actor) return false;
+  return permissionsOf(actor.role).includes(permission);
+}
+
+// roles whose members count as admins
+function adminRoles() {
+  return roleNames().filter((role) => permissionsOf(role).includes('users.admin'));
+}
+
+// adminCount is the number of active (not deleted) admins
+function isLastAdmin(target, adminCount) {
+  return hasPermission(target, 'users.admin') && adminCount <= 1;
+}
+
+// Roles the actor may hand out on create/update. Without users.admin only
+// roles that grant nothing the actor lacks, so nobody can escalate.
+function assignableRoles(actor) {
+  if (hasPermission(actor, 'users.admin')) return roleNames();
+  if (!hasPermission(actor, 'users.write')) return [];
+  const own = permissionsOf(actor.role);
+  return roleNames().filter((role) => permissionsOf(role).every((permission) => own.includes(permission)));
+}
+
+function canCreateUser(actor, role) {
+  return hasPermission(actor, 'users.write') && assignableRoles(actor).includes(role);
+}
+
+// `managesTarget`: the actor manages a group the target is a member of, which
+// allows editing the target's name and email (never an admin's)
+function canUpdateUser(actor, target, fields, { managesTarget = false } = {}) {
+  const isSelf = actor.id === target.id;
+  const canManageTarget = hasPermission(actor, 'users.write')
+    && (!hasPermission(target, 'users.admin') || hasPermission(actor, 'users.admin'));
+  const asGroupManager = managesTarget && !hasPermission(target, 'users.admin');
+
+  if (!canManageTarget && !(isSelf && hasPermission(actor, 'profile.write')) && !asGroupManager) return false;
+
+  // changing a role always needs users.write, even on your own account
+  if (fields.role !== undefined && fields.role !== target.role) {
+    return canManageTarget && assignableRoles(actor).includes(fields.role);
+  }
+  // your own password only changes through /me/password, which asks for the current one
+  if (fields.password !== undefined && (isSelf || !canManageTarget)) return false;
+  return true;
+}
+
+function canDeleteUser(actor, target) {
+  if (!hasPermission(actor, 'users.delete')) return false;
+  return !hasPermission(target, 'users.admin') || hasPermission(actor, 'users.admin');
+}
+
+module.exports = {
+  permissionCatalog,
+  defaultRoles,
+  setRolePermissions,
+  roleNames,
+  permissionsOf,
+  hasPermission,
+  adminRoles,
+  isLastAdmin,
+  assignableRoles,
+  canCreateUser,
+  canUpdateUser,
+  canDeleteUser,
+};
@@ -0,0 +1,18 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Gives every request an id and sends it back as X-Request-Id. An id set by a
+// proxy in front of the server is kept, so both logs line up. Log entries and
+// error bodies carry it too, so a user's report can be matched to the log.
+const HEADER = 'X-Request-Id';
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get(HEADER);
+    req.id = incoming && VALID_ID.test(incoming) ? incoming : uuidv4();
+    res.set(HEADER, req.id);
+    next();
+  };
+}
+
+module.exports = { requestId, REQUEST_ID_HEADER: HEADER };
@@ -0,0 +1,78 @@
+const { permissionCatalog, defaultRoles, setRolePermissions } = require('./permissions');
+
+// Named roles with their permissions, stored in the `roles` collection with
+// the role name as id. Users refer to a role by name, so names never change.
+// Every write reloads the permission table in permissions.js.
+const COLLECTION = 'roles';
+
+// the role nobody can delete or take permissions away from
+const ADMIN_ROLE = 'admin';
+
+// admin holds the whole catalog, including permissions added after it was
+// stored; permissions no longer in the catalog are dropped
+function effectivePermissions(record) {
+  if (record.id === ADMIN_ROLE) return [...permissionCatalog];
+  return record.permissions.filter((permission) => permissionCatalog.includes(permission));
+}
+
+function toRole(record) {
+  return {
+    name: record.id,
+    description: record.description || '',
+    permissions: effectivePermissions(record),
+    builtIn: Boolean(record.builtIn),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+function createRoleService({ storage }) {
+  async function list() {
+    const { items } = await storage.query(COLLECTION, { sort: { field: 'createdAt', direction: 'asc' } });
+    return items.map(toRole);
+  }
+
+  async function sync() {
+    const roles = await list();
+    setRolePermissions(Object.fromEntries(roles.map((role) => [role.name, role.permissions])));
+    return roles;
+  }
+
+  // seeds the built-in roles into an empty store, then loads the table
+  async function load() {
+    if ((await storage.count(COLLECTION)) === 0) {
+      const now = Date.now();
+      for (const [index, [name, permissions]] of Object.entries(defaultRoles).entries()) {
+        await storage.create(COLLECTION, { id: name, permissions, builtIn: true, createdAt: now + index });
+      }
+    }
+    return sync();
+  }
+
+  async function find(name) {
+    const record = await storage.find(COLLECTION, name);
+    return record ? toRole(record) : null;
+  }
+
+  async function create({ name, description, permissions }) {
+    await storage.create(COLLECTION, { id: name, description, permissions, createdAt: Date.now() });
+    await sync();
+    return find(name);
+  }
+
+  async function update(name, changes) {
+    await storage.update(COLLECTION, name, { ...changes, updatedAt: Date.now() });
+    await sync();
+    return find(name);
+  }
+
+  async function remove(name) {
+    const removed = await storage.delete(COLLECTION, name);
+    await sync();
+    return removed ? toRole(removed) : null;
+  }
+
+  return { load, list, find, create, update, remove };
+}
+
+module.exports = { createRoleService, ADMIN_ROLE };
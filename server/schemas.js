@@ -0,0 +1,24 @@
+const { z } = require('zod');
+const { createSchemas, CUSTOM_FIELD_TYPES, RESERVED_FIELD_KEYS } = require('../shared/schemas.mjs');
+const { roleNames } = require('./permissions');
+
+// The request schemas from shared/schemas.mjs, which the client validates its
+// forms with too, plus the checks only the server can make.
+const shared = createSchemas(z);
+
+// checked against the live list of roles, see roles.js
+const roleSchema = shared.roleSchema.refine((role) => roleNames().includes(role), 'Unknown role');
+
+const createUserSchema = shared.createUserSchema.extend({ role: roleSchema.default('user') });
+const inviteUserSchema = shared.inviteUserSchema.extend({ role: roleSchema.default('user') });
+const updateUserSchema = shared.updateUserSchema.extend({ role: roleSchema.optional() });
+
+module.exports = {
+  ...shared,
+  roleSchema,
+  createUserSchema,
+  inviteUserSchema,
+  updateUserSchema,
+  CUSTOM_FIELD_TYPES,
+  RESERVED_FIELD_KEYS,
+};
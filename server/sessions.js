@@ -0,0 +1,182 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { createToken, hashToken, safeEqual } = require('./passwords');
+
+// A session is created at login and lives until logout, revocation or the
+// refresh token expiring. Access tokens are short-lived JWTs that name their
+// session, so revoking it takes effect on the very next request.
+//
+// Refresh tokens look like `<sessionId>.<secret>` and rotate on every use.
+// The session stores the hash of the latest secret and those of the last few
+// it replaced. Presenting one of the replaced secrets means the token was
+// copied, so the whole session is revoked; a secret it never issued is only
+// refused, since the session id alone is no secret (access tokens name it).
+//
+// Accounts with two-factor authentication first get a challenge token: a JWT
+// without a session that is only good for finishing the sign-in.
+//
+// An admin impersonating someone gets an access token for that user which also
+// names the admin and the admin's own session. It cannot be refreshed, and it
+// stops working with the admin's session or when the impersonation is ended;
+// impersonations are kept in their own collection for that.
+const CHALLENGE_TTL = '5m';
+// rotated-out secrets remembered per session for reuse detection
+const RETIRED_SECRETS = 50;
+
+function createSessionService({ storage, jwtSecret, accessTokenTtl, refreshTokenTtlMs, impersonationTtlMs }) {
+  function signAccessToken(session) {
+    return jwt.sign({ userId: session.userId, sid: session.id }, jwtSecret, { expiresIn: accessTokenTtl });
+  }
+
+  function issue(session, secret) {
+    return {
+      session,
+      accessToken: signAccessToken(session),
+      refreshToken: `${session.id}.${secret}`,
+    };
+  }
+
+  async function createSession(user, { userAgent, ip } = {}) {
+    const now = Date.now();
+    const secret = createToken();
+    const session = await storage.create('sessions', {
+      id: uuidv4(),
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: now + refreshTokenTtlMs,
+      revokedAt: null,
+      userAgent: userAgent || null,
+      ip: ip || null,
+    });
+    return issue(session, secret);
+  }
+
+  // Resolves to new tokens, or null when the refresh token is not usable.
+  async function refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) return null;
+    const session = await storage.find('sessions', sessionId);
+    if (!session || session.revokedAt || session.expiresAt < Date.now()) return null;
+
+    const hash = hashToken(secret);
+    const retired = session.retiredRefreshTokenHashes || [];
+    if (!safeEqual(hash, session.refreshTokenHash)) {
+      // reuse of a rotated token; anything else is just a wrong guess
+      if (retired.some((old) => safeEqual(hash, old))) {
+        await revokeSession(session.id, 'refresh token reuse');
+      }
+      return null;
+    }
+
+    const nextSecret = createToken();
+    const updated = await storage.update('sessions', session.id, {
+      refreshTokenHash: hashToken(nextSecret),
+      retiredRefreshTokenHashes: [...retired, session.refreshTokenHash].slice(-RETIRED_SECRETS),
+      lastUsedAt: Date.now(),
+    });
+    return issue(updated, nextSecret);
+  }
+
+  // Resolves to the JWT payload when the token is valid and its session live.
+  async function verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret);
+    } catch {
+      return null;
+    }
+    if (payload.purpose) return null;
+    const session = payload.sid ? await storage.find('sessions', payload.sid) : null;
+    const owner = payload.impersonatorId || payload.userId;
+    if (!session || session.revokedAt || session.userId !== owner) return null;
+    if (payload.impersonatorId) {
+      const impersonation = payload.jti ? await storage.find('impersonations', payload.jti) : null;
+      if (!impersonation || impersonation.endedAt) return null;
+    }
+    return { payload, session };
+  }
+
+  // `sessionId` is the admin's own; resolves to the token, the id of the
+  // impersonation and when it expires
+  async function createImpersonation(user, impersonator, sessionId) {
+    await pruneImpersonations(impersonator.id);
+    const id = uuidv4();
+    const token = jwt.sign({ userId: user.id, sid: sessionId, impersonatorId: impersonator.id }, jwtSecret, {
+      expiresIn: Math.floor(impersonationTtlMs / 1000),
+      jwtid: id,
+    });
+    const expiresAt = jwt.decode(token).exp * 1000;
+    await storage.create('impersonations', {
+      id,
+      userId: user.id,
+      impersonatorId: impersonator.id,
+      sessionId,
+      createdAt: Date.now(),
+      expiresAt,
+      endedAt: null,
+    });
+    return { id, token, expiresAt };
+  }
+
+  async function endImpersonation(id) {
+    return storage.update('impersonations', id, { endedAt: Date.now() });
+  }
+
+  // once expired the token is refused anyway
+  async function pruneImpersonations(impersonatorId) {
+    const { items } = await storage.query('impersonations', {
+      where: { impersonatorId, expiresAt: { lt: Date.now() } },
+    });
+    await Promise.all(items.map((i) => storage.delete('impersonations', i.id)));
+  }
+
+  function createChallengeToken(user) {
+    return jwt.sign({ userId: user.id, purpose: 'two_factor' }, jwtSecret, { expiresIn: CHALLENGE_TTL });
+  }
+
+  // the user id the challenge was issued for, or null
+  function verifyChallengeToken(token) {
+    try {
+      const payload = jwt.verify(String(token || ''), jwtSecret);
+      return payload.purpose === 'two_factor' ? payload.userId : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function revokeSession(sessionId, reason = 'logout') {
+    return storage.update('sessions', sessionId, { revokedAt: Date.now(), revokedReason: reason });
+  }
+
+  async function revokeUserSessions(userId, { reason, exceptSessionId } = {}) {
+    const { items } = await storage.query('sessions', { where: { userId, revokedAt: null } });
+    const targets = items.filter((s) => s.id !== exceptSessionId);
+    await Promise.all(targets.map((s) => revokeSession(s.id, reason)));
+    return targets.length;
+  }
+
+  // expired or revoked sessions are only kept around for reuse detection
+  async function pruneUserSessions(userId) {
+    const { items } = await storage.query('sessions', { where: { userId } });
+    const now = Date.now();
+    const stale = items.filter((s) => s.expiresAt < now);
+    await Promise.all(stale.map((s) => storage.delete('sessions', s.id)));
+  }
+
+  return {
+    createSession,
+    refresh,
+    verifyAccessToken,
+    createImpersonation,
+    endImpersonation,
+    createChallengeToken,
+    verifyChallengeToken,
+    revokeSession,
+    revokeUserSessions,
+    pruneUserSessions,
+  };
+}
+
+module.exports = { createSessionService };
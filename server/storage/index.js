@@ -0,0 +1,40 @@
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createJsonFileStore } = require('./jsonFile');
+const { createSqliteStore } = require('./sqlite');
+
+// Every backend implements the same async interface:
+//   list(collection), find(collection, id), findBy(collection, field, value),
+//   query(collection, options), count(collection), create(collection, record),
+//   update(collection, id, changes), delete(collection, id), ping(), close()
+// `update` and `delete` resolve to null when the record does not exist.
+// `ping` rejects when the backend cannot serve requests, for health checks.
+//
+// `query` options, all optional:
+//   where:  { field: value | [values] | { ne, gt, gte, lt, lte } },
+//           null matches a missing field, { ne: null } a present one
+//   search: { text, fields: [...] }, case-insensitive substring on any field
+//   sort:   { field, direction: 'asc' | 'desc' }, ties broken by id
+//   offset, limit
+// and resolves to { items, total } where total ignores offset/limit.
+function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'memory').toLowerCase();
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'json':
+      return createJsonFileStore({
+        filePath: path.resolve(env.STORAGE_PATH || path.join(__dirname, '..', 'data', 'db.json')),
+      });
+    case 'sqlite':
+      return createSqliteStore({
+        filePath: env.STORAGE_PATH === ':memory:'
+          ? ':memory:'
+          : path.resolve(env.STORAGE_PATH || path.join(__dirname, '..', 'data', 'db.sqlite')),
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected memory, json or sqlite)`);
+  }
+}
+
+module.exports = { createStorage };
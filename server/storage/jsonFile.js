@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+const FILE_VERSION = 1;
+
+function readFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const raw = fs.readFileSync(filePath, 'utf8');
+  if (!raw.trim()) return {};
+  const parsed = JSON.parse(raw);
+  return parsed.collections || {};
+}
+
+// write to a temp file in the same directory, fsync, then rename over the
+// original so a crash never leaves a half-written file behind
+async function writeAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.promises.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(contents, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+// Loads the whole file into memory at startup and rewrites it after every
+// mutation. Fine for the few thousand records this app is meant for.
+function createJsonFileStore({ filePath }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const memory = createMemoryStore(readFile(filePath));
+  let pending = Promise.resolve();
+
+  function persist() {
+    const contents = JSON.stringify({ version: FILE_VERSION, collections: memory.snapshot() }, null, 2);
+    // chain writes so they land in the order the mutations happened
+    pending = pending.catch(() => {}).then(() => writeAtomic(filePath, contents));
+    return pending;
+  }
+
+  function mutating(method) {
+    return async (...args) => {
+      const result = await memory[method](...args);
+      if (result !== null) await persist();
+      return result;
+    };
+  }
+
+  return {
+    driver: 'json',
+    list: memory.list,
+    find: memory.find,
+    findBy: memory.findBy,
+    query: memory.query,
+    count: memory.count,
+    create: mutating('create'),
+    update: mutating('update'),
+    delete: mutating('delete'),
+    // reads come from memory, so what can fail is writing the next change
+    async ping() {
+      await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+    },
+    async close() {
+      await pending.catch(() => {});
+    },
+  };
+}
+
+module.exports = { createJsonFileStore };
@@ -0,0 +1,90 @@
+const { getPath, clone, queryRecords } = require('./utils');
+
+// Keeps every collection in a Map. Data is lost on restart, which makes it
+// the right choice for tests and throwaway demos.
+function createMemoryStore(initial = {}) {
+  const collections = new Map();
+
+  function collection(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  for (const [name, records] of Object.entries(initial)) {
+    for (const record of records) collection(name).set(record.id, clone(record));
+  }
+
+  return {
+    driver: 'memory',
+
+    async list(name) {
+      return [...collection(name).values()].map(clone);
+    },
+
+    async find(name, id) {
+      const record = collection(name).get(id);
+      return record ? clone(record) : null;
+    },
+
+    async findBy(name, field, value) {
+      for (const record of collection(name).values()) {
+        if (getPath(record, field) === value) return clone(record);
+      }
+      return null;
+    },
+
+    async query(name, options) {
+      const { items, total } = queryRecords([...collection(name).values()], options);
+      return { items: items.map(clone), total };
+    },
+
+    async count(name) {
+      return collection(name).size;
+    },
+
+    async create(name, record) {
+      if (collection(name).has(record.id)) throw new Error(`Duplicate id in ${name}: ${record.id}`);
+      collection(name).set(record.id, clone(record));
+      return clone(record);
+    },
+
+    async update(name, id, changes) {
+      const current = collection(name).get(id);
+      if (!current) return null;
+      const next = applyChanges(current, changes);
+      collection(name).set(id, next);
+      return clone(next);
+    },
+
+    async delete(name, id) {
+      const current = collection(name).get(id);
+      if (!current) return null;
+      collection(name).delete(id);
+      return clone(current);
+    },
+
+    // used by the JSON file store to persist a snapshot
+    snapshot() {
+      const out = {};
+      for (const [name, records] of collections) out[name] = [...records.values()].map(clone);
+      return out;
+    },
+
+    async ping() {},
+
+    async close() {},
+  };
+}
+
+// shallow merge where `undefined` removes a key
+function applyChanges(current, changes) {
+  const next = { ...current };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) delete next[key];
+    else next[key] = clone(value);
+  }
+  next.id = current.id;
+  return next;
+}
+
+module.exports = { createMemoryStore, applyChanges };
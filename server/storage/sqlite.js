@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./sqliteMigrations');
+const { assertField, isOperatorObject } = require('./utils');
+const { applyChanges } = require('./memory');
+
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    );
+  `);
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map((r) => r.version));
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+    db.transaction(() => {
+      db.exec(migration.up);
+      record.run(migration.version, migration.name, Date.now());
+    })();
+  }
+}
+
+const toParam = (value) => (typeof value === 'boolean' ? Number(value) : value);
+
+const sqlOperators = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function buildWhere(name, { where = {}, search } = {}) {
+  const clauses = ['collection = ?'];
+  const params = [name];
+  for (const [field, expected] of Object.entries(where)) {
+    assertField(field);
+    const column = `json_extract(data, '$.${field}')`;
+    if (Array.isArray(expected)) {
+      if (expected.length === 0) {
+        clauses.push('0');
+      } else {
+        clauses.push(`${column} IN (${expected.map(() => '?').join(', ')})`);
+        params.push(...expected.map(toParam));
+      }
+    } else if (isOperatorObject(expected)) {
+      for (const [op, operand] of Object.entries(expected)) {
+        if (op === 'ne') {
+          clauses.push(`${column} IS NOT ?`);
+        } else if (sqlOperators[op]) {
+          clauses.push(`${column} ${sqlOperators[op]} ?`);
+        } else {
+          throw new Error(`Unknown query operator: ${op}`);
+        }
+        params.push(toParam(operand));
+      }
+    } else {
+      clauses.push(`${column} IS ?`);
+      params.push(toParam(expected));
+    }
+  }
+  if (search?.text) {
+    const pattern = `%${search.text.toLowerCase().replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+    const parts = search.fields.map((field) => {
+      assertField(field);
+      params.push(pattern);
+      return `LOWER(json_extract(data, '$.${field}')) LIKE ? ESCAPE '\\'`;
+    });
+    clauses.push(`(${parts.join(' OR ')})`);
+  }
+  return { clause: clauses.join(' AND '), params };
+}
+
+// Records are stored as JSON documents keyed by collection and id; lookups on
+// other fields go through json_extract.
+function createSqliteStore({ filePath }) {
+  // optional dependency, only needed when this backend is selected
+  const Database = require('better-sqlite3');
+  if (filePath !== ':memory:') fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  const statements = {
+    list: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+    find: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS total FROM records WHERE collection = ?'),
+    insert: db.prepare('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'),
+    update: db.prepare('UPDATE records SET data = ? WHERE collection = ? AND id = ?'),
+    delete: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+  };
+
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  const updateRecord = db.transaction((name, id, changes) => {
+    const current = parse(statements.find.get(name, id));
+    if (!current) return null;
+    const next = applyChanges(current, changes);
+    statements.update.run(JSON.stringify(next), name, id);
+    return next;
+  });
+
+  const deleteRecord = db.transaction((name, id) => {
+    const current = parse(statements.find.get(name, id));
+    if (current) statements.delete.run(name, id);
+    return current;
+  });
+
+  return {
+    driver: 'sqlite',
+
+    async list(name) {
+      return statements.list.all(name).map(parse);
+    },
+
+    async find(name, id) {
+      return parse(statements.find.get(name, id));
+    },
+
+    async findBy(name, field, value) {
+      assertField(field);
+      // json_extract yields 1/0 for JSON booleans
+      const row = db
+        .prepare('SELECT data FROM records WHERE collection = ? AND json_extract(data, ?) IS ? ORDER BY rowid LIMIT 1')
+        .get(name, `$.${field}`, toParam(value));
+      return parse(row);
+    },
+
+    async query(name, options = {}) {
+      const { clause, params } = buildWhere(name, options);
+      const total = db.prepare(`SELECT COUNT(*) AS total FROM records WHERE ${clause}`).get(...params).total;
+
+      let sql = `SELECT data FROM records WHERE ${clause}`;
+      if (options.sort) {
+        assertField(options.sort.field);
+        const direction = options.sort.direction === 'desc' ? 'DESC' : 'ASC';
+        // NULLs sort first in SQLite, matching the in-memory backends
+        sql += ` ORDER BY json_extract(data, '$.${options.sort.field}') COLLATE NOCASE ${direction}, id ${direction}`;
+      } else {
+        sql += ' ORDER BY rowid';
+      }
+      const pageParams = [];
+      if (options.limit !== undefined || options.offset) {
+        sql += ' LIMIT ? OFFSET ?';
+        pageParams.push(options.limit ?? -1, options.offset ?? 0);
+      }
+      const items = db.prepare(sql).all(...params, ...pageParams).map(parse);
+      return { items, total };
+    },
+
+    async count(name) {
+      return statements.count.get(name).total;
+    },
+
+    async create(name, record) {
+      statements.insert.run(name, record.id, JSON.stringify(record));
+      return structuredClone(record);
+    },
+
+    async update(name, id, changes) {
+      return updateRecord(name, id, changes);
+    },
+
+    async delete(name, id) {
+      return deleteRecord(name, id);
+    },
+
+    async ping() {
+      db.prepare('SELECT 1').get();
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStore, migrate };
@@ -0,0 +1,25 @@
+// Applied in order and recorded in schema_migrations. Never edit a migration
+// that has shipped; add a new one instead.
+module.exports = [
+  {
+    version: 1,
+    name: 'create records',
+    up: `
+      CREATE TABLE records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: 'index user emails',
+    up: `
+      CREATE INDEX records_users_email
+        ON records (json_extract(data, '$.email'))
+        WHERE collection = 'users';
+    `,
+  },
+];
@@ -0,0 +1,79 @@
+// Field paths are dotted, e.g. "passwordReset.tokenHash".
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+function assertField(field) {
+  if (!FIELD_PATTERN.test(field)) throw new Error(`Invalid field path: ${field}`);
+}
+
+function getPath(record, field) {
+  assertField(field);
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// Shared comparison used when a backend sorts in JavaScript. Strings compare
+// case-insensitively like SQLite's NOCASE, missing values sort first.
+function compareValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a === 'string' && typeof b === 'string') {
+    const la = a.toLowerCase();
+    const lb = b.toLowerCase();
+    if (la < lb) return -1;
+    return la > lb ? 1 : 0;
+  }
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+const operators = {
+  ne: (value, operand) => (operand === null ? value != null : value !== operand),
+  gt: (value, operand) => value != null && value > operand,
+  gte: (value, operand) => value != null && value >= operand,
+  lt: (value, operand) => value != null && value < operand,
+  lte: (value, operand) => value != null && value <= operand,
+};
+
+function isOperatorObject(expected) {
+  return expected !== null && typeof expected === 'object' && !Array.isArray(expected);
+}
+
+function matchesWhere(record, where = {}) {
+  return Object.entries(where).every(([field, expected]) => {
+    const value = getPath(record, field);
+    if (Array.isArray(expected)) return expected.includes(value);
+    if (expected === null) return value == null;
+    if (isOperatorObject(expected)) {
+      return Object.entries(expected).every(([op, operand]) => {
+        if (!operators[op]) throw new Error(`Unknown query operator: ${op}`);
+        return operators[op](value, operand);
+      });
+    }
+    return value === expected;
+  });
+}
+
+function matchesSearch(record, search) {
+  if (!search?.text) return true;
+  const needle = search.text.toLowerCase();
+  return search.fields.some((field) => String(getPath(record, field) ?? '').toLowerCase().includes(needle));
+}
+
+// In-memory implementation of `query`, see storage/index.js for the options.
+function queryRecords(records, { where, search, sort, offset = 0, limit } = {}) {
+  const matched = records.filter((r) => matchesWhere(r, where) && matchesSearch(r, search));
+  if (sort) {
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    matched.sort((a, b) => (
+      direction * (compareValues(getPath(a, sort.field), getPath(b, sort.field)) || compareValues(a.id, b.id))
+    ));
+  }
+  const end = limit === undefined ? undefined : offset + limit;
+  return { items: matched.slice(offset, end), total: matched.length };
+}
+
+module.exports = { assertField, getPath, clone, isOperatorObject, queryRecords };
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./server');
+
+describe('Idempotency-Key', () => {
+  let server;
+  let adminToken;
+  let dir;
+  let storePath;
+
+  before(async () => {
+    // the JSON store, to see what ends up on disk
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crud-idempotency-'));
+    storePath = path.join(dir, 'db.json');
+    server = await startServer({ STORAGE_DRIVER: 'json', STORAGE_PATH: storePath });
+    adminToken = await server.login('demo@example.com');
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function storedKeys() {
+    return Object.values(JSON.parse(fs.readFileSync(storePath, 'utf8')).collections.idempotencyKeys || {});
+  }
+
+  it('replays an ordinary write', async () => {
+    const target = await server.findUser(adminToken, 'user4@example.com');
+    const send = () => server.request('DELETE', `/users/${target.id}/lockout`, {
+      token: adminToken,
+      headers: { 'Idempotency-Key': 'unlock-1' },
+    });
+    const first = await send();
+    const repeat = await send();
+    assert.equal(repeat.status, first.status);
+    assert.equal(repeat.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+  });
+
+  it('never stores or replays a password reset token', async () => {
+    const target = await server.findUser(adminToken, 'user5@example.com');
+    const send = () => server.request('POST', `/users/${target.id}/password-reset`, {
+      token: adminToken,
+      headers: { 'Idempotency-Key': 'reset-1' },
+    });
+    const first = await send();
+    assert.equal(first.status, 201);
+    const repeat = await send();
+    assert.equal(repeat.status, 409);
+    assert.equal(repeat.body.code, 'idempotent_response_withheld');
+    assert.ok(!fs.readFileSync(storePath, 'utf8').includes(first.body.token));
+  });
+
+  it('withholds the tokens of a bulk forced reset', async () => {
+    const target = await server.findUser(adminToken, 'user6@example.com');
+    const send = () => server.request('POST', '/users/bulk', {
+      token: adminToken,
+      headers: { 'Idempotency-Key': 'bulk-reset-1' },
+      body: { action: 'force_password_reset', ids: [target.id] },
+    });
+    const first = await send();
+    assert.equal(first.status, 200);
+    const { token } = first.body.results[0];
+    assert.ok(token);
+    const repeat = await send();
+    assert.equal(repeat.status, 409);
+    assert.ok(!fs.readFileSync(storePath, 'utf8').includes(token));
+    assert.ok(storedKeys().some((record) => record.response?.withheld));
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('impersonation', () => {
+  let server;
+  let adminToken;
+  let target;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login('demo@example.com');
+    target = await server.findUser(adminToken, 'user3@example.com');
+  });
+
+  after(() => server.stop());
+
+  async function impersonate(id = target.id) {
+    return server.request('POST', `/users/${id}/impersonate`, { token: adminToken });
+  }
+
+  it('is refused for other admins', async () => {
+    const admin = await server.findUser(adminToken, 'demo@example.com');
+    const res = await impersonate(admin.id);
+    assert.equal(res.status, 403);
+  });
+
+  it('acts as the user and names the admin in the audit log', async () => {
+    const { status, body } = await impersonate();
+    assert.equal(status, 201);
+    const me = await server.request('GET', '/me', { token: body.token });
+    assert.equal(me.body.email, 'user3@example.com');
+
+    await server.request('PATCH', '/me', { token: body.token, body: { name: 'User Three' } });
+    const audit = await server.request('GET', '/audit?limit=1', { token: adminToken });
+    const [entry] = audit.body.data;
+    assert.equal(entry.action, 'user.update');
+    assert.equal(entry.actorId, target.id);
+    assert.equal(entry.impersonatorId, body.impersonator.id);
+  });
+
+  it('refuses password and role changes', async () => {
+    const { body } = await impersonate();
+    const password = await server.request('POST', '/me/password', {
+      token: body.token,
+      body: { currentPassword: 'password', newPassword: 'changed1' },
+    });
+    assert.equal(password.status, 403);
+    assert.equal(password.body.code, 'impersonating');
+
+    // a manager may promote users, but not while an admin views as them
+    const manager = await server.findUser(adminToken, 'user1@example.com');
+    const asManager = await impersonate(manager.id);
+    const role = await server.request('PUT', `/users/${target.id}`, {
+      token: asManager.body.token,
+      headers: { 'If-Match': '*' },
+      body: { role: 'manager' },
+    });
+    assert.equal(role.status, 403);
+    assert.equal(role.body.code, 'impersonating');
+
+    const bulk = await server.request('POST', '/users/bulk', {
+      token: asManager.body.token,
+      body: { action: 'role', role: 'manager', ids: [target.id] },
+    });
+    assert.equal(bulk.status, 200);
+    assert.deepEqual(bulk.body.results.map((r) => [r.ok, r.status]), [[false, 403]]);
+    const unchanged = await server.findUser(adminToken, 'user3@example.com');
+    assert.equal(unchanged.role, 'user');
+  });
+
+  it('logging out ends only the impersonation, not the admin session', async () => {
+    const { body } = await impersonate();
+    const logout = await server.request('POST', '/logout', { token: body.token });
+    assert.equal(logout.status, 200);
+
+    const asUser = await server.request('GET', '/me', { token: body.token });
+    assert.equal(asUser.status, 401);
+    const asAdmin = await server.request('GET', '/me', { token: adminToken });
+    assert.equal(asAdmin.status, 200);
+    assert.equal(asAdmin.body.email, 'demo@example.com');
+  });
+
+  it('ends when the admin logs out', async () => {
+    const { body } = await impersonate();
+    await server.request('POST', '/logout', { token: adminToken });
+    const asUser = await server.request('GET', '/me', { token: body.token });
+    assert.equal(asUser.status, 401);
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact } = require('../logger');
+
+describe('redact', () => {
+  it('hides passwords, tokens and 2FA codes however deep they sit', () => {
+    const body = {
+      email: 'jane@example.com',
+      password: 'secret1',
+      challengeToken: 'abc',
+      code: '123456',
+      nested: { recoveryCodes: ['a1b2-c3d4'], currentPassword: 'old' },
+    };
+    assert.deepEqual(redact({ body }), {
+      body: {
+        email: 'jane@example.com',
+        password: '[redacted]',
+        challengeToken: '[redacted]',
+        code: '[redacted]',
+        nested: { recoveryCodes: '[redacted]', currentPassword: '[redacted]' },
+      },
+    });
+  });
+
+  it('keeps fields that only contain the word code', () => {
+    assert.deepEqual(redact({ statusCode: 401, errorCode: 'impersonating' }), { statusCode: 401, errorCode: 'impersonating' });
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginThrottle } = require('../loginThrottle');
+const { createMemoryStore } = require('../storage/memory');
+
+const HOUR = 60 * 60 * 1000;
+
+function setup() {
+  const clock = { now: 1_000_000 };
+  const throttle = createLoginThrottle({ storage: createMemoryStore(), now: () => clock.now, resetAfterMs: HOUR });
+  return { clock, throttle };
+}
+
+describe('login throttle', () => {
+  it('starts a stale counter over instead of failing on it', async () => {
+    const { clock, throttle } = setup();
+    const attempt = { ip: '10.0.0.1', email: 'jane@example.com' };
+    await throttle.recordFailure(attempt);
+
+    clock.now += HOUR + 60 * 1000;
+    await throttle.recordFailure(attempt);
+    const result = await throttle.recordFailure(attempt);
+
+    assert.equal(result.locked, false);
+    // the two failures after the reset are free, the old one no longer counts
+    assert.equal(result.retryAfterMs, 0);
+  });
+
+  it('keeps counting failures within the reset window', async () => {
+    const { throttle } = setup();
+    const attempt = { ip: '10.0.0.1', email: 'jane@example.com' };
+    let result;
+    for (let i = 0; i < 4; i += 1) result = await throttle.recordFailure(attempt);
+    assert.ok(result.retryAfterMs > 0);
+  });
+});
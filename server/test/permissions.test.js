@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  canCreateUser,
+  canUpdateUser,
+  canDeleteUser,
+  isLastAdmin,
+  defaultRoles,
+  setRolePermissions,
+} = require('../permissions');
+
+// the default roles: admin holds everything, manager users.read/write and
+// profile.write, user users.read and profile.write, viewer only users.read
+const admin = { id: 'a1', role: 'admin' };
+const otherAdmin = { id: 'a2', role: 'admin' };
+const manager = { id: 'm1', role: 'manager' };
+const user = { id: 'u1', role: 'user' };
+const otherUser = { id: 'u2', role: 'user' };
+const viewer = { id: 'v1', role: 'viewer' };
+
+describe('canCreateUser', () => {
+  it('lets admins create any role', () => {
+    assert.equal(canCreateUser(admin, 'admin'), true);
+    assert.equal(canCreateUser(admin, 'viewer'), true);
+  });
+
+  it('limits users.write to roles that grant nothing more than the actor has', () => {
+    assert.equal(canCreateUser(manager, 'user'), true);
+    assert.equal(canCreateUser(manager, 'manager'), true);
+    assert.equal(canCreateUser(manager, 'admin'), false);
+  });
+
+  it('refuses actors without users.write', () => {
+    assert.equal(canCreateUser(user, 'user'), false);
+    assert.equal(canCreateUser(viewer, 'viewer'), false);
+  });
+});
+
+describe('canUpdateUser', () => {
+  it('lets admins change anyone, other admins included', () => {
+    assert.equal(canUpdateUser(admin, otherAdmin, { name: 'New' }), true);
+    assert.equal(canUpdateUser(admin, user, { role: 'manager', password: 'secret1' }), true);
+  });
+
+  it('keeps users.write away from admins', () => {
+    assert.equal(canUpdateUser(manager, otherUser, { name: 'New' }), true);
+    assert.equal(canUpdateUser(manager, admin, { name: 'New' }), false);
+    assert.equal(canUpdateUser(manager, otherUser, { role: 'admin' }), false);
+  });
+
+  it('lets users edit their own profile but not their role', () => {
+    assert.equal(canUpdateUser(user, user, { name: 'New' }), true);
+    assert.equal(canUpdateUser(user, user, { role: 'user' }), true);
+    assert.equal(canUpdateUser(user, user, { role: 'manager' }), false);
+    assert.equal(canUpdateUser(user, otherUser, { name: 'New' }), false);
+  });
+
+  it('never sets your own password, that needs the current one', () => {
+    assert.equal(canUpdateUser(user, user, { password: 'hijacked1' }), false);
+    assert.equal(canUpdateUser(admin, admin, { password: 'hijacked1' }), false);
+    assert.equal(canUpdateUser(manager, otherUser, { password: 'secret1' }), true);
+  });
+
+  it('lets group managers edit their members, except admins and passwords', () => {
+    assert.equal(canUpdateUser(user, otherUser, { name: 'New' }, { managesTarget: true }), true);
+    assert.equal(canUpdateUser(user, otherUser, { password: 'secret1' }, { managesTarget: true }), false);
+    assert.equal(canUpdateUser(user, otherUser, { role: 'viewer' }, { managesTarget: true }), false);
+    assert.equal(canUpdateUser(user, admin, { name: 'New' }, { managesTarget: true }), false);
+  });
+});
+
+describe('canDeleteUser', () => {
+  // a role with users.delete but without users.admin
+  const moderator = { id: 'd1', role: 'moderator' };
+  before(() => setRolePermissions({ ...defaultRoles, moderator: ['users.read', 'users.delete'] }));
+  after(() => setRolePermissions({ ...defaultRoles }));
+
+  it('needs users.delete', () => {
+    assert.equal(canDeleteUser(manager, otherUser), false);
+    assert.equal(canDeleteUser(moderator, otherUser), true);
+    assert.equal(canDeleteUser(admin, user), true);
+  });
+
+  it('lets only admins delete admins', () => {
+    assert.equal(canDeleteUser(admin, otherAdmin), true);
+    assert.equal(canDeleteUser(moderator, admin), false);
+  });
+});
+
+describe('isLastAdmin', () => {
+  it('is true for the only admin', () => {
+    assert.equal(isLastAdmin(admin, 1), true);
+    assert.equal(isLastAdmin(admin, 0), true);
+  });
+
+  it('is false with other admins around, or for non-admins', () => {
+    assert.equal(isLastAdmin(admin, 2), false);
+    assert.equal(isLastAdmin(user, 1), false);
+  });
+});
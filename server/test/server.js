@@ -0,0 +1,100 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+// Starts index.js on a free port with in-memory storage and the seeded users
+// (demo@example.com as admin, user1..7@example.com), all with PASSWORD.
+const PASSWORD = 'password';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitUntilReady(baseUrl, child) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    if (child.exitCode !== null) throw new Error(`The server exited with ${child.exitCode}`);
+    try {
+      const res = await fetch(`${baseUrl}/readyz`);
+      if (res.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('The server did not become ready');
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_DRIVER: 'memory',
+      MAIL_DRIVER: 'console',
+      LOG_LEVEL: 'error',
+      SEED_ADMIN_PASSWORD: PASSWORD,
+      ...env,
+    },
+    stdio: 'ignore',
+  });
+  const baseUrl = `http://localhost:${port}`;
+  try {
+    await waitUntilReady(baseUrl, child);
+  } catch (err) {
+    child.kill();
+    throw err;
+  }
+
+  // resolves to { status, headers, body } with the body parsed when it is JSON
+  async function request(method, apiPath, { token, body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}/api/v1${apiPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // not JSON
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  async function login(email, password = PASSWORD) {
+    const res = await request('POST', '/login', { body: { email, password } });
+    if (res.status !== 200) throw new Error(`Signing in as ${email} answered ${res.status}`);
+    return res.body.token;
+  }
+
+  // the seeded user with `email`, as the admin sees it
+  async function findUser(adminToken, email) {
+    const res = await request('GET', `/users?q=${encodeURIComponent(email)}`, { token: adminToken });
+    return res.body.data.find((u) => u.email === email);
+  }
+
+  function stop() {
+    return new Promise((resolve) => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', () => resolve());
+      child.kill();
+    });
+  }
+
+  return { baseUrl, request, login, findUser, stop };
+}
+
+module.exports = { startServer, PASSWORD };
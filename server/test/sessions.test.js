@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionService } = require('../sessions');
+const { createMemoryStore } = require('../storage/memory');
+
+function setup() {
+  const storage = createMemoryStore();
+  const sessions = createSessionService({
+    storage,
+    jwtSecret: 'test-secret',
+    accessTokenTtl: '15m',
+    refreshTokenTtlMs: 60 * 60 * 1000,
+    impersonationTtlMs: 60 * 1000,
+  });
+  return { storage, sessions };
+}
+
+describe('refresh tokens', () => {
+  it('rotate on every use', async () => {
+    const { sessions } = setup();
+    const first = await sessions.createSession({ id: 'u1' });
+    const second = await sessions.refresh(first.refreshToken);
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.ok(await sessions.refresh(second.refreshToken));
+  });
+
+  it('revoke the session when a rotated-out token comes back', async () => {
+    const { storage, sessions } = setup();
+    const first = await sessions.createSession({ id: 'u1' });
+    const second = await sessions.refresh(first.refreshToken);
+
+    assert.equal(await sessions.refresh(first.refreshToken), null);
+    assert.equal(await sessions.refresh(second.refreshToken), null);
+    const stored = await storage.find('sessions', first.session.id);
+    assert.equal(stored.revokedReason, 'refresh token reuse');
+  });
+
+  it('refuse a secret the session never issued without revoking it', async () => {
+    const { storage, sessions } = setup();
+    const issued = await sessions.createSession({ id: 'u1' });
+
+    assert.equal(await sessions.refresh(`${issued.session.id}.bogus`), null);
+    const stored = await storage.find('sessions', issued.session.id);
+    assert.equal(stored.revokedAt, null);
+    assert.ok(await sessions.verifyAccessToken(issued.accessToken));
+    assert.ok(await sessions.refresh(issued.refreshToken));
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('users API permissions', () => {
+  let server;
+  let adminToken;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login('demo@example.com');
+    admin = await server.findUser(adminToken, 'demo@example.com');
+  });
+
+  after(() => server.stop());
+
+  it('refuses to create users without users.write', async () => {
+    // user2 is a viewer
+    const token = await server.login('user2@example.com');
+    const res = await server.request('POST', '/users', {
+      token,
+      body: { name: 'Nope', email: 'nope@example.com', role: 'user', password: 'secret1' },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it('refuses roles above the actor', async () => {
+    // user1 is a manager
+    const token = await server.login('user1@example.com');
+    const res = await server.request('POST', '/users', {
+      token,
+      body: { name: 'Escalated', email: 'escalated@example.com', role: 'admin', password: 'secret1' },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it('keeps managers from editing admins', async () => {
+    const token = await server.login('user1@example.com');
+    const res = await server.request('PUT', `/users/${admin.id}`, {
+      token,
+      headers: { 'If-Match': '*' },
+      body: { name: 'Renamed Admin' },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it('refuses deletes without users.delete', async () => {
+    const token = await server.login('user1@example.com');
+    const target = await server.findUser(adminToken, 'user3@example.com');
+    const res = await server.request('DELETE', `/users/${target.id}`, { token, headers: { 'If-Match': '*' } });
+    assert.equal(res.status, 403);
+  });
+
+  it('does not set your own password without the current one', async () => {
+    const token = await server.login('user3@example.com');
+    const me = await server.request('GET', '/me', { token });
+    const res = await server.request('PUT', `/users/${me.body.id}`, {
+      token,
+      headers: { 'If-Match': '*' },
+      body: { password: 'hijacked1' },
+    });
+    assert.equal(res.status, 403);
+    await assert.rejects(server.login('user3@example.com', 'hijacked1'));
+  });
+
+  it('does not demote the last admin', async () => {
+    const res = await server.request('PUT', `/users/${admin.id}`, {
+      token: adminToken,
+      headers: { 'If-Match': '*' },
+      body: { role: 'user' },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.detail, 'Cannot demote the last admin');
+  });
+
+  it('does not delete the last admin', async () => {
+    const res = await server.request('DELETE', `/users/${admin.id}`, {
+      token: adminToken,
+      headers: { 'If-Match': '*' },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.detail, 'Cannot delete the last admin');
+  });
+});
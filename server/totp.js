@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { createToken, hashToken, safeEqual } = require('./passwords');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// steps either side of now that are still accepted, for clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Resolves to the matching time step, or null. Steps at or before
+// `lastUsedStep` are refused so a code cannot be replayed.
+function verifyTotp(secret, code, { lastUsedStep = -1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const step = currentStep(now);
+  for (let candidate = step - WINDOW; candidate <= step + WINDOW; candidate += 1) {
+    if (candidate > lastUsedStep && safeEqual(hotp(secret, candidate), normalized)) return candidate;
+  }
+  return null;
+}
+
+function otpauthUri(secret, { account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Resolves to { codes, hashes }: the codes are shown to the user once, only
+// the hashes are stored.
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = createToken().toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+}
+
+// the index of the matching stored hash, or -1
+function findRecoveryCode(hashes, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return -1;
+  const hash = hashToken(normalized);
+  return (hashes || []).findIndex((stored) => safeEqual(stored, hash));
+}
+
+module.exports = {
+  generateSecret,
+  hotp,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  base32Encode,
+  base32Decode,
+};
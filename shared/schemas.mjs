@@ -0,0 +1,177 @@
+// Validation rules shared by the server (server/schemas.js) and the React
+// client (client/src/schemas.js), so both check requests the same way. The
+// caller passes in its own zod: server and client each install it, and this
+// directory has no dependencies of its own, so nothing here may import a
+// package.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'boolean'];
+
+// keys double as import/export column names, so they may not shadow these
+export const RESERVED_FIELD_KEYS = ['id', 'name', 'email', 'role', 'password', 'status', 'fields'];
+
+export function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isRegExp(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  // Date rolls 2024-02-30 over into March, so compare the round trip
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// empty form inputs and CSV cells mean "no value"
+function emptyToNull(value) {
+  return value === '' || value === undefined ? null : value;
+}
+
+export function createSchemas(z) {
+  const nameSchema = z.string().trim().min(2, 'Name must be at least 2 characters');
+  const emailSchema = z.string().trim().toLowerCase().email('Please enter a valid email');
+  const passwordSchema = z.string().min(6, 'Password must be at least 6 characters');
+  // the server also checks it against the live list of roles
+  const roleSchema = z.string().trim().min(1, 'Role is required');
+  const twoFactorCodeSchema = z.string().trim().min(1, 'Code is required');
+  const descriptionSchema = z.string().trim().max(200, 'Description is too long');
+
+  const loginSchema = z.object({
+    email: emailSchema,
+    password: z.string().min(1, 'Password is required'),
+  });
+
+  const inviteUserSchema = z.object({ name: nameSchema, email: emailSchema, role: roleSchema });
+  const createUserSchema = inviteUserSchema.extend({ password: passwordSchema });
+  const updateUserSchema = createUserSchema.partial();
+
+  const changePasswordSchema = z.object({
+    currentPassword: z.string().min(1, 'Current password is required'),
+    newPassword: passwordSchema,
+  });
+
+  const resetPasswordSchema = z.object({
+    token: z.string().trim().min(1, 'Reset token is required'),
+    newPassword: passwordSchema,
+  });
+
+  const acceptInviteSchema = z.object({
+    token: z.string().trim().min(1, 'Invitation token is required'),
+    name: nameSchema.optional(),
+    password: passwordSchema,
+  });
+
+  // PATCH /api/me; null clears a preference, the server adds the avatar
+  const updateMeSchema = z.object({
+    name: nameSchema.optional(),
+    email: emailSchema.optional(),
+    timezone: z.string().refine(isTimeZone, 'Unknown time zone').nullable().optional(),
+    locale: z
+      .string()
+      .transform((value, ctx) => {
+        try {
+          return Intl.getCanonicalLocales(value)[0];
+        } catch {
+          ctx.addIssue({ code: 'custom', message: 'Unknown locale' });
+          return z.NEVER;
+        }
+      })
+      .nullable()
+      .optional(),
+  });
+
+  const roleNameSchema = z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z][a-z0-9_-]{1,31}$/, 'Use 2 to 32 letters, digits, - or _, starting with a letter');
+
+  const groupSchema = z.object({
+    name: z.string().trim().min(2, 'Name must be at least 2 characters').max(60, 'Name is too long'),
+    description: descriptionSchema,
+  });
+
+  const customFieldKeySchema = z
+    .string()
+    .trim()
+    .regex(/^[a-z][a-z0-9_]{1,31}$/, 'Use 2 to 32 lowercase letters, digits or _, starting with a letter')
+    .refine((key) => !RESERVED_FIELD_KEYS.includes(key), 'This key is reserved');
+  const customFieldLabelSchema = z.string().trim().min(1, 'Label is required').max(60, 'Label is too long');
+  // text values have to match it
+  const customFieldPatternSchema = z.string().max(200, 'Pattern is too long').refine(isRegExp, 'Not a valid regular expression');
+
+  // one custom field value, without the required/optional handling
+  function customFieldValueSchema(definition) {
+    switch (definition.type) {
+      case 'number':
+        return z.preprocess(
+          (v) => (typeof v === 'string' && v.trim() !== '' ? Number(v) : v),
+          z.number({ error: 'Must be a number' }),
+        );
+      case 'date':
+        return z.string().trim().refine(isDate, 'Use a date like 2024-01-31');
+      case 'select':
+        return z.enum(definition.options, { error: `Choose one of: ${definition.options.join(', ')}` });
+      case 'boolean':
+        return z.preprocess(
+          (v) => (v === 'true' ? true : v === 'false' ? false : v),
+          z.boolean({ error: 'Must be true or false' }),
+        );
+      default: {
+        const text = z.string().trim().max(500, 'Must be at most 500 characters');
+        return definition.pattern ? text.regex(new RegExp(definition.pattern), 'Invalid format') : text;
+      }
+    }
+  }
+
+  // The `fields` object of a user, built from the custom field definitions.
+  // Empty values become null. With `partial` (updates) fields may be left
+  // out, but a required one can still not be cleared.
+  function customFieldsSchema(definitions, { partial = false } = {}) {
+    const shape = Object.fromEntries(definitions.map((definition) => {
+      let schema = z.preprocess(emptyToNull, customFieldValueSchema(definition).nullable());
+      if (definition.required) schema = schema.refine((v) => v !== null, `${definition.label} is required`);
+      return [definition.key, partial ? schema.optional() : schema];
+    }));
+    const object = z.object(shape);
+    // prefault runs the default through the schema, so required fields are checked
+    return partial ? object.optional() : object.prefault({});
+  }
+
+  return {
+    nameSchema,
+    emailSchema,
+    passwordSchema,
+    roleSchema,
+    twoFactorCodeSchema,
+    descriptionSchema,
+    loginSchema,
+    inviteUserSchema,
+    createUserSchema,
+    updateUserSchema,
+    changePasswordSchema,
+    resetPasswordSchema,
+    acceptInviteSchema,
+    updateMeSchema,
+    roleNameSchema,
+    groupSchema,
+    customFieldKeySchema,
+    customFieldLabelSchema,
+    customFieldPatternSchema,
+    customFieldsSchema,
+  };
+}